@@ -0,0 +1,336 @@
+/**
+ * BZIP2 Module
+ */
+
+const U = Uint8Array;
+
+// CRC-32 of BZIP2 (big-endian)
+const crcTable = Uint32Array.from({ length: 256 }, (_, i) => {
+	let c = i << 24;
+	for (let j = 0; j < 8; j++) c = c & 0x80000000 ? c << 1 ^ 0x04c11db7 : c << 1;
+	return c >>> 0;
+});
+
+// Thrown to suspend decoding until more input is pushed
+const needInput = Symbol('needInput');
+
+/**
+ * Class for reading bits from the most significant bit
+ */
+class BitReader {
+	/** @type {Uint8Array} */ bytes;
+	pos = 0;
+	bitBuf = 0;
+	bitCnt = 0;
+
+	/**
+	 * @param {Uint8Array} bytes bytes
+	 */
+	constructor(bytes) {
+		this.bytes = bytes;
+	}
+
+	/**
+	 * Reads bits.
+	 * @param {number} n bit length (up to 24)
+	 * @returns {number} value
+	 */
+	bits(n) {
+		while (this.bitCnt < n) {
+			if (this.pos >= this.bytes.length) throw needInput;
+			this.bitBuf = this.bitBuf << 8 | this.bytes[this.pos++];
+			this.bitCnt += 8;
+		}
+		this.bitCnt -= n;
+		return this.bitBuf >>> this.bitCnt & (1 << n) - 1;
+	}
+
+	/**
+	 * Reads a 32-bit unsigned integer.
+	 * @returns {number} value
+	 */
+	uint32() {
+		return (this.bits(16) << 16 | this.bits(16)) >>> 0;
+	}
+
+	/**
+	 * Skips the bits to the byte boundary.
+	 */
+	align() {
+		this.bitCnt -= this.bitCnt & 7;
+	}
+}
+
+/**
+ * @typedef {object} HuffmanTable
+ * @prop {number} minLen minimum code length
+ * @prop {number} maxLen maximum code length
+ * @prop {Int32Array} limit maximum code of each length
+ * @prop {Int32Array} base offset of the symbol index from the code of each length
+ * @prop {Uint16Array} perm symbols in order of codes
+ */
+
+/**
+ * Builds a decoding table of canonical Huffman codes.
+ * @param {Uint8Array} lengths code lengths of symbols
+ * @returns {HuffmanTable} decoding table
+ */
+const buildHuffmanTable = lengths => {
+	const minLen = Math.min(...lengths), maxLen = Math.max(...lengths);
+	const limit = new Int32Array(maxLen + 1), base = new Int32Array(maxLen + 1);
+	const perm = new Uint16Array(lengths.length);
+	let index = 0;
+	for (let len = minLen, code = 0; len <= maxLen; len++, code <<= 1) {
+		base[len] = code - index;
+		lengths.forEach((l, symbol) => {
+			if (l !== len) return;
+			perm[index++] = symbol;
+			code++;
+		});
+		limit[len] = code - 1;
+	}
+	return { minLen, maxLen, limit, base, perm };
+};
+
+/**
+ * Class for decompressing BZIP2 data incrementally.
+ * Blocks are decoded when whole, so the output is delayed by up to a block.
+ */
+export class Bzip2Decoder {
+	/** @type {Uint8Array} */ #input = new U();
+	// Checkpoint to resume from: byte position and bits read ahead
+	#pos = 0;
+	#bitBuf = 0;
+	#bitCnt = 0;
+	// 0: stream header, 1: block or end of stream, 2: end of stream
+	#state = 0;
+	/** @type {Uint32Array} */ #tt = new Uint32Array();
+	#combinedCrc = 0;
+	// Input length needed before the next attempt, to avoid decoding a partial block repeatedly
+	#nextAttempt = 0;
+
+	/**
+	 * Whether the end of the compressed data has been reached
+	 */
+	get finished() {
+		return this.#state === 2;
+	}
+
+	/**
+	 * Pushes compressed bytes and returns decompressed bytes.
+	 * @param {Uint8Array} bytes compressed bytes
+	 * @param {boolean} [end] whether no more bytes are pushed
+	 * @returns {Uint8Array<ArrayBuffer>} decompressed bytes
+	 */
+	push(bytes, end = false) {
+		const rest = this.#input.subarray(this.#pos);
+		const input = new U(rest.length + bytes.length);
+		input.set(rest);
+		input.set(bytes, rest.length);
+		this.#input = input;
+		this.#pos = 0;
+		/** @type {Uint8Array<ArrayBuffer>[]} */
+		const outputs = [];
+		if (end || input.length >= this.#nextAttempt) {
+			const reader = new BitReader(input);
+			for (;;) {
+				reader.pos = this.#pos;
+				reader.bitBuf = this.#bitBuf;
+				reader.bitCnt = this.#bitCnt;
+				try {
+					if (this.#state === 2) {
+						// Another stream may be concatenated
+						if (reader.pos >= input.length) break;
+						this.#state = 0;
+					}
+					if (this.#state === 0) {
+						if (reader.bits(24) !== 0x425a68) throw new Error('Invalid data: Invalid BZIP2 header.');
+						const level = reader.bits(8) - 0x30;
+						if (level < 1 || level > 9) throw new Error('Invalid data: Invalid block size.');
+						if (this.#tt.length !== level * 100000) this.#tt = new Uint32Array(level * 100000);
+						this.#combinedCrc = 0;
+						this.#state = 1;
+					} else {
+						const magic1 = reader.bits(24), magic2 = reader.bits(24);
+						if (magic1 === 0x314159 && magic2 === 0x265359) {
+							outputs.push(this.#decodeBlock(reader));
+						} else if (magic1 === 0x177245 && magic2 === 0x385090) {
+							if (reader.uint32() !== this.#combinedCrc) throw new Error('Invalid data: Stream CRC does not match.');
+							reader.align();
+							this.#state = 2;
+						} else {
+							throw new Error('Invalid data: Invalid block header.');
+						}
+					}
+				} catch (e) {
+					if (e !== needInput) throw e;
+					if (end) throw new Error('Invalid data: Unexpected end of compressed data.');
+					this.#nextAttempt = (input.length - this.#pos) * 2;
+					break;
+				}
+				this.#pos = reader.pos;
+				this.#bitBuf = reader.bitBuf;
+				this.#bitCnt = reader.bitCnt;
+				this.#nextAttempt = 0;
+			}
+		}
+		if (outputs.length === 1) return outputs[0];
+		const result = new U(outputs.reduce((a, c) => a + c.length, 0));
+		outputs.reduce((offset, c) => (result.set(c, offset), offset + c.length), 0);
+		return result;
+	}
+
+	/**
+	 * Decodes a block following the block header.
+	 * @param {BitReader} reader bit reader
+	 * @returns {Uint8Array<ArrayBuffer>} decoded bytes
+	 */
+	#decodeBlock(reader) {
+		const blockCrc = reader.uint32();
+		if (reader.bits(1)) throw new Error('Invalid data: Randomized blocks are not supported.');
+		const origPtr = reader.bits(24);
+		// Symbol map: used bytes in 16 ranges of 16
+		/** @type {number[]} */
+		const seqToUnseq = [];
+		const used = reader.bits(16);
+		for (let i = 0; i < 16; i++) {
+			if (!(used & 0x8000 >>> i)) continue;
+			const bits = reader.bits(16);
+			for (let j = 0; j < 16; j++) if (bits & 0x8000 >>> j) seqToUnseq.push(i << 4 | j);
+		}
+		if (!seqToUnseq.length) throw new Error('Invalid data: No symbols are used.');
+		const alphaSize = seqToUnseq.length + 2;
+		const nGroups = reader.bits(3);
+		const nSelectors = reader.bits(15);
+		if (nGroups < 2 || nGroups > 6 || !nSelectors) throw new Error('Invalid data: Invalid Huffman groups.');
+		// Selectors in move-to-front coding
+		const groupMtf = U.from({ length: nGroups }, (_, i) => i);
+		const selectors = new U(nSelectors);
+		for (let i = 0; i < nSelectors; i++) {
+			let j = 0;
+			while (reader.bits(1)) {
+				if (++j >= nGroups) throw new Error('Invalid data: Invalid selector.');
+			}
+			const group = groupMtf[j];
+			groupMtf.copyWithin(1, 0, j);
+			groupMtf[0] = group;
+			selectors[i] = group;
+		}
+		// Code lengths in delta coding
+		/** @type {HuffmanTable[]} */
+		const tables = [];
+		for (let t = 0; t < nGroups; t++) {
+			const lengths = new U(alphaSize);
+			let len = reader.bits(5);
+			for (let i = 0; i < alphaSize; i++) {
+				for (;;) {
+					if (len < 1 || len > 20) throw new Error('Invalid data: Invalid code length.');
+					if (!reader.bits(1)) break;
+					len += reader.bits(1) ? -1 : 1;
+				}
+				lengths[i] = len;
+			}
+			tables.push(buildHuffmanTable(lengths));
+		}
+		// Huffman, run-length (RUNA and RUNB) and move-to-front decoding
+		const tt = this.#tt, max = tt.length;
+		const counts = new Uint32Array(256);
+		const mtf = U.from(seqToUnseq);
+		const eob = alphaSize - 1;
+		let n = 0, selector = 0, groupRest = 0, run = 0, runBit = 1;
+		let table = tables[0];
+		for (;;) {
+			if (!groupRest--) {
+				if (selector >= nSelectors) throw new Error('Invalid data: Selectors are short.');
+				table = tables[selectors[selector++]];
+				groupRest = 49;
+			}
+			let len = table.minLen, code = reader.bits(len);
+			while (code > table.limit[len]) {
+				if (++len > table.maxLen) throw new Error('Invalid data: Invalid Huffman code.');
+				code = code << 1 | reader.bits(1);
+			}
+			const symbol = table.perm[code - table.base[len]];
+			if (symbol <= 1) {
+				run += runBit << symbol;
+				runBit <<= 1;
+				if (run > max) throw new Error('Invalid data: Run is too long.');
+				continue;
+			}
+			if (run) {
+				if (n + run > max) throw new Error('Invalid data: Block is too long.');
+				const b = mtf[0];
+				counts[b] += run;
+				tt.fill(b, n, n += run);
+				run = 0;
+				runBit = 1;
+			}
+			if (symbol === eob) break;
+			if (n >= max) throw new Error('Invalid data: Block is too long.');
+			const index = symbol - 1;
+			const b = mtf[index];
+			mtf.copyWithin(1, 0, index);
+			mtf[0] = b;
+			counts[b]++;
+			tt[n++] = b;
+		}
+		if (origPtr >= n) throw new Error('Invalid data: Invalid origin pointer.');
+		// Inverse Burrows-Wheeler transform: links each byte to the next in the upper 24 bits
+		const cftab = new Uint32Array(256);
+		for (let i = 1; i < 256; i++) cftab[i] = cftab[i - 1] + counts[i - 1];
+		for (let i = 0; i < n; i++) tt[cftab[tt[i] & 0xff]++] |= i << 8;
+		// Run-length decoding: 4 same bytes are followed by the count of repetition
+		let out = new U(n + (n >>> 2));
+		let outPos = 0, pos = tt[origPtr] >>> 8, prev = -1, same = 0, crc = 0xffffffff;
+		for (let i = 0; i < n; i++) {
+			const entry = tt[pos];
+			const b = entry & 0xff;
+			pos = entry >>> 8;
+			let count = 1, value = b;
+			if (same === 4) {
+				count = b;
+				value = prev;
+				same = 0;
+			} else if (b === prev) {
+				same++;
+			} else {
+				prev = b;
+				same = 1;
+			}
+			if (outPos + count > out.length) {
+				const grown = new U(Math.max(out.length * 2, outPos + count));
+				grown.set(out.subarray(0, outPos));
+				out = grown;
+			}
+			for (let j = 0; j < count; j++) {
+				out[outPos++] = value;
+				crc = crc << 8 ^ crcTable[(crc >>> 24 ^ value) & 0xff];
+			}
+		}
+		crc = ~crc >>> 0;
+		if (crc !== blockCrc) throw new Error('Invalid data: Block CRC does not match.');
+		this.#combinedCrc = ((this.#combinedCrc << 1 | this.#combinedCrc >>> 31) ^ crc) >>> 0;
+		return out.slice(0, outPos);
+	}
+}
+
+/**
+ * Class for a transform stream to decompress BZIP2 data
+ * @extends {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>}
+ */
+export class Bzip2DecompressionStream extends TransformStream {
+	constructor() {
+		const decoder = new Bzip2Decoder();
+		super({
+			transform(chunk, controller) {
+				const output = decoder.push(chunk);
+				if (output.length) controller.enqueue(output);
+			},
+			flush(controller) {
+				const output = decoder.push(new U(), true);
+				if (output.length) controller.enqueue(output);
+				if (!decoder.finished) throw new Error('Invalid data: Unexpected end of compressed data.');
+			},
+		});
+	}
+}
@@ -0,0 +1,959 @@
+/**
+ * Deflate Module
+ */
+
+const U = Uint8Array;
+
+// Base lengths and extra bits of length codes (257-285)
+const lengthBase = Uint16Array.of(3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258);
+const lengthExtra = U.of(0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0);
+// Base distances and extra bits of distance codes (0-29, and 30-31 for Deflate64)
+const distBase = Uint16Array.of(1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577, 32769, 49153);
+const distExtra = U.of(0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13, 14, 14);
+// Order of code length codes
+const codeLengthOrder = U.of(16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15);
+
+/**
+ * Builds a lookup table of canonical Huffman codes.
+ * Each entry has the symbol in the upper bits and the code length in the lower 4 bits (0 for an invalid code).
+ * @param {Uint8Array} lengths code lengths of symbols
+ * @returns {{ table: Uint16Array, bits: number }} lookup table indexed by bit-reversed codes, and its bit width
+ */
+const buildHuffmanTable = lengths => {
+	const counts = new Uint16Array(16);
+	for (const l of lengths) counts[l]++;
+	counts[0] = 0;
+	let bits = 15;
+	while (bits > 0 && !counts[bits]) bits--;
+	const next = new Uint16Array(16);
+	for (let i = 1, code = 0; i < 16; i++) {
+		code = code + counts[i - 1] << 1;
+		next[i] = code;
+	}
+	const table = new Uint16Array(1 << bits);
+	lengths.forEach((len, symbol) => {
+		if (!len) return;
+		let code = next[len]++, reversed = 0;
+		for (let i = 0; i < len; i++, code >>>= 1) reversed = reversed << 1 | code & 1;
+		for (let i = reversed; i < table.length; i += 1 << len) table[i] = symbol << 4 | len;
+	});
+	return { table, bits };
+};
+
+const fixedLitTable = buildHuffmanTable(U.from({ length: 288 }, (_, i) => i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8));
+const fixedDistTable = buildHuffmanTable(new U(32).fill(5));
+
+// Thrown to suspend decoding until more input is pushed
+const needInput = Symbol('needInput');
+
+/**
+ * @typedef {object} InflaterOptions
+ * @prop {boolean} [deflate64] Whether to decompress Deflate64 (Enhanced Deflating) data
+ */
+
+/**
+ * Class for decompressing raw deflate data incrementally.
+ * Unlike `DecompressionStream`, it tells where the compressed data ends.
+ */
+export class Inflater {
+	#deflate64 = false;
+	#windowSize = 0x8000;
+	/** @type {Uint8Array} */ #input = new U();
+	#pos = 0;
+	#bitBuf = 0;
+	#bitCnt = 0;
+	#out = new U(0x20000);
+	#outPos = 0;
+	// 0: block header, 1: stored block, 2: Huffman block, 3: end
+	#state = 0;
+	#isLastBlock = false;
+	#stored = 0;
+	/** @type {{ table: Uint16Array, bits: number }} */ #lit = fixedLitTable;
+	/** @type {{ table: Uint16Array, bits: number }} */ #dist = fixedDistTable;
+
+	/**
+	 * @param {InflaterOptions} [options] options
+	 */
+	constructor(options) {
+		if (options?.deflate64) {
+			// 64 KiB window, 16 extra bits of the length code 285, and the distance codes 30-31
+			this.#deflate64 = true;
+			this.#windowSize = 0x10000;
+		}
+	}
+
+	/**
+	 * Whether the end of the compressed data has been reached
+	 */
+	get finished() {
+		return this.#state === 3;
+	}
+
+	/**
+	 * Input bytes which were pushed but not used (after the end of the compressed data)
+	 */
+	get remaining() {
+		return this.#input.subarray(this.#pos);
+	}
+
+	/**
+	 * Pushes compressed bytes and returns decompressed bytes.
+	 * @param {Uint8Array} bytes compressed bytes
+	 * @param {boolean} [end] whether no more bytes are pushed
+	 * @returns {Uint8Array<ArrayBuffer>} decompressed bytes
+	 */
+	push(bytes, end = false) {
+		const rest = this.#input.length - this.#pos;
+		/** @type {Uint8Array} */
+		let input = bytes;
+		if (rest) {
+			input = new U(rest + bytes.length);
+			input.set(this.#input.subarray(this.#pos));
+			input.set(bytes, rest);
+		}
+		let pos = 0, bitBuf = this.#bitBuf, bitCnt = this.#bitCnt;
+		let out = this.#out, outPos = this.#outPos;
+		const start = outPos;
+		// Checkpoint to resume from when the input runs out
+		let cpPos = pos, cpBitBuf = bitBuf, cpBitCnt = bitCnt;
+		/** @type {(n: number) => void} */
+		const need = n => {
+			while (bitCnt < n) {
+				if (pos >= input.length) throw needInput;
+				bitBuf |= input[pos++] << bitCnt;
+				bitCnt += 8;
+			}
+		};
+		/** @type {(n: number) => number} */
+		const bits = n => {
+			need(n);
+			const v = bitBuf & (1 << n) - 1;
+			bitBuf >>>= n;
+			bitCnt -= n;
+			return v;
+		};
+		/** @type {(huffman: { table: Uint16Array, bits: number }) => number} */
+		const decode = ({ table, bits: n }) => {
+			while (bitCnt < n && pos < input.length) {
+				bitBuf |= input[pos++] << bitCnt;
+				bitCnt += 8;
+			}
+			const entry = table[bitBuf & (1 << n) - 1];
+			const len = entry & 15;
+			if (!len || len > bitCnt) {
+				// Bits are short only when the input runs out
+				if (bitCnt < n) throw needInput;
+				throw new Error('Invalid data: Invalid Huffman code.');
+			}
+			bitBuf >>>= len;
+			bitCnt -= len;
+			return entry >>> 4;
+		};
+		/** @type {(n: number) => void} */
+		const reserve = n => {
+			if (outPos + n <= out.length) return;
+			const grown = new U(Math.max(out.length * 2, outPos + n));
+			grown.set(out.subarray(0, outPos));
+			out = grown;
+		};
+		try {
+			while (this.#state !== 3) {
+				cpPos = pos, cpBitBuf = bitBuf, cpBitCnt = bitCnt;
+				if (this.#state === 0) {
+					const isLastBlock = !!bits(1);
+					const type = bits(2);
+					if (type === 0) {
+						bits(bitCnt & 7);
+						const len = bits(16);
+						if ((len ^ bits(16)) !== 0xffff) throw new Error('Invalid data: Invalid stored block length.');
+						this.#stored = len;
+						this.#state = 1;
+					} else if (type === 1) {
+						this.#lit = fixedLitTable;
+						this.#dist = fixedDistTable;
+						this.#state = 2;
+					} else if (type === 2) {
+						const hlit = bits(5) + 257, hdist = bits(5) + 1, hclen = bits(4) + 4;
+						const codeLengths = new U(19);
+						for (let i = 0; i < hclen; i++) codeLengths[codeLengthOrder[i]] = bits(3);
+						const codeLengthTable = buildHuffmanTable(codeLengths);
+						const lengths = new U(hlit + hdist);
+						for (let i = 0; i < lengths.length; ) {
+							const symbol = decode(codeLengthTable);
+							if (symbol < 16) {
+								lengths[i++] = symbol;
+								continue;
+							}
+							const [value, count] = symbol === 16 ? [lengths[i - 1], 3 + bits(2)]
+								: symbol === 17 ? [0, 3 + bits(3)]
+								: [0, 11 + bits(7)];
+							if (symbol === 16 && !i || i + count > lengths.length) throw new Error('Invalid data: Invalid code lengths.');
+							lengths.fill(value, i, i += count);
+						}
+						this.#lit = buildHuffmanTable(lengths.subarray(0, hlit));
+						this.#dist = buildHuffmanTable(lengths.subarray(hlit));
+						this.#state = 2;
+					} else {
+						throw new Error('Invalid data: Invalid block type.');
+					}
+					this.#isLastBlock = isLastBlock;
+				} else if (this.#state === 1) {
+					const n = Math.min(this.#stored, input.length - pos);
+					reserve(n);
+					out.set(input.subarray(pos, pos + n), outPos);
+					outPos += n;
+					pos += n;
+					this.#stored -= n;
+					if (this.#stored) throw needInput;
+					this.#state = this.#isLastBlock ? 3 : 0;
+				} else {
+					const symbol = decode(this.#lit);
+					if (symbol < 256) {
+						reserve(1);
+						out[outPos++] = symbol;
+					} else if (symbol === 256) {
+						this.#state = this.#isLastBlock ? 3 : 0;
+					} else {
+						const li = symbol - 257;
+						if (li >= lengthBase.length) throw new Error('Invalid data: Invalid length code.');
+						const length = this.#deflate64 && li === 28 ? 3 + bits(16) : lengthBase[li] + bits(lengthExtra[li]);
+						const di = decode(this.#dist);
+						if (di >= (this.#deflate64 ? 32 : 30)) throw new Error('Invalid data: Invalid distance code.');
+						const dist = distBase[di] + bits(distExtra[di]);
+						if (dist > outPos) throw new Error('Invalid data: Distance is too far back.');
+						reserve(length);
+						for (let i = 0; i < length; i++, outPos++) out[outPos] = out[outPos - dist];
+					}
+				}
+			}
+			// Gives back the whole bytes read ahead
+			pos -= bitCnt >>> 3;
+			bitBuf = bitCnt = 0;
+		} catch (e) {
+			if (e !== needInput) throw e;
+			if (end) throw new Error('Invalid data: Unexpected end of compressed data.');
+			if (this.#state !== 1) pos = cpPos, bitBuf = cpBitBuf, bitCnt = cpBitCnt;
+		}
+		this.#input = input;
+		this.#pos = pos;
+		this.#bitBuf = bitBuf;
+		this.#bitCnt = bitCnt;
+		const result = out.slice(start, outPos);
+		// Keeps only the sliding window
+		if (outPos > this.#windowSize * 4) {
+			out.copyWithin(0, outPos - this.#windowSize, outPos);
+			outPos = this.#windowSize;
+		}
+		this.#out = out;
+		this.#outPos = outPos;
+		return result;
+	}
+}
+
+/**
+ * Class for a transform stream to decompress raw deflate data (including Deflate64)
+ * @extends {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>}
+ */
+export class InflateStream extends TransformStream {
+	/**
+	 * @param {InflaterOptions} [options] options
+	 */
+	constructor(options) {
+		const inflater = new Inflater(options);
+		super({
+			transform(chunk, controller) {
+				if (inflater.finished) return;
+				const output = inflater.push(chunk);
+				if (output.length) controller.enqueue(output);
+			},
+			flush(controller) {
+				if (inflater.finished) return;
+				const output = inflater.push(new U(), true);
+				if (output.length) controller.enqueue(output);
+			},
+		});
+	}
+}
+
+// Code of each length (3-258) and distance (1-32768)
+const lengthCodeTable = new U(259);
+lengthBase.forEach((base, code) => lengthCodeTable.fill(code, base, base + (1 << lengthExtra[code])));
+const distCodeTable = new U(32769);
+distBase.subarray(0, 30).forEach((base, code) => distCodeTable.fill(code, base, base + (1 << distExtra[code])));
+
+// Parameters of compression levels: good length to reduce the chain, lazy match length (0: greedy), nice length to stop, max chain length
+// (`'best'` chooses the matches by their bit costs instead of lazy matching)
+const levelParams = {
+	1: [4, 0, 8, 4],
+	2: [4, 0, 16, 8],
+	3: [4, 0, 32, 32],
+	4: [4, 4, 16, 16],
+	5: [8, 16, 32, 32],
+	6: [8, 16, 128, 128],
+	7: [8, 32, 128, 256],
+	8: [32, 128, 258, 1024],
+	9: [32, 258, 258, 4096],
+	best: [258, 258, 258, 8192],
+};
+
+const fixedLitLengths = U.from({ length: 288 }, (_, i) => i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8);
+const fixedDistLengths = new U(30).fill(5);
+
+/**
+ * Builds code lengths of length-limited Huffman codes.
+ * @param {Uint32Array} freqs frequencies of symbols
+ * @param {number} limit maximum code length
+ * @returns {Uint8Array} code lengths (0 for unused symbols)
+ */
+const buildCodeLengths = (freqs, limit) => {
+	const lengths = new U(freqs.length);
+	const symbols = [];
+	freqs.forEach((f, i) => f && symbols.push(i));
+	const n = symbols.length;
+	if (n < 2) {
+		if (n) lengths[symbols[0]] = 1;
+		return lengths;
+	}
+	symbols.sort((a, b) => freqs[a] - freqs[b] || a - b);
+	// Huffman tree with two queues: leaves (0 to n-1) sorted by frequency, and internal nodes (n to 2n-2) in order of creation
+	const weights = new Float64Array(2 * n - 1);
+	const parents = new Int32Array(2 * n - 1);
+	symbols.forEach((s, i) => weights[i] = freqs[s]);
+	let leaf = 0, node = n;
+	for (let next = n; next < 2 * n - 1; next++) {
+		const takeMin = () => leaf < n && (node >= next || weights[leaf] <= weights[node]) ? leaf++ : node++;
+		const a = takeMin(), b = takeMin();
+		weights[next] = weights[a] + weights[b];
+		parents[a] = parents[b] = next;
+	}
+	const depths = new U(2 * n - 1);
+	for (let i = 2 * n - 3; i >= 0; i--) depths[i] = depths[parents[i]] + 1;
+	// Limits the lengths keeping the Kraft sum (scaled by 2^limit) within 1
+	const target = 1 << limit;
+	let kraft = 0;
+	for (let i = 0; i < n; i++) {
+		depths[i] = Math.min(depths[i], limit);
+		kraft += 1 << limit - depths[i];
+	}
+	for (let i = 0; kraft > target; i = (i + 1) % n) {
+		if (depths[i] < limit) kraft -= 1 << limit - ++depths[i];
+	}
+	for (let i = n - 1; i >= 0; i--) {
+		while (depths[i] > 1 && kraft + (1 << limit - depths[i]) <= target) kraft += 1 << limit - depths[i]--;
+	}
+	symbols.forEach((s, i) => lengths[s] = depths[i]);
+	return lengths;
+};
+
+/**
+ * Assigns canonical Huffman codes, bit-reversed to be written from the least significant bit.
+ * @param {Uint8Array} lengths code lengths
+ * @returns {Uint16Array} reversed codes
+ */
+const buildCodes = lengths => {
+	const counts = new Uint16Array(16);
+	for (const l of lengths) counts[l]++;
+	counts[0] = 0;
+	const next = new Uint16Array(16);
+	for (let i = 1, code = 0; i < 16; i++) {
+		code = code + counts[i - 1] << 1;
+		next[i] = code;
+	}
+	return Uint16Array.from(lengths, len => {
+		if (!len) return 0;
+		let code = next[len]++, reversed = 0;
+		for (let i = 0; i < len; i++, code >>>= 1) reversed = reversed << 1 | code & 1;
+		return reversed;
+	});
+};
+
+const fixedLitCodes = buildCodes(fixedLitLengths);
+const fixedDistCodes = buildCodes(fixedDistLengths);
+
+/**
+ * Class for writing bits from the least significant bit
+ */
+class BitWriter {
+	#bytes = new U(0x10000);
+	#length = 0;
+	#bitBuf = 0;
+	#bitCnt = 0;
+
+	/**
+	 * @param {number} n byte length to write
+	 */
+	#reserve(n) {
+		if (this.#length + n <= this.#bytes.length) return;
+		const grown = new U(Math.max(this.#bytes.length * 2, this.#length + n));
+		grown.set(this.#bytes.subarray(0, this.#length));
+		this.#bytes = grown;
+	}
+
+	/**
+	 * Writes bits.
+	 * @param {number} value value
+	 * @param {number} n bit length (up to 16)
+	 */
+	write(value, n) {
+		this.#bitBuf |= value << this.#bitCnt;
+		this.#bitCnt += n;
+		if (this.#bitCnt < 8) return;
+		this.#reserve(3);
+		while (this.#bitCnt >= 8) {
+			this.#bytes[this.#length++] = this.#bitBuf;
+			this.#bitBuf >>>= 8;
+			this.#bitCnt -= 8;
+		}
+	}
+
+	/**
+	 * Writes bytes after padding to the byte boundary.
+	 * @param {Uint8Array} bytes bytes
+	 */
+	writeBytes(bytes) {
+		if (this.#bitCnt) this.write(0, 8 - this.#bitCnt);
+		this.#reserve(bytes.length);
+		this.#bytes.set(bytes, this.#length);
+		this.#length += bytes.length;
+	}
+
+	/**
+	 * Takes the written whole bytes.
+	 * @returns {Uint8Array<ArrayBuffer>} bytes
+	 */
+	take() {
+		const result = this.#bytes.slice(0, this.#length);
+		this.#length = 0;
+		return result;
+	}
+}
+
+/**
+ * @typedef {object} DeflaterOptions
+ * @prop {number|'best'} [level] Compression level from 0 (no compression) to 9, or `'best'` to choose matches by their bit costs, which is much slower (Default: 6)
+ */
+
+/**
+ * Class for compressing data into raw deflate data incrementally
+ */
+export class Deflater {
+	static #windowSize = 0x8000;
+	static #maxSymbols = 0x3fff;
+	/** @type {number[]?} */ #params;
+	/** @type {boolean} */ #optimal;
+	// Estimated bit costs of literals and lengths (by code), lengths (by length) and distances (by code) for the level 'best'
+	#costs = Deflater.#estimateCosts(fixedLitLengths, fixedDistLengths);
+	#buffer = new U(0x20000);
+	#length = 0;
+	#pos = 0;
+	#blockStart = 0;
+	#head = new Int32Array(0x8000).fill(-1);
+	#prev = new Int32Array(0x8000).fill(-1);
+	// Symbols of the current block: literal bytes or lengths in the lower 16 bits, and distances (0 for literals) in the upper bits
+	#symbols = new Uint32Array(Deflater.#maxSymbols);
+	#symbolCount = 0;
+	#writer = new BitWriter();
+	// State of lazy matching
+	#prevLength = 0;
+	#prevDist = 0;
+	#matchAvailable = false;
+	#finished = false;
+
+	/**
+	 * @param {DeflaterOptions} [options] options
+	 */
+	constructor(options) {
+		const level = options?.level ?? 6;
+		if (level !== 0 && !(level in levelParams)) throw new RangeError('Invalid compression level: ' + level);
+		this.#params = level === 0 ? null : levelParams[/** @type {keyof levelParams} */ (level)];
+		this.#optimal = level === 'best';
+	}
+
+	/**
+	 * Estimates bit costs of symbols from code lengths.
+	 * @param {Uint8Array} litLengths code lengths of literals and lengths
+	 * @param {Uint8Array} distLengths code lengths of distances
+	 * @returns {{ lit: Float64Array, len: Float64Array, dist: Float64Array }} bit costs
+	 */
+	static #estimateCosts(litLengths, distLengths) {
+		const lit = Float64Array.from({ length: 286 }, (_, i) => litLengths[i]);
+		const len = Float64Array.from({ length: 259 }, (_, i) => i < 3 ? 0 : lit[257 + lengthCodeTable[i]] + lengthExtra[lengthCodeTable[i]]);
+		const dist = Float64Array.from({ length: 30 }, (_, i) => distLengths[i] + distExtra[i]);
+		return { lit, len, dist };
+	}
+
+	/**
+	 * Pushes uncompressed bytes and returns compressed bytes.
+	 * @param {Uint8Array} bytes uncompressed bytes
+	 * @param {boolean} [end] whether no more bytes are pushed
+	 * @returns {Uint8Array<ArrayBuffer>} compressed bytes
+	 */
+	push(bytes, end = false) {
+		if (this.#finished) throw new Error('Compression has already finished.');
+		this.#append(bytes);
+		if (this.#params) {
+			while (this.#optimal ? this.#parse(end) : this.#match(end)) this.#flushBlock(false);
+			if (end) this.#flushBlock(true);
+		} else {
+			this.#pos = this.#length;
+			// The raw data of a block is kept until it is written
+			if (end || this.#pos - this.#blockStart >= 0x40000) this.#flushBlock(end);
+		}
+		if (end) {
+			this.#writer.writeBytes(new U());
+			this.#finished = true;
+		}
+		return this.#writer.take();
+	}
+
+	/**
+	 * Appends bytes to the buffer, sliding the window if needed.
+	 * @param {Uint8Array} bytes bytes
+	 */
+	#append(bytes) {
+		const windowSize = Deflater.#windowSize;
+		if (this.#length + bytes.length > this.#buffer.length) {
+			// Discards the bytes before the window and the current block, in multiples of the window size
+			const shift = Math.max(Math.min(this.#blockStart, this.#pos - windowSize), 0) & ~(windowSize - 1);
+			if (shift) {
+				this.#buffer.copyWithin(0, shift, this.#length);
+				this.#length -= shift;
+				this.#pos -= shift;
+				this.#blockStart -= shift;
+				for (const table of [this.#head, this.#prev]) {
+					for (let i = 0; i < table.length; i++) table[i] = table[i] >= shift ? table[i] - shift : -1;
+				}
+			}
+			if (this.#length + bytes.length > this.#buffer.length) {
+				const grown = new U(Math.max(this.#buffer.length * 2, this.#length + bytes.length));
+				grown.set(this.#buffer.subarray(0, this.#length));
+				this.#buffer = grown;
+			}
+		}
+		this.#buffer.set(bytes, this.#length);
+		this.#length += bytes.length;
+	}
+
+	/**
+	 * Inserts the position into the hash chains and returns the previous head.
+	 * @param {number} pos position
+	 * @returns {number} previous position with the same hash (-1 if none)
+	 */
+	#insert(pos) {
+		const buf = this.#buffer;
+		if (pos + 2 >= this.#length) return -1;
+		const hash = (buf[pos] << 10 ^ buf[pos + 1] << 5 ^ buf[pos + 2]) & 0x7fff;
+		const head = this.#head[hash];
+		this.#prev[pos & 0x7fff] = head;
+		this.#head[hash] = pos;
+		return head;
+	}
+
+	/**
+	 * Finds the longest match.
+	 * @param {number} pos position
+	 * @param {number} candidate first candidate position
+	 * @param {number} prevLength length of the previous match
+	 * @returns {[number, number]} length and distance of the match (length 0 if not longer than the previous match)
+	 */
+	#findMatch(pos, candidate, prevLength) {
+		const buf = this.#buffer;
+		const [good, , nice, maxChain] = /** @type {number[]} */ (this.#params);
+		const maxLength = Math.min(258, this.#length - pos);
+		const limit = pos - Deflater.#windowSize;
+		let chain = prevLength >= good ? maxChain >> 2 : maxChain;
+		let bestLength = Math.max(prevLength, 2), bestDist = 0;
+		if (maxLength <= bestLength) return [0, 0];
+		for (let cur = candidate; cur >= 0 && cur >= limit && chain--; ) {
+			if (buf[cur + bestLength] === buf[pos + bestLength] && buf[cur] === buf[pos] && buf[cur + 1] === buf[pos + 1]) {
+				let len = 2;
+				while (len < maxLength && buf[cur + len] === buf[pos + len]) len++;
+				if (len > bestLength) {
+					bestLength = len;
+					bestDist = pos - cur;
+					if (len >= nice || len === maxLength) break;
+				}
+			}
+			const next = this.#prev[cur & 0x7fff];
+			if (next >= cur) break;
+			cur = next;
+		}
+		return bestDist ? [bestLength, bestDist] : [0, 0];
+	}
+
+	/**
+	 * Finds the matches longer than each other, whose distances are in ascending order.
+	 * @param {number} pos position
+	 * @param {number} candidate first candidate position
+	 * @param {number} max maximum length
+	 * @param {number[]} lengths array to push the lengths
+	 * @param {number[]} dists array to push the distances
+	 */
+	#findMatches(pos, candidate, max, lengths, dists) {
+		const buf = this.#buffer;
+		const maxLength = Math.min(258, max);
+		const limit = pos - Deflater.#windowSize;
+		let chain = /** @type {number[]} */ (this.#params)[3];
+		let bestLength = 2;
+		if (maxLength <= bestLength) return;
+		for (let cur = candidate; cur >= 0 && cur >= limit && chain--; ) {
+			if (buf[cur + bestLength] === buf[pos + bestLength] && buf[cur] === buf[pos] && buf[cur + 1] === buf[pos + 1]) {
+				let len = 2;
+				while (len < maxLength && buf[cur + len] === buf[pos + len]) len++;
+				if (len > bestLength) {
+					bestLength = len;
+					lengths.push(len);
+					dists.push(pos - cur);
+					if (len === maxLength) break;
+				}
+			}
+			const next = this.#prev[cur & 0x7fff];
+			if (next >= cur) break;
+			cur = next;
+		}
+	}
+
+	/**
+	 * Finds matches in the buffer and chooses them by their bit costs (for the level `'best'`).
+	 * The costs are estimated with the code lengths of the previous range, and then with those of its own first result.
+	 * @param {boolean} end whether no more bytes are pushed
+	 * @returns {boolean} whether stopped since the current block is full
+	 */
+	#parse(end) {
+		const limit = end ? this.#length : this.#length - 262;
+		while (this.#pos < limit) {
+			const capacity = Deflater.#maxSymbols - 1 - this.#symbolCount;
+			if (capacity < 0x1000) return true;
+			const start = this.#pos, size = Math.min(limit - start, capacity);
+			// Waits for a full range unless at the end, since matches do not cross the end of the range
+			if (!end && size < capacity) return false;
+			// Matches starting at each position are found once (matches do not cross the end of the range)
+			const offsets = new Uint32Array(size + 1);
+			/** @type {number[]} */
+			const lengths = [], dists = [];
+			for (let i = 0; i < size; i++) {
+				offsets[i] = lengths.length;
+				const candidate = this.#insert(start + i);
+				if (candidate >= 0) this.#findMatches(start + i, candidate, size - i, lengths, dists);
+			}
+			offsets[size] = lengths.length;
+			let symbols;
+			for (let pass = 0; pass < 2; pass++) {
+				symbols = this.#chooseSymbols(start, size, offsets, lengths, dists);
+				this.#updateCosts(symbols);
+			}
+			for (const symbol of /** @type {number[]} */ (symbols)) this.#symbols[this.#symbolCount++] = symbol;
+			this.#pos = start + size;
+		}
+		return false;
+	}
+
+	/**
+	 * Chooses the symbols of the least bit cost in a range.
+	 * @param {number} start start position of the range
+	 * @param {number} size size of the range
+	 * @param {Uint32Array} offsets offsets of the matches at each position
+	 * @param {number[]} lengths lengths of the matches
+	 * @param {number[]} dists distances of the matches
+	 * @returns {number[]} symbols
+	 */
+	#chooseSymbols(start, size, offsets, lengths, dists) {
+		const buf = this.#buffer, costs = this.#costs;
+		const totals = new Float64Array(size + 1).fill(Infinity);
+		// Length and distance of the last symbol to reach each position
+		const steps = new Uint16Array(size + 1), stepDists = new Uint16Array(size + 1);
+		totals[0] = 0;
+		for (let i = 0; i < size; i++) {
+			const total = totals[i];
+			const literal = total + costs.lit[buf[start + i]];
+			if (literal < totals[i + 1]) {
+				totals[i + 1] = literal;
+				steps[i + 1] = 1;
+				stepDists[i + 1] = 0;
+			}
+			// Each length uses the nearest distance among the matches long enough
+			for (let k = offsets[i], len = 3; k < offsets[i + 1]; k++) {
+				const dist = dists[k];
+				const base = total + costs.dist[distCodeTable[dist]];
+				for (const end = lengths[k]; len <= end; len++) {
+					const cost = base + costs.len[len];
+					if (cost < totals[i + len]) {
+						totals[i + len] = cost;
+						steps[i + len] = len;
+						stepDists[i + len] = dist;
+					}
+				}
+			}
+		}
+		/** @type {number[]} */
+		const symbols = [];
+		for (let i = size; i > 0; i -= steps[i]) symbols.push(stepDists[i] ? stepDists[i] << 16 | steps[i] : buf[start + i - 1]);
+		return symbols.reverse();
+	}
+
+	/**
+	 * Updates the estimated bit costs with the code lengths for symbols.
+	 * @param {number[]} symbols symbols
+	 */
+	#updateCosts(symbols) {
+		const litFreqs = new Uint32Array(286), distFreqs = new Uint32Array(30);
+		for (const symbol of symbols) {
+			const dist = symbol >>> 16;
+			if (dist) {
+				litFreqs[257 + lengthCodeTable[symbol & 0xffff]]++;
+				distFreqs[distCodeTable[dist]]++;
+			} else {
+				litFreqs[symbol]++;
+			}
+		}
+		litFreqs[256] = 1;
+		// Unused symbols are given long codes so that they can still be chosen
+		const litLengths = buildCodeLengths(litFreqs.map(f => f * 2 || 1), 15);
+		const distLengths = buildCodeLengths(distFreqs.map(f => f * 2 || 1), 15);
+		this.#costs = Deflater.#estimateCosts(litLengths, distLengths);
+	}
+
+	/**
+	 * Adds a symbol to the current block.
+	 * @param {number} value literal byte or length
+	 * @param {number} dist distance (0 for a literal)
+	 */
+	#addSymbol(value, dist) {
+		this.#symbols[this.#symbolCount++] = dist << 16 | value;
+	}
+
+	/**
+	 * Finds matches in the buffer.
+	 * @param {boolean} end whether no more bytes are pushed
+	 * @returns {boolean} whether stopped since the current block is full
+	 */
+	#match(end) {
+		const [, lazy] = /** @type {number[]} */ (this.#params);
+		const buf = this.#buffer;
+		// Keeps the lookahead for the longest match unless at the end
+		const limit = end ? this.#length : this.#length - 262;
+		let pos = this.#pos;
+		while (pos < limit) {
+			if (this.#symbolCount >= Deflater.#maxSymbols - 1) {
+				this.#pos = pos;
+				return true;
+			}
+			const candidate = this.#insert(pos);
+			if (!lazy) {
+				const [length, dist] = candidate < 0 ? [0, 0] : this.#findMatch(pos, candidate, 0);
+				if (length) {
+					this.#addSymbol(length, dist);
+					for (let i = 1; i < length; i++) this.#insert(pos + i);
+					pos += length;
+				} else {
+					this.#addSymbol(buf[pos++], 0);
+				}
+				continue;
+			}
+			const prevLength = this.#prevLength;
+			let [length, dist] = candidate < 0 || prevLength >= lazy ? [0, 0] : this.#findMatch(pos, candidate, prevLength);
+			if (prevLength >= 3 && length <= prevLength) {
+				// The match at the previous position is better
+				this.#addSymbol(prevLength, this.#prevDist);
+				for (let i = 1; i < prevLength - 1; i++) this.#insert(pos + i);
+				pos += prevLength - 1;
+				this.#matchAvailable = false;
+				this.#prevLength = 0;
+				continue;
+			}
+			if (this.#matchAvailable) this.#addSymbol(buf[pos - 1], 0);
+			this.#matchAvailable = true;
+			this.#prevLength = length;
+			this.#prevDist = dist;
+			pos++;
+		}
+		if (end && pos >= this.#length && this.#matchAvailable) {
+			this.#addSymbol(buf[pos - 1], 0);
+			this.#matchAvailable = false;
+		}
+		this.#pos = pos;
+		return false;
+	}
+
+	/**
+	 * Writes the current block in the smallest of stored, fixed Huffman and dynamic Huffman blocks.
+	 * @param {boolean} final whether the block is the last one
+	 */
+	#flushBlock(final) {
+		// A pending literal of lazy matching belongs to the next block
+		const end = this.#matchAvailable ? this.#pos - 1 : this.#pos;
+		const raw = this.#buffer.subarray(this.#blockStart, end);
+		const symbols = this.#symbols.subarray(0, this.#symbolCount);
+		const writer = this.#writer;
+		const storedBits = Math.ceil(raw.length / 0xffff || 1) * 40 + raw.length * 8;
+		if (!this.#params) {
+			this.#writeStored(raw, final);
+		} else {
+			const litFreqs = new Uint32Array(286), distFreqs = new Uint32Array(30);
+			let extraBits = 0;
+			for (const symbol of symbols) {
+				const dist = symbol >>> 16;
+				if (dist) {
+					const lc = lengthCodeTable[symbol & 0xffff], dc = distCodeTable[dist];
+					litFreqs[257 + lc]++;
+					distFreqs[dc]++;
+					extraBits += lengthExtra[lc] + distExtra[dc];
+				} else {
+					litFreqs[symbol]++;
+				}
+			}
+			litFreqs[256] = 1;
+			/** @type {(lengths: Uint8Array, freqs: Uint32Array) => number} */
+			const cost = (lengths, freqs) => freqs.reduce((a, f, i) => a + f * lengths[i], 0);
+			const fixedBits = 3 + cost(fixedLitLengths, litFreqs) + cost(fixedDistLengths, distFreqs) + extraBits;
+			const litLengths = buildCodeLengths(litFreqs, 15);
+			const distLengths = buildCodeLengths(distFreqs, 15);
+			if (!distFreqs.some(f => f)) distLengths[0] = 1;
+			const header = this.#encodeTreeHeader(litLengths, distLengths);
+			const dynamicBits = header.bits + cost(litLengths, litFreqs) + cost(distLengths, distFreqs) + extraBits;
+			if (storedBits <= Math.min(fixedBits, dynamicBits)) {
+				this.#writeStored(raw, final);
+			} else if (fixedBits <= dynamicBits) {
+				writer.write(final ? 3 : 2, 3);
+				this.#writeSymbols(symbols, fixedLitLengths, fixedLitCodes, fixedDistLengths, fixedDistCodes);
+			} else {
+				writer.write(final ? 5 : 4, 3);
+				header.write();
+				this.#writeSymbols(symbols, litLengths, buildCodes(litLengths), distLengths, buildCodes(distLengths));
+			}
+		}
+		this.#blockStart = end;
+		this.#symbolCount = 0;
+	}
+
+	/**
+	 * Writes stored blocks.
+	 * @param {Uint8Array} raw raw bytes
+	 * @param {boolean} final whether the last block is the final one
+	 */
+	#writeStored(raw, final) {
+		const writer = this.#writer;
+		let i = 0;
+		do {
+			const chunk = raw.subarray(i, i + 0xffff);
+			i += chunk.length;
+			writer.write(final && i >= raw.length ? 1 : 0, 3);
+			writer.writeBytes(new U());
+			writer.write(chunk.length, 16);
+			writer.write(~chunk.length & 0xffff, 16);
+			writer.writeBytes(chunk);
+		} while (i < raw.length);
+	}
+
+	/**
+	 * Encodes the code lengths of a dynamic Huffman block.
+	 * @param {Uint8Array} litLengths code lengths of literals and lengths
+	 * @param {Uint8Array} distLengths code lengths of distances
+	 * @returns {{ bits: number, write: () => void }} bit length of the header without the block header, and function to write it
+	 */
+	#encodeTreeHeader(litLengths, distLengths) {
+		let hlit = 286, hdist = 30;
+		while (hlit > 257 && !litLengths[hlit - 1]) hlit--;
+		while (hdist > 1 && !distLengths[hdist - 1]) hdist--;
+		const lengths = new U(hlit + hdist);
+		lengths.set(litLengths.subarray(0, hlit));
+		lengths.set(distLengths.subarray(0, hdist), hlit);
+		// Run-length encoding with the codes 16 (repeat previous), 17 (3-10 zeros) and 18 (11-138 zeros)
+		/** @type {number[][]} */
+		const runs = [];
+		for (let i = 0; i < lengths.length; ) {
+			const len = lengths[i];
+			let run = 1;
+			while (i + run < lengths.length && lengths[i + run] === len) run++;
+			i += run;
+			if (!len) {
+				while (run >= 11) {
+					const n = Math.min(run, 138);
+					runs.push([18, n - 11, 7]);
+					run -= n;
+				}
+				if (run >= 3) {
+					runs.push([17, run - 3, 3]);
+					run = 0;
+				}
+			} else {
+				runs.push([len, 0, 0]);
+				run--;
+				while (run >= 3) {
+					const n = Math.min(run, 6);
+					runs.push([16, n - 3, 2]);
+					run -= n;
+				}
+			}
+			while (run-- > 0) runs.push([len, 0, 0]);
+		}
+		const freqs = new Uint32Array(19);
+		for (const [code] of runs) freqs[code]++;
+		const clLengths = buildCodeLengths(freqs, 7);
+		const clCodes = buildCodes(clLengths);
+		let hclen = 19;
+		while (hclen > 4 && !clLengths[codeLengthOrder[hclen - 1]]) hclen--;
+		const bits = 14 + hclen * 3 + runs.reduce((a, [code, , n]) => a + clLengths[code] + n, 0);
+		return {
+			bits,
+			write: () => {
+				const writer = this.#writer;
+				writer.write(hlit - 257, 5);
+				writer.write(hdist - 1, 5);
+				writer.write(hclen - 4, 4);
+				for (let i = 0; i < hclen; i++) writer.write(clLengths[codeLengthOrder[i]], 3);
+				for (const [code, extra, n] of runs) {
+					writer.write(clCodes[code], clLengths[code]);
+					if (n) writer.write(extra, n);
+				}
+			},
+		};
+	}
+
+	/**
+	 * Writes symbols with Huffman codes.
+	 * @param {Uint32Array} symbols symbols
+	 * @param {Uint8Array} litLengths code lengths of literals and lengths
+	 * @param {Uint16Array} litCodes codes of literals and lengths
+	 * @param {Uint8Array} distLengths code lengths of distances
+	 * @param {Uint16Array} distCodes codes of distances
+	 */
+	#writeSymbols(symbols, litLengths, litCodes, distLengths, distCodes) {
+		const writer = this.#writer;
+		for (const symbol of symbols) {
+			const value = symbol & 0xffff, dist = symbol >>> 16;
+			if (!dist) {
+				writer.write(litCodes[value], litLengths[value]);
+				continue;
+			}
+			const lc = lengthCodeTable[value], dc = distCodeTable[dist];
+			writer.write(litCodes[257 + lc], litLengths[257 + lc]);
+			if (lengthExtra[lc]) writer.write(value - lengthBase[lc], lengthExtra[lc]);
+			writer.write(distCodes[dc], distLengths[dc]);
+			if (distExtra[dc]) writer.write(dist - distBase[dc], distExtra[dc]);
+		}
+		writer.write(litCodes[256], litLengths[256]);
+	}
+}
+
+/**
+ * Class for a transform stream to compress data into raw deflate data with a compression level
+ * @extends {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>}
+ */
+export class DeflateStream extends TransformStream {
+	/**
+	 * @param {DeflaterOptions} [options] options
+	 */
+	constructor(options) {
+		const deflater = new Deflater(options);
+		super({
+			transform(chunk, controller) {
+				const output = deflater.push(chunk);
+				if (output.length) controller.enqueue(output);
+			},
+			flush(controller) {
+				controller.enqueue(deflater.push(new U(), true));
+			},
+		});
+	}
+}
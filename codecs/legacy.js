@@ -0,0 +1,579 @@
+/**
+ * Legacy PKZIP Methods Module (Shrink, Reduce and Implode)
+ */
+
+const U = Uint8Array;
+
+/**
+ * Class for reading bits from the least significant bit of each byte
+ */
+class BitReader {
+	/** @type {Uint8Array} */ #input = new U();
+	#pos = 0;
+	#buffer = 0;
+	#count = 0;
+
+	/**
+	 * Number of the bits not read yet
+	 */
+	get left() {
+		return (this.#input.length - this.#pos) * 8 + this.#count;
+	}
+
+	/**
+	 * Appends bytes to read.
+	 * @param {Uint8Array} bytes bytes
+	 */
+	append(bytes) {
+		const rest = this.#input.subarray(this.#pos);
+		const input = new U(rest.length + bytes.length);
+		input.set(rest);
+		input.set(bytes, rest.length);
+		this.#input = input;
+		this.#pos = 0;
+	}
+
+	/**
+	 * Returns the next bits without reading them, which are 0 after the end.
+	 * @param {number} n bit length up to 24
+	 * @returns {number} value
+	 */
+	peek(n) {
+		while (this.#count < n && this.#pos < this.#input.length) {
+			this.#buffer |= this.#input[this.#pos++] << this.#count;
+			this.#count += 8;
+		}
+		return this.#buffer & (1 << n) - 1;
+	}
+
+	/**
+	 * Skips bits.
+	 * @param {number} n bit length up to 24
+	 */
+	skip(n) {
+		this.peek(n);
+		if (n > this.#count) throw new Error('Invalid data: Unexpected end of compressed data.');
+		this.#buffer >>>= n;
+		this.#count -= n;
+	}
+
+	/**
+	 * Reads bits.
+	 * @param {number} n bit length up to 24
+	 * @returns {number} value
+	 */
+	read(n) {
+		const value = this.peek(n);
+		this.skip(n);
+		return value;
+	}
+}
+
+/**
+ * Class for the output keeping the recent bytes as the dictionary
+ */
+class OutputWindow {
+	#windowSize;
+	#out = new U(0x10000);
+	#outPos = 0;
+	// Start of the output not returned yet
+	#start = 0;
+	// Total length of the output
+	total = 0;
+
+	/**
+	 * @param {number} windowSize window size
+	 */
+	constructor(windowSize) {
+		this.#windowSize = windowSize;
+	}
+
+	/**
+	 * Makes room in the output buffer, sliding the window if needed.
+	 * @param {number} n byte length to write
+	 */
+	#reserve(n) {
+		if (this.#outPos + n <= this.#out.length) return;
+		const shift = Math.max(0, Math.min(this.#start, this.#outPos - this.#windowSize));
+		if (shift >= this.#out.length >>> 1) {
+			this.#out.copyWithin(0, shift, this.#outPos);
+			this.#outPos -= shift;
+			this.#start -= shift;
+		}
+		if (this.#outPos + n > this.#out.length) {
+			const grown = new U(Math.max(this.#out.length * 2, this.#outPos + n));
+			grown.set(this.#out.subarray(0, this.#outPos));
+			this.#out = grown;
+		}
+	}
+
+	/**
+	 * Writes a byte.
+	 * @param {number} byte byte
+	 */
+	write(byte) {
+		this.#reserve(1);
+		this.#out[this.#outPos++] = byte;
+		this.total++;
+	}
+
+	/**
+	 * Copies bytes from the distance back, which are 0 before the start as PKZIP does.
+	 * @param {number} dist distance
+	 * @param {number} length length
+	 */
+	copy(dist, length) {
+		if (dist > this.#windowSize) throw new Error('Invalid data: Distance is too far back.');
+		this.#reserve(length);
+		const out = this.#out;
+		for (let i = 0; i < length; i++, this.#outPos++, this.total++) out[this.#outPos] = dist > this.total ? 0 : out[this.#outPos - dist];
+	}
+
+	/**
+	 * Takes the bytes not returned yet.
+	 * @returns {Uint8Array<ArrayBuffer>} bytes
+	 */
+	take() {
+		const output = this.#out.slice(this.#start, this.#outPos);
+		this.#start = this.#outPos;
+		return output;
+	}
+}
+
+/**
+ * Class for decoding shrunk data (method 1), which is LZW with partial clearing
+ */
+export class ShrinkDecoder {
+	static #maxCode = 0x1fff;
+	#reader = new BitReader();
+	#output = new OutputWindow(0);
+	#size;
+	#codeSize = 9;
+	// Prefix codes (-1 for unused codes) and the last bytes of codes
+	#prefixes = new Int16Array(ShrinkDecoder.#maxCode + 1).fill(-1);
+	#suffixes = new U(ShrinkDecoder.#maxCode + 1);
+	#freeCode = 257;
+	#prevCode = -1;
+	#stack = new U(ShrinkDecoder.#maxCode + 1);
+
+	/**
+	 * @param {number} [size] uncompressed size (set later with `setSize` if unknown)
+	 */
+	constructor(size = Infinity) {
+		this.#size = size;
+		for (let i = 0; i < 256; i++) this.#suffixes[i] = i;
+	}
+
+	/**
+	 * Sets the uncompressed size which is unknown when created (e.g. deferred to a data descriptor).
+	 * @param {number} size uncompressed size
+	 */
+	setSize(size) {
+		this.#size = size;
+	}
+
+	/**
+	 * Whether the end of the compressed data has been reached
+	 */
+	get finished() {
+		return this.#output.total >= this.#size;
+	}
+
+	/**
+	 * Finds the next unused code.
+	 * @param {number} from code to start searching from
+	 */
+	#nextFreeCode(from) {
+		let code = from;
+		while (code <= ShrinkDecoder.#maxCode && this.#prefixes[code] >= 0) code++;
+		this.#freeCode = code;
+	}
+
+	/**
+	 * Frees the codes which are not prefixes of any other codes.
+	 */
+	#partialClear() {
+		const maxCode = ShrinkDecoder.#maxCode;
+		const isPrefix = new U(maxCode + 1);
+		for (let i = 257; i <= maxCode; i++) if (this.#prefixes[i] >= 0) isPrefix[this.#prefixes[i]] = 1;
+		for (let i = 257; i <= maxCode; i++) if (!isPrefix[i]) this.#prefixes[i] = -1;
+		this.#nextFreeCode(257);
+	}
+
+	/**
+	 * Pushes compressed bytes and returns decompressed bytes.
+	 * @param {Uint8Array} bytes compressed bytes
+	 * @param {boolean} [end] whether no more bytes are pushed
+	 * @returns {Uint8Array<ArrayBuffer>} decompressed bytes
+	 */
+	push(bytes, end = false) {
+		const reader = this.#reader, output = this.#output;
+		const prefixes = this.#prefixes, suffixes = this.#suffixes, stack = this.#stack;
+		reader.append(bytes);
+		// A code may be preceded by a control code
+		while (!this.finished && (end || reader.left >= 26)) {
+			const code = reader.read(this.#codeSize);
+			if (code === 256) {
+				const control = reader.read(this.#codeSize);
+				if (control === 1 && this.#codeSize < 13) this.#codeSize++;
+				else if (control === 2) this.#partialClear();
+				else throw new Error('Invalid data: Invalid control code.');
+				continue;
+			}
+			const prevCode = this.#prevCode;
+			if (prevCode < 0) {
+				if (code > 255) throw new Error('Invalid data: Invalid first code.');
+				output.write(code);
+				this.#prevCode = code;
+				continue;
+			}
+			const isNew = code === this.#freeCode;
+			if (isNew) {
+				// The code is used before it is added, whose string is the previous one and its first byte
+				if (prevCode > 255 && prefixes[prevCode] < 0) throw new Error('Invalid data: Invalid code.');
+				prefixes[code] = prevCode;
+			} else if (code > 256 && prefixes[code] < 0) {
+				throw new Error('Invalid data: Invalid code.');
+			}
+			let n = 0;
+			for (let c = code; ; c = prefixes[c]) {
+				if (n > ShrinkDecoder.#maxCode || c > 256 && prefixes[c] < 0) throw new Error('Invalid data: Invalid code.');
+				if (c < 256) {
+					stack[n++] = c;
+					break;
+				}
+				stack[n++] = suffixes[c];
+			}
+			const first = stack[n - 1];
+			if (isNew) stack[0] = suffixes[code] = first;
+			while (n) output.write(stack[--n]);
+			if (!isNew && this.#freeCode <= ShrinkDecoder.#maxCode) {
+				prefixes[this.#freeCode] = prevCode;
+				suffixes[this.#freeCode] = first;
+			}
+			this.#nextFreeCode(this.#freeCode);
+			this.#prevCode = code;
+		}
+		if (end && !this.finished) throw new Error('Invalid data: Unexpected end of compressed data.');
+		return output.take();
+	}
+}
+
+// Maximum bit length of the follower sets of reduced data
+const maxFollowerSetsBits = 256 * (6 + 32 * 8);
+
+/**
+ * Class for decoding reduced data (methods 2-5), which is expanded with follower sets
+ */
+export class ReduceDecoder {
+	#reader = new BitReader();
+	#output = new OutputWindow(0x1000);
+	#factor;
+	#size;
+	/** @type {Uint8Array[]?} */ #followers = null;
+	#lastByte = 0;
+	// State of expanding: 0 for a literal, 1 after DLE, 2 for the extended length, 3 for the distance
+	#state = 0;
+	#value = 0;
+	#length = 0;
+
+	/**
+	 * @param {number} factor compression factor (1-4)
+	 * @param {number} [size] uncompressed size (set later with `setSize` if unknown)
+	 */
+	constructor(factor, size = Infinity) {
+		this.#factor = factor;
+		this.#size = size;
+	}
+
+	/**
+	 * Sets the uncompressed size which is unknown when created (e.g. deferred to a data descriptor).
+	 * @param {number} size uncompressed size
+	 */
+	setSize(size) {
+		this.#size = size;
+	}
+
+	/**
+	 * Whether the end of the compressed data has been reached
+	 */
+	get finished() {
+		return this.#output.total >= this.#size;
+	}
+
+	/**
+	 * Reads the follower sets of all bytes.
+	 */
+	#readFollowers() {
+		const reader = this.#reader;
+		/** @type {Uint8Array[]} */
+		const followers = [];
+		for (let i = 255; i >= 0; i--) {
+			const n = reader.read(6);
+			if (n > 32) throw new Error('Invalid data: Invalid follower set.');
+			const set = followers[i] = new U(n);
+			for (let j = 0; j < n; j++) set[j] = reader.read(8);
+		}
+		this.#followers = followers;
+	}
+
+	/**
+	 * Pushes compressed bytes and returns decompressed bytes.
+	 * @param {Uint8Array} bytes compressed bytes
+	 * @param {boolean} [end] whether no more bytes are pushed
+	 * @returns {Uint8Array<ArrayBuffer>} decompressed bytes
+	 */
+	push(bytes, end = false) {
+		const reader = this.#reader, output = this.#output;
+		reader.append(bytes);
+		if (!this.#followers) {
+			if (!end && reader.left < maxFollowerSetsBits) return new U();
+			this.#readFollowers();
+		}
+		const followers = /** @type {Uint8Array[]} */ (this.#followers);
+		const lengthMask = 0xff >>> this.#factor;
+		while (!this.finished && (end || reader.left >= 9)) {
+			const set = followers[this.#lastByte];
+			let byte;
+			if (!set.length || reader.read(1)) {
+				byte = reader.read(8);
+			} else {
+				// Bit length of the index of the follower set
+				const bits = set.length <= 2 ? 1 : 32 - Math.clz32(set.length - 1);
+				byte = set[reader.read(bits)];
+				if (byte === undefined) throw new Error('Invalid data: Invalid follower index.');
+			}
+			this.#lastByte = byte;
+			switch (this.#state) {
+				case 0:
+					if (byte === 0x90) this.#state = 1;
+					else output.write(byte);
+					break;
+				case 1:
+					if (byte) {
+						this.#value = byte;
+						this.#length = byte & lengthMask;
+						this.#state = this.#length === lengthMask ? 2 : 3;
+					} else {
+						output.write(0x90);
+						this.#state = 0;
+					}
+					break;
+				case 2:
+					this.#length += byte;
+					this.#state = 3;
+					break;
+				default:
+					const dist = (this.#value >>> 8 - this.#factor) * 256 + byte + 1;
+					output.copy(dist, Math.min(this.#length + 3, this.#size - output.total));
+					this.#state = 0;
+			}
+		}
+		if (end && !this.finished) throw new Error('Invalid data: Unexpected end of compressed data.');
+		return output.take();
+	}
+}
+
+/**
+ * @typedef {object} ImplodeOptions
+ * @prop {boolean} largeDictionary whether the dictionary is 8K bytes, or 4K bytes (the bit 1 of the flags)
+ * @prop {boolean} literalTree whether literals are coded with a tree (the bit 2 of the flags)
+ */
+
+/**
+ * @typedef {object} ShannonFanoTable
+ * @prop {Uint32Array} table lookup table whose entries have the symbol in the upper bits and the code length in the lower 5 bits
+ * @prop {number} bits bit width of the lookup table
+ */
+
+/**
+ * Builds a lookup table of Shannon-Fano codes, which are canonical codes with inverted bits.
+ * @param {Uint8Array} lengths code lengths of symbols
+ * @returns {ShannonFanoTable} lookup table indexed by bit-reversed codes
+ */
+const buildShannonFanoTable = lengths => {
+	const counts = new Uint16Array(17);
+	for (const l of lengths) counts[l]++;
+	counts[0] = 0;
+	let bits = 16;
+	while (bits > 0 && !counts[bits]) bits--;
+	const next = new Uint32Array(17);
+	for (let i = 1, code = 0; i <= 16; i++) {
+		code = code + counts[i - 1] << 1;
+		next[i] = code;
+	}
+	const table = new Uint32Array(1 << bits);
+	lengths.forEach((len, symbol) => {
+		if (!len) return;
+		let code = ~next[len]++ & (1 << len) - 1, reversed = 0;
+		for (let i = 0; i < len; i++, code >>>= 1) reversed = reversed << 1 | code & 1;
+		for (let i = reversed; i < table.length; i += 1 << len) table[i] = symbol << 5 | len;
+	});
+	return { table, bits };
+};
+
+/**
+ * Class for decoding imploded data (method 6)
+ */
+export class ImplodeDecoder {
+	#reader = new BitReader();
+	#output;
+	#largeDictionary;
+	#literalTree;
+	#size;
+	/** @type {{ literal?: ShannonFanoTable, length: ShannonFanoTable, distance: ShannonFanoTable }?} */ #tables = null;
+
+	/**
+	 * @param {ImplodeOptions} options options
+	 * @param {number} [size] uncompressed size (set later with `setSize` if unknown)
+	 */
+	constructor({ largeDictionary, literalTree }, size = Infinity) {
+		this.#largeDictionary = largeDictionary;
+		this.#literalTree = literalTree;
+		this.#output = new OutputWindow(largeDictionary ? 0x2000 : 0x1000);
+		this.#size = size;
+	}
+
+	/**
+	 * Sets the uncompressed size which is unknown when created (e.g. deferred to a data descriptor).
+	 * @param {number} size uncompressed size
+	 */
+	setSize(size) {
+		this.#size = size;
+	}
+
+	/**
+	 * Whether the end of the compressed data has been reached
+	 */
+	get finished() {
+		return this.#output.total >= this.#size;
+	}
+
+	/**
+	 * Reads a tree of code lengths.
+	 * @param {number} count number of symbols
+	 * @returns {ShannonFanoTable} lookup table
+	 */
+	#readTree(count) {
+		const reader = this.#reader;
+		const lengths = new U(count);
+		let n = 0;
+		for (let i = reader.read(8) + 1; i > 0; i--) {
+			const b = reader.read(8);
+			const len = (b & 15) + 1, repeat = (b >>> 4) + 1;
+			if (n + repeat > count) throw new Error('Invalid data: Invalid Shannon-Fano tree.');
+			lengths.fill(len, n, n += repeat);
+		}
+		if (n !== count) throw new Error('Invalid data: Invalid Shannon-Fano tree.');
+		return buildShannonFanoTable(lengths);
+	}
+
+	/**
+	 * Decodes a symbol.
+	 * @param {ShannonFanoTable} table lookup table
+	 * @returns {number} symbol
+	 */
+	#decodeSymbol({ table, bits }) {
+		const entry = table[this.#reader.peek(bits)];
+		const len = entry & 31;
+		if (!len) throw new Error('Invalid data: Invalid Shannon-Fano code.');
+		this.#reader.skip(len);
+		return entry >>> 5;
+	}
+
+	/**
+	 * Pushes compressed bytes and returns decompressed bytes.
+	 * @param {Uint8Array} bytes compressed bytes
+	 * @param {boolean} [end] whether no more bytes are pushed
+	 * @returns {Uint8Array<ArrayBuffer>} decompressed bytes
+	 */
+	push(bytes, end = false) {
+		const reader = this.#reader, output = this.#output;
+		reader.append(bytes);
+		if (!this.#tables) {
+			// Each tree is up to 257 bytes
+			if (!end && reader.left < 3 * 257 * 8) return new U();
+			const literal = this.#literalTree ? this.#readTree(256) : undefined;
+			const length = this.#readTree(64);
+			this.#tables = { literal, length, distance: this.#readTree(64) };
+		}
+		const { literal, length: lengthTable, distance } = this.#tables;
+		const distBits = this.#largeDictionary ? 7 : 6;
+		const minLength = this.#literalTree ? 3 : 2;
+		// A match is up to 1 + 7 + 16 + 16 + 8 bits
+		while (!this.finished && (end || reader.left >= 48)) {
+			if (reader.read(1)) {
+				output.write(literal ? this.#decodeSymbol(literal) : reader.read(8));
+				continue;
+			}
+			const low = reader.read(distBits);
+			const dist = (this.#decodeSymbol(distance) << distBits | low) + 1;
+			let length = this.#decodeSymbol(lengthTable);
+			if (length === 63) length += reader.read(8);
+			output.copy(dist, Math.min(length + minLength, this.#size - output.total));
+		}
+		if (end && !this.finished) throw new Error('Invalid data: Unexpected end of compressed data.');
+		return output.take();
+	}
+}
+
+/**
+ * Class for a transform stream to decompress data with a decoder of the legacy methods
+ * @extends {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>}
+ */
+class LegacyDecompressionStream extends TransformStream {
+	/**
+	 * @param {ShrinkDecoder|ReduceDecoder|ImplodeDecoder} decoder decoder
+	 * @param {number|(() => number)} size uncompressed size, or function to get it at the end of the data
+	 */
+	constructor(decoder, size) {
+		if (typeof size === 'number') decoder.setSize(size);
+		super({
+			transform(chunk, controller) {
+				const output = decoder.push(chunk);
+				if (output.length) controller.enqueue(output);
+			},
+			flush(controller) {
+				if (typeof size === 'function') decoder.setSize(size());
+				const output = decoder.push(new U(), true);
+				if (output.length) controller.enqueue(output);
+			},
+		});
+	}
+}
+
+/**
+ * Class for a transform stream to decompress shrunk data (method 1)
+ */
+export class ShrinkDecompressionStream extends LegacyDecompressionStream {
+	/**
+	 * @param {{ size: number|(() => number) }} options uncompressed size, or function to get it at the end of the data
+	 */
+	constructor({ size }) {
+		super(new ShrinkDecoder(), size);
+	}
+}
+
+/**
+ * Class for a transform stream to decompress reduced data (methods 2-5)
+ */
+export class ReduceDecompressionStream extends LegacyDecompressionStream {
+	/**
+	 * @param {{ factor: number, size: number|(() => number) }} options compression factor (1-4) and uncompressed size, or function to get it at the end of the data
+	 */
+	constructor({ factor, size }) {
+		super(new ReduceDecoder(factor), size);
+	}
+}
+
+/**
+ * Class for a transform stream to decompress imploded data (method 6)
+ */
+export class ImplodeDecompressionStream extends LegacyDecompressionStream {
+	/**
+	 * @param {ImplodeOptions & { size: number|(() => number) }} options options and uncompressed size, or function to get it at the end of the data
+	 */
+	constructor({ size, ...options }) {
+		super(new ImplodeDecoder(options), size);
+	}
+}
@@ -0,0 +1,1219 @@
+/**
+ * LZMA Module
+ */
+
+const U = Uint8Array;
+
+// Lengths of matches are from 2 to 273
+const minMatchLength = 2;
+const maxMatchLength = 273;
+// Bytes enough to decode a literal or a match without running out of input
+const maxPacketBytes = 64;
+
+/**
+ * @typedef {object} LzmaProperties
+ * @prop {number} lc number of literal context bits (0-8)
+ * @prop {number} lp number of literal position bits (0-4)
+ * @prop {number} pb number of position bits (0-4)
+ * @prop {number} dictSize dictionary size
+ */
+
+/**
+ * Decodes the byte of the literal context bits, the literal position bits and the position bits.
+ * @param {number} d byte
+ * @returns {Omit<LzmaProperties, 'dictSize'>} properties
+ */
+const decodePropertiesByte = d => {
+	if (d >= 9 * 5 * 5) throw new Error('Invalid data: Invalid LZMA properties.');
+	const lc = d % 9;
+	d = d / 9 | 0;
+	return { lc, lp: d % 5, pb: d / 5 | 0 };
+};
+
+/**
+ * Parses the 5-byte properties of LZMA.
+ * @param {Uint8Array} bytes properties
+ * @returns {LzmaProperties} properties
+ */
+export const parseProperties = bytes => {
+	const dictSize = (bytes[1] | bytes[2] << 8 | bytes[3] << 16 | bytes[4] << 24) >>> 0;
+	return { ...decodePropertiesByte(bytes[0]), dictSize: Math.max(dictSize, 0x1000) };
+};
+
+/**
+ * Creates probabilities of the length coder: choice, choice 2, low (16 × 8), middle (16 × 8) and high (256) symbols.
+ * @returns {Uint16Array} probabilities
+ */
+const createLengthProbs = () => new Uint16Array(2 + 128 + 128 + 256).fill(1024);
+
+/**
+ * Class for the probability model shared by the decoder and the encoder
+ */
+class LzmaModel {
+	/** @type {LzmaProperties} */ props;
+	state = 0;
+	// Distances minus 1 of the last 4 matches
+	reps = [0, 0, 0, 0];
+	/** @type {Uint16Array} */ literal;
+	isMatch = new Uint16Array(12 << 4);
+	isRep = new Uint16Array(12);
+	isRepG0 = new Uint16Array(12);
+	isRepG1 = new Uint16Array(12);
+	isRepG2 = new Uint16Array(12);
+	isRep0Long = new Uint16Array(12 << 4);
+	posSlot = new Uint16Array(4 << 6);
+	posSpecial = new Uint16Array(115);
+	align = new Uint16Array(16);
+	length = createLengthProbs();
+	repLength = createLengthProbs();
+
+	/**
+	 * @param {LzmaProperties} props properties
+	 */
+	constructor(props) {
+		this.props = props;
+		this.literal = new Uint16Array(0x300 << props.lc + props.lp);
+		this.reset();
+	}
+
+	/**
+	 * Resets the state and the probabilities.
+	 */
+	reset() {
+		this.state = 0;
+		this.reps = [0, 0, 0, 0];
+		for (const probs of [this.literal, this.isMatch, this.isRep, this.isRepG0, this.isRepG1, this.isRepG2, this.isRep0Long, this.posSlot, this.posSpecial, this.align, this.length, this.repLength]) probs.fill(1024);
+	}
+}
+
+/**
+ * Class for decoding LZMA data
+ */
+export class LzmaDecoder {
+	/** @type {LzmaModel} */ #model;
+	/** @type {Uint8Array} */ #input = new U();
+	#inPos = 0;
+	#range = 0xffffffff;
+	#code = 0;
+	#initialized = false;
+	/** @type {Uint8Array} */ #out;
+	#outPos = 0;
+	// Start of the output not returned yet
+	#start = 0;
+	#windowSize;
+	// Byte length decoded since the dictionary is reset
+	#total = 0;
+	#size;
+	#finished = false;
+
+	/**
+	 * @param {LzmaProperties} props properties
+	 * @param {number} [size] uncompressed size (until the end marker if negative)
+	 */
+	constructor(props, size = -1) {
+		this.#model = new LzmaModel(props);
+		this.#size = size;
+		this.#windowSize = size >= 0 ? Math.min(props.dictSize, size) : props.dictSize;
+		this.#out = new U(Math.min(this.#windowSize, 0x100000) || 1);
+	}
+
+	/**
+	 * Sets the uncompressed size which is unknown when created (e.g. deferred to a data descriptor).
+	 * The size should be set before the last bytes are pushed.
+	 * @param {number} size uncompressed size
+	 */
+	setSize(size) {
+		this.#size = size;
+	}
+
+	/**
+	 * Whether the end of the compressed data has been reached
+	 */
+	get finished() {
+		return this.#finished;
+	}
+
+	/**
+	 * Reads a byte of the input.
+	 * @returns {number} byte
+	 */
+	#next() {
+		if (this.#inPos >= this.#input.length) throw new Error('Invalid data: Unexpected end of compressed data.');
+		return this.#input[this.#inPos++];
+	}
+
+	/**
+	 * Initializes the range decoder with the first 5 bytes of the input.
+	 */
+	#initRange() {
+		if (this.#next()) throw new Error('Invalid data: Invalid LZMA stream.');
+		this.#range = 0xffffffff;
+		this.#code = 0;
+		for (let i = 0; i < 4; i++) this.#code = this.#code * 256 + this.#next();
+	}
+
+	/**
+	 * Decodes a bit with a probability.
+	 * @param {Uint16Array} probs probabilities
+	 * @param {number} i index of the probability
+	 * @returns {number} bit
+	 */
+	#bit(probs, i) {
+		const p = probs[i];
+		const bound = (this.#range >>> 11) * p;
+		let bit = 0;
+		if (this.#code < bound) {
+			this.#range = bound;
+			probs[i] = p + (2048 - p >>> 5);
+		} else {
+			this.#range -= bound;
+			this.#code -= bound;
+			probs[i] = p - (p >>> 5);
+			bit = 1;
+		}
+		if (this.#range < 0x1000000) {
+			this.#range = this.#range * 256;
+			this.#code = this.#code * 256 + this.#next();
+		}
+		return bit;
+	}
+
+	/**
+	 * Decodes bits with the fixed probability.
+	 * @param {number} n bit length
+	 * @returns {number} value
+	 */
+	#directBits(n) {
+		let result = 0;
+		for (let i = 0; i < n; i++) {
+			this.#range = this.#range >>> 1;
+			let bit = 0;
+			if (this.#code >= this.#range) {
+				this.#code -= this.#range;
+				bit = 1;
+			}
+			result = result * 2 + bit;
+			if (this.#range < 0x1000000) {
+				this.#range = this.#range * 256;
+				this.#code = this.#code * 256 + this.#next();
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Decodes a symbol with a bit tree.
+	 * @param {Uint16Array} probs probabilities
+	 * @param {number} offset offset of the tree
+	 * @param {number} n bit length
+	 * @returns {number} symbol
+	 */
+	#tree(probs, offset, n) {
+		let m = 1;
+		for (let i = 0; i < n; i++) m = m << 1 | this.#bit(probs, offset + m);
+		return m - (1 << n);
+	}
+
+	/**
+	 * Decodes a symbol with a bit tree from the least significant bit.
+	 * @param {Uint16Array} probs probabilities
+	 * @param {number} offset offset of the tree
+	 * @param {number} n bit length
+	 * @returns {number} symbol
+	 */
+	#reverseTree(probs, offset, n) {
+		let m = 1, symbol = 0;
+		for (let i = 0; i < n; i++) {
+			const bit = this.#bit(probs, offset + m);
+			m = m << 1 | bit;
+			symbol |= bit << i;
+		}
+		return symbol;
+	}
+
+	/**
+	 * Decodes a length.
+	 * @param {Uint16Array} probs probabilities of the length coder
+	 * @param {number} posState position state
+	 * @returns {number} length minus the minimum
+	 */
+	#length(probs, posState) {
+		if (!this.#bit(probs, 0)) return this.#tree(probs, 2 + (posState << 3) - 1, 3);
+		if (!this.#bit(probs, 1)) return 8 + this.#tree(probs, 130 + (posState << 3) - 1, 3);
+		return 16 + this.#tree(probs, 258 - 1, 8);
+	}
+
+	/**
+	 * Decodes a distance.
+	 * @param {number} length length minus the minimum
+	 * @returns {number} distance minus 1
+	 */
+	#distance(length) {
+		const model = this.#model;
+		const slot = this.#tree(model.posSlot, (Math.min(length, 3) << 6) - 1, 6);
+		if (slot < 4) return slot;
+		const n = (slot >>> 1) - 1;
+		const base = (2 | slot & 1) * 2 ** n;
+		if (slot < 14) return base + this.#reverseTree(model.posSpecial, base - slot - 1, n);
+		return base + this.#directBits(n - 4) * 16 + this.#reverseTree(model.align, -1, 4);
+	}
+
+	/**
+	 * Makes room in the output buffer, sliding the window if needed.
+	 * @param {number} n byte length to write
+	 */
+	#reserve(n) {
+		if (this.#outPos + n <= this.#out.length) return;
+		// Bytes before both the window and the output not returned yet can be discarded
+		const shift = Math.max(0, Math.min(this.#start, this.#outPos - this.#windowSize));
+		if (shift >= this.#out.length >>> 1) {
+			this.#out.copyWithin(0, shift, this.#outPos);
+			this.#outPos -= shift;
+			this.#start -= shift;
+		}
+		if (this.#outPos + n > this.#out.length) {
+			const grown = new U(Math.max(this.#out.length * 2, this.#outPos + n));
+			grown.set(this.#out.subarray(0, this.#outPos));
+			this.#out = grown;
+		}
+	}
+
+	/**
+	 * Decodes literals and matches until the length is reached or the input runs short.
+	 * @param {number} limit length since the dictionary is reset to stop at (no limit if negative)
+	 * @param {boolean} end whether no more bytes are pushed
+	 * @returns {boolean} whether the end marker is found
+	 */
+	#decode(limit, end) {
+		const input = this.#input;
+		const model = this.#model;
+		const { lc, lp, pb } = model.props;
+		const reps = model.reps;
+		while (this.#total !== limit && (end || this.#inPos + maxPacketBytes <= input.length)) {
+			const out = this.#out;
+			const posState = this.#total & (1 << pb) - 1;
+			const state = model.state;
+			if (!this.#bit(model.isMatch, state << 4 | posState)) {
+				// Literal
+				const prevByte = this.#total ? out[this.#outPos - 1] : 0;
+				const offset = 0x300 * (((this.#total & (1 << lp) - 1) << lc) + (prevByte >>> 8 - lc));
+				let symbol = 1;
+				if (state >= 7) {
+					let matchByte = out[this.#outPos - reps[0] - 1];
+					do {
+						const matchBit = matchByte >>> 7 & 1;
+						matchByte <<= 1;
+						const bit = this.#bit(model.literal, offset + ((1 + matchBit) << 8) + symbol);
+						symbol = symbol << 1 | bit;
+						if (matchBit !== bit) break;
+					} while (symbol < 0x100);
+				}
+				while (symbol < 0x100) symbol = symbol << 1 | this.#bit(model.literal, offset + symbol);
+				this.#reserve(1);
+				this.#out[this.#outPos++] = symbol;
+				this.#total++;
+				model.state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6;
+				continue;
+			}
+			let length;
+			if (!this.#bit(model.isRep, state)) {
+				// Simple match
+				length = this.#length(model.length, posState);
+				model.state = state < 7 ? 7 : 10;
+				const distance = this.#distance(length);
+				if (distance === 0xffffffff) return true;
+				reps.unshift(distance);
+				reps.pop();
+			} else {
+				if (!this.#bit(model.isRepG0, state)) {
+					if (!this.#bit(model.isRep0Long, state << 4 | posState)) {
+						// Short repeated match of a byte
+						model.state = state < 7 ? 9 : 11;
+						if (reps[0] >= Math.min(this.#total, this.#windowSize)) throw new Error('Invalid data: Distance is too far back.');
+						this.#reserve(1);
+						this.#out[this.#outPos] = this.#out[this.#outPos - reps[0] - 1];
+						this.#outPos++;
+						this.#total++;
+						continue;
+					}
+				} else {
+					const i = !this.#bit(model.isRepG1, state) ? 1 : !this.#bit(model.isRepG2, state) ? 2 : 3;
+					reps.unshift(...reps.splice(i, 1));
+				}
+				length = this.#length(model.repLength, posState);
+				model.state = state < 7 ? 8 : 11;
+			}
+			length += minMatchLength;
+			const dist = reps[0] + 1;
+			if (dist > Math.min(this.#total, this.#windowSize)) throw new Error('Invalid data: Distance is too far back.');
+			if (limit >= 0 && this.#total + length > limit) throw new Error('Invalid data: Data is longer than the size.');
+			this.#reserve(length);
+			const buf = this.#out;
+			for (let i = 0, p = this.#outPos; i < length; i++, p++) buf[p] = buf[p - dist];
+			this.#outPos += length;
+			this.#total += length;
+		}
+		return false;
+	}
+
+	/**
+	 * Pushes compressed bytes and returns decompressed bytes.
+	 * @param {Uint8Array} bytes compressed bytes
+	 * @param {boolean} [end] whether no more bytes are pushed
+	 * @returns {Uint8Array<ArrayBuffer>} decompressed bytes
+	 */
+	push(bytes, end = false) {
+		const rest = this.#input.subarray(this.#inPos);
+		const input = new U(rest.length + bytes.length);
+		input.set(rest);
+		input.set(bytes, rest.length);
+		this.#input = input;
+		this.#inPos = 0;
+		if (!this.#initialized) {
+			if (input.length < 5 && !end) return new U();
+			this.#initRange();
+			this.#initialized = true;
+		}
+		if (!this.#finished) {
+			if (this.#decode(this.#size, end)) {
+				if (this.#size >= 0 && this.#total !== this.#size) throw new Error('Invalid data: Unexpected end marker.');
+				this.#finished = true;
+			} else if (this.#total === this.#size) {
+				this.#finished = true;
+			}
+		}
+		if (end && !this.#finished) throw new Error('Invalid data: Unexpected end of compressed data.');
+		return this.take();
+	}
+
+	/**
+	 * Resets the state and the probabilities for a chunk of LZMA2.
+	 * @param {Omit<LzmaProperties, 'dictSize'>} [props] new properties
+	 */
+	reset(props) {
+		if (props) this.#model = new LzmaModel({ ...props, dictSize: this.#model.props.dictSize });
+		else this.#model.reset();
+	}
+
+	/**
+	 * Resets the dictionary for a chunk of LZMA2.
+	 */
+	resetDictionary() {
+		this.#total = 0;
+	}
+
+	/**
+	 * Decodes a compressed chunk of LZMA2, whose range coder is initialized in each chunk.
+	 * @param {Uint8Array} bytes compressed bytes
+	 * @param {number} size uncompressed size
+	 */
+	decodeChunk(bytes, size) {
+		this.#input = bytes;
+		this.#inPos = 0;
+		this.#initRange();
+		const limit = this.#total + size;
+		if (this.#decode(limit, true) || this.#inPos !== bytes.length) throw new Error('Invalid data: Invalid LZMA2 chunk.');
+	}
+
+	/**
+	 * Writes an uncompressed chunk of LZMA2.
+	 * @param {Uint8Array} bytes uncompressed bytes
+	 */
+	write(bytes) {
+		this.#reserve(bytes.length);
+		this.#out.set(bytes, this.#outPos);
+		this.#outPos += bytes.length;
+		this.#total += bytes.length;
+	}
+
+	/**
+	 * Takes the decompressed bytes not returned yet.
+	 * @returns {Uint8Array<ArrayBuffer>} decompressed bytes
+	 */
+	take() {
+		const output = this.#out.slice(this.#start, this.#outPos);
+		this.#start = this.#outPos;
+		return output;
+	}
+}
+
+/**
+ * Class for decoding LZMA2 data
+ */
+export class Lzma2Decoder {
+	/** @type {LzmaDecoder} */ #decoder;
+	/** @type {Uint8Array} */ #input = new U();
+	#inPos = 0;
+	#needDictionaryReset = true;
+	#needProperties = true;
+	#finished = false;
+
+	/**
+	 * @param {number} dictSize dictionary size
+	 */
+	constructor(dictSize) {
+		this.#decoder = new LzmaDecoder({ lc: 0, lp: 0, pb: 0, dictSize });
+	}
+
+	/**
+	 * Whether the end of the compressed data has been reached
+	 */
+	get finished() {
+		return this.#finished;
+	}
+
+	/**
+	 * Bytes after the end of the compressed data
+	 */
+	get remaining() {
+		return this.#input.subarray(this.#inPos);
+	}
+
+	/**
+	 * Pushes compressed bytes and returns decompressed bytes.
+	 * @param {Uint8Array} bytes compressed bytes
+	 * @param {boolean} [end] whether no more bytes are pushed
+	 * @returns {Uint8Array<ArrayBuffer>} decompressed bytes
+	 */
+	push(bytes, end = false) {
+		const rest = this.#input.subarray(this.#inPos);
+		const input = new U(rest.length + bytes.length);
+		input.set(rest);
+		input.set(bytes, rest.length);
+		this.#input = input;
+		this.#inPos = 0;
+		const decoder = this.#decoder;
+		while (!this.#finished && this.#inPos < input.length) {
+			const p = this.#inPos;
+			const control = input[p];
+			if (!control) {
+				this.#inPos++;
+				this.#finished = true;
+				break;
+			}
+			if (control === 1 || control >= 0xe0) {
+				decoder.resetDictionary();
+				this.#needDictionaryReset = false;
+			} else if (this.#needDictionaryReset) {
+				throw new Error('Invalid data: Dictionary is not reset.');
+			}
+			if (control < 0x80) {
+				// Uncompressed chunk
+				if (control > 2) throw new Error('Invalid data: Invalid LZMA2 chunk.');
+				if (p + 3 > input.length) break;
+				const size = (input[p + 1] << 8 | input[p + 2]) + 1;
+				if (p + 3 + size > input.length) break;
+				decoder.write(input.subarray(p + 3, p + 3 + size));
+				this.#inPos = p + 3 + size;
+				if (control === 1) this.#needProperties = true;
+				continue;
+			}
+			const headerSize = control >= 0xc0 ? 6 : 5;
+			if (p + headerSize > input.length) break;
+			const size = ((control & 0x1f) << 16 | input[p + 1] << 8 | input[p + 2]) + 1;
+			const packedSize = (input[p + 3] << 8 | input[p + 4]) + 1;
+			if (p + headerSize + packedSize > input.length) break;
+			if (control >= 0xc0) {
+				const props = decodePropertiesByte(input[p + 5]);
+				if (props.lc + props.lp > 4) throw new Error('Invalid data: Invalid LZMA properties.');
+				decoder.reset(props);
+				this.#needProperties = false;
+			} else if (this.#needProperties) {
+				throw new Error('Invalid data: LZMA properties are not set.');
+			} else if (control >= 0xa0) {
+				decoder.reset();
+			}
+			decoder.decodeChunk(input.subarray(p + headerSize, p + headerSize + packedSize), size);
+			this.#inPos = p + headerSize + packedSize;
+		}
+		if (end && !this.#finished) throw new Error('Invalid data: Unexpected end of compressed data.');
+		return decoder.take();
+	}
+}
+
+/**
+ * @typedef {object} LzmaDecompressionStreamOptions
+ * @prop {number|(() => number)} [size] uncompressed size, or function to get it at the end of the data (until the end marker if not set)
+ */
+
+/**
+ * Class for a transform stream to decompress LZMA data of a ZIP entry (method 14)
+ * The data starts with the version of the LZMA SDK (2 bytes), the size of the properties (2 bytes) and the properties.
+ * @extends {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>}
+ */
+export class LzmaDecompressionStream extends TransformStream {
+	/**
+	 * @param {LzmaDecompressionStreamOptions} [options] options
+	 */
+	constructor(options) {
+		/** @type {LzmaDecoder?} */
+		let decoder = null;
+		let header = new U();
+		/**
+		 * @param {Uint8Array} chunk compressed bytes
+		 * @param {boolean} end whether no more bytes are pushed
+		 * @returns {Uint8Array<ArrayBuffer>} decompressed bytes
+		 */
+		const push = (chunk, end) => {
+			if (!decoder) {
+				const bytes = new U(header.length + chunk.length);
+				bytes.set(header);
+				bytes.set(chunk, header.length);
+				const propsSize = bytes.length >= 4 ? bytes[2] | bytes[3] << 8 : 5;
+				if (bytes.length < 4 + propsSize) {
+					if (end) throw new Error('Invalid data: Unexpected end of compressed data.');
+					header = bytes;
+					return new U();
+				}
+				if (propsSize !== 5) throw new Error('Invalid data: Invalid LZMA properties.');
+				const size = options?.size;
+				decoder = new LzmaDecoder(parseProperties(bytes.subarray(4, 9)), typeof size === 'number' ? size : -1);
+				chunk = bytes.subarray(9);
+			}
+			// Bytes before the end are decoded with the margin of a packet, so the size is needed only for the last bytes
+			if (end && typeof options?.size === 'function') decoder.setSize(options.size());
+			return decoder.push(chunk, end);
+		};
+		super({
+			transform(chunk, controller) {
+				const output = push(chunk, false);
+				if (output.length) controller.enqueue(output);
+			},
+			flush(controller) {
+				const output = push(new U(), true);
+				if (output.length) controller.enqueue(output);
+			},
+		});
+	}
+}
+
+// Prices in bits of encoding a bit 0 with each probability
+const bitPrices = Float64Array.from({ length: 2049 }, (_, p) => -Math.log2(p / 2048));
+
+/**
+ * Gets the price of a bit.
+ * @param {number} prob probability of the bit 0
+ * @param {number} bit bit
+ * @returns {number} price in bits
+ */
+const bitPrice = (prob, bit) => bitPrices[bit ? 2048 - prob : prob];
+
+/**
+ * Gets the price of a symbol encoded with a bit tree.
+ * @param {Uint16Array} probs probabilities
+ * @param {number} offset offset of the tree
+ * @param {number} n bit length
+ * @param {number} symbol symbol
+ * @param {boolean} [reverse] whether from the least significant bit
+ * @returns {number} price in bits
+ */
+const treePrice = (probs, offset, n, symbol, reverse = false) => {
+	let price = 0, m = 1;
+	for (let i = 0; i < n; i++) {
+		const bit = symbol >>> (reverse ? i : n - 1 - i) & 1;
+		price += bitPrice(probs[offset + m], bit);
+		m = m << 1 | bit;
+	}
+	return price;
+};
+
+// Bits discounted from the price of a match when compared per byte, in favour of shorter matches,
+// whose rest is likely to be matched again (tuned so that higher levels do not compress worse)
+const matchPriceDiscount = 5;
+
+/**
+ * Checks if a distance is much shorter than another, so that a match one byte shorter with it costs less.
+ * @param {number} small shorter distance
+ * @param {number} big longer distance
+ * @returns {boolean} whether the distance is much shorter
+ */
+const isMuchCloser = (small, big) => small < big >>> 7;
+
+// Dictionary size in bits, maximum length of hash chains and nice length of matches for each compression level
+const levelParams = {
+	1: [16, 4, 16],
+	2: [18, 8, 32],
+	3: [20, 16, 32],
+	4: [20, 32, 64],
+	5: [22, 32, 64],
+	6: [22, 64, 128],
+	7: [23, 128, 128],
+	8: [24, 256, 273],
+	9: [24, 1024, 273],
+	best: [24, 4096, 273],
+};
+
+/**
+ * @typedef {object} LzmaEncoderOptions
+ * @prop {number|'best'} [level] compression level from 1 to 9, or `'best'` (Default: 6)
+ * @prop {boolean} [endMarker] whether to write the end marker (Default: `true`)
+ */
+
+/**
+ * Class for encoding LZMA data
+ */
+export class LzmaEncoder {
+	/** @type {LzmaModel} */ #model;
+	#dictSize;
+	#maxChain;
+	#nice;
+	#endMarker;
+	#buffer = new U(0x20000);
+	#length = 0;
+	#pos = 0;
+	// Byte length discarded from the buffer
+	#offset = 0;
+	#head = new Int32Array(0x10000).fill(-1);
+	/** @type {Int32Array} */ #prev;
+	// Range encoder
+	#low = 0;
+	#range = 0xffffffff;
+	#cache = 0;
+	#cacheSize = 1;
+	#out = new U(0x10000);
+	#outLength = 0;
+	#finished = false;
+
+	/**
+	 * @param {LzmaEncoderOptions} [options] options
+	 */
+	constructor(options) {
+		const level = options?.level ?? 6;
+		if (!(level in levelParams)) throw new RangeError('Invalid compression level: ' + level);
+		const [dictBits, maxChain, nice] = levelParams[/** @type {keyof levelParams} */ (level)];
+		this.#dictSize = 1 << dictBits;
+		this.#maxChain = maxChain;
+		this.#nice = nice;
+		this.#endMarker = options?.endMarker ?? true;
+		this.#prev = new Int32Array(this.#dictSize).fill(-1);
+		this.#model = new LzmaModel({ lc: 3, lp: 0, pb: 2, dictSize: this.#dictSize });
+	}
+
+	/**
+	 * 5-byte properties of the encoded data
+	 */
+	get properties() {
+		const { lc, lp, pb } = this.#model.props;
+		const d = this.#dictSize;
+		return U.of((pb * 5 + lp) * 9 + lc, d & 0xff, d >>> 8 & 0xff, d >>> 16 & 0xff, d >>> 24 & 0xff);
+	}
+
+	/**
+	 * Pushes uncompressed bytes and returns compressed bytes.
+	 * @param {Uint8Array} bytes uncompressed bytes
+	 * @param {boolean} [end] whether no more bytes are pushed
+	 * @returns {Uint8Array<ArrayBuffer>} compressed bytes
+	 */
+	push(bytes, end = false) {
+		if (this.#finished) throw new Error('Compression has already finished.');
+		this.#append(bytes);
+		this.#encode(end);
+		if (end) {
+			if (this.#endMarker) this.#encodeMatch(0xffffffff, minMatchLength, (this.#offset + this.#pos) & 3);
+			for (let i = 0; i < 5; i++) this.#shiftLow();
+			this.#finished = true;
+		}
+		const output = this.#out.slice(0, this.#outLength);
+		this.#outLength = 0;
+		return output;
+	}
+
+	/**
+	 * Appends bytes to the buffer, sliding the window if needed.
+	 * @param {Uint8Array} bytes bytes
+	 */
+	#append(bytes) {
+		const dictSize = this.#dictSize;
+		if (this.#length + bytes.length > this.#buffer.length) {
+			// Discards the bytes before the dictionary, in multiples of the dictionary size
+			const shift = Math.max(this.#pos - dictSize, 0) & ~(dictSize - 1);
+			if (shift) {
+				this.#buffer.copyWithin(0, shift, this.#length);
+				this.#length -= shift;
+				this.#pos -= shift;
+				this.#offset += shift;
+				for (const table of [this.#head, this.#prev]) {
+					for (let i = 0; i < table.length; i++) table[i] = table[i] >= shift ? table[i] - shift : -1;
+				}
+			}
+			if (this.#length + bytes.length > this.#buffer.length) {
+				const grown = new U(Math.max(this.#buffer.length * 2, this.#length + bytes.length));
+				grown.set(this.#buffer.subarray(0, this.#length));
+				this.#buffer = grown;
+			}
+		}
+		this.#buffer.set(bytes, this.#length);
+		this.#length += bytes.length;
+	}
+
+	/**
+	 * Writes a byte to the output.
+	 * @param {number} byte byte
+	 */
+	#write(byte) {
+		if (this.#outLength >= this.#out.length) {
+			const grown = new U(this.#out.length * 2);
+			grown.set(this.#out);
+			this.#out = grown;
+		}
+		this.#out[this.#outLength++] = byte;
+	}
+
+	/**
+	 * Shifts the low value of the range encoder, writing a byte with the carry.
+	 */
+	#shiftLow() {
+		if (this.#low < 0xff000000 || this.#low >= 0x100000000) {
+			const carry = this.#low >= 0x100000000 ? 1 : 0;
+			let temp = this.#cache;
+			do {
+				this.#write(temp + carry & 0xff);
+				temp = 0xff;
+			} while (--this.#cacheSize);
+			this.#cache = this.#low >>> 24 & 0xff;
+		}
+		this.#cacheSize++;
+		this.#low = (this.#low & 0xffffff) * 256;
+	}
+
+	/**
+	 * Encodes a bit with a probability.
+	 * @param {Uint16Array} probs probabilities
+	 * @param {number} i index of the probability
+	 * @param {number} bit bit
+	 */
+	#bit(probs, i, bit) {
+		const p = probs[i];
+		const bound = (this.#range >>> 11) * p;
+		if (bit) {
+			this.#low += bound;
+			this.#range -= bound;
+			probs[i] = p - (p >>> 5);
+		} else {
+			this.#range = bound;
+			probs[i] = p + (2048 - p >>> 5);
+		}
+		while (this.#range < 0x1000000) {
+			this.#range *= 256;
+			this.#shiftLow();
+		}
+	}
+
+	/**
+	 * Encodes bits with the fixed probability.
+	 * @param {number} value value
+	 * @param {number} n bit length
+	 */
+	#directBits(value, n) {
+		for (let i = n - 1; i >= 0; i--) {
+			this.#range = this.#range >>> 1;
+			if (value >>> i & 1) this.#low += this.#range;
+			while (this.#range < 0x1000000) {
+				this.#range *= 256;
+				this.#shiftLow();
+			}
+		}
+	}
+
+	/**
+	 * Encodes a symbol with a bit tree.
+	 * @param {Uint16Array} probs probabilities
+	 * @param {number} offset offset of the tree
+	 * @param {number} n bit length
+	 * @param {number} symbol symbol
+	 */
+	#tree(probs, offset, n, symbol) {
+		let m = 1;
+		for (let i = n - 1; i >= 0; i--) {
+			const bit = symbol >>> i & 1;
+			this.#bit(probs, offset + m, bit);
+			m = m << 1 | bit;
+		}
+	}
+
+	/**
+	 * Encodes a symbol with a bit tree from the least significant bit.
+	 * @param {Uint16Array} probs probabilities
+	 * @param {number} offset offset of the tree
+	 * @param {number} n bit length
+	 * @param {number} symbol symbol
+	 */
+	#reverseTree(probs, offset, n, symbol) {
+		let m = 1;
+		for (let i = 0; i < n; i++) {
+			const bit = symbol >>> i & 1;
+			this.#bit(probs, offset + m, bit);
+			m = m << 1 | bit;
+		}
+	}
+
+	/**
+	 * Encodes a length.
+	 * @param {Uint16Array} probs probabilities of the length coder
+	 * @param {number} length length minus the minimum
+	 * @param {number} posState position state
+	 */
+	#encodeLength(probs, length, posState) {
+		if (length < 8) {
+			this.#bit(probs, 0, 0);
+			this.#tree(probs, 2 + (posState << 3) - 1, 3, length);
+		} else if (length < 16) {
+			this.#bit(probs, 0, 1);
+			this.#bit(probs, 1, 0);
+			this.#tree(probs, 130 + (posState << 3) - 1, 3, length - 8);
+		} else {
+			this.#bit(probs, 0, 1);
+			this.#bit(probs, 1, 1);
+			this.#tree(probs, 258 - 1, 8, length - 16);
+		}
+	}
+
+	/**
+	 * Encodes a literal.
+	 * @param {number} pos position in the buffer
+	 * @param {number} posState position state
+	 */
+	#encodeLiteral(pos, posState) {
+		const model = this.#model;
+		const buf = this.#buffer;
+		const { lc, lp } = model.props;
+		const state = model.state;
+		this.#bit(model.isMatch, state << 4 | posState, 0);
+		const total = this.#offset + pos;
+		const prevByte = total ? buf[pos - 1] : 0;
+		const offset = 0x300 * (((total & (1 << lp) - 1) << lc) + (prevByte >>> 8 - lc));
+		const byte = buf[pos];
+		let symbol = 1;
+		let matched = state >= 7;
+		const matchByte = matched ? buf[pos - model.reps[0] - 1] : 0;
+		for (let i = 7; i >= 0; i--) {
+			const bit = byte >>> i & 1;
+			if (matched) {
+				const matchBit = matchByte >>> i & 1;
+				this.#bit(model.literal, offset + ((1 + matchBit) << 8) + symbol, bit);
+				matched = matchBit === bit;
+			} else {
+				this.#bit(model.literal, offset + symbol, bit);
+			}
+			symbol = symbol << 1 | bit;
+		}
+		model.state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6;
+	}
+
+	/**
+	 * Encodes a simple match.
+	 * @param {number} distance distance minus 1 (0xffffffff for the end marker)
+	 * @param {number} length length
+	 * @param {number} posState position state
+	 */
+	#encodeMatch(distance, length, posState) {
+		const model = this.#model;
+		const state = model.state;
+		this.#bit(model.isMatch, state << 4 | posState, 1);
+		this.#bit(model.isRep, state, 0);
+		length -= minMatchLength;
+		this.#encodeLength(model.length, length, posState);
+		model.state = state < 7 ? 7 : 10;
+		let slot = distance;
+		if (distance >= 4) {
+			const n = 31 - Math.clz32(distance);
+			slot = n << 1 | distance >>> n - 1 & 1;
+		}
+		this.#tree(model.posSlot, (Math.min(length, 3) << 6) - 1, 6, slot);
+		if (slot >= 4) {
+			const n = (slot >>> 1) - 1;
+			const base = (2 | slot & 1) * 2 ** n;
+			const reduced = distance - base;
+			if (slot < 14) {
+				this.#reverseTree(model.posSpecial, base - slot - 1, n, reduced);
+			} else {
+				this.#directBits(reduced >>> 4, n - 4);
+				this.#reverseTree(model.align, -1, 4, reduced & 15);
+			}
+		}
+		model.reps.unshift(distance);
+		model.reps.pop();
+	}
+
+	/**
+	 * Encodes a repeated match.
+	 * @param {number} index index of the repeated distance (0-3)
+	 * @param {number} length length (1 for a short repeated match of a byte)
+	 * @param {number} posState position state
+	 */
+	#encodeRepMatch(index, length, posState) {
+		const model = this.#model;
+		const state = model.state;
+		this.#bit(model.isMatch, state << 4 | posState, 1);
+		this.#bit(model.isRep, state, 1);
+		if (!index) {
+			this.#bit(model.isRepG0, state, 0);
+			this.#bit(model.isRep0Long, state << 4 | posState, length === 1 ? 0 : 1);
+			if (length === 1) {
+				model.state = state < 7 ? 9 : 11;
+				return;
+			}
+		} else {
+			this.#bit(model.isRepG0, state, 1);
+			this.#bit(model.isRepG1, state, index === 1 ? 0 : 1);
+			if (index > 1) this.#bit(model.isRepG2, state, index === 2 ? 0 : 1);
+			model.reps.unshift(...model.reps.splice(index, 1));
+		}
+		this.#encodeLength(model.repLength, length - minMatchLength, posState);
+		model.state = state < 7 ? 8 : 11;
+	}
+
+	/**
+	 * Inserts the position into the hash chains and returns the previous head.
+	 * @param {number} pos position
+	 * @returns {number} previous position with the same hash (-1 if none)
+	 */
+	#insert(pos) {
+		const buf = this.#buffer;
+		if (pos + 2 >= this.#length) return -1;
+		const hash = Math.imul(buf[pos] | buf[pos + 1] << 8 | buf[pos + 2] << 16, 0x9e3779b1) >>> 16;
+		const head = this.#head[hash];
+		this.#prev[pos & this.#dictSize - 1] = head;
+		this.#head[hash] = pos;
+		return head;
+	}
+
+	/**
+	 * Estimates the price of a simple match with the current probabilities.
+	 * @param {number} distance distance minus 1
+	 * @param {number} length length
+	 * @param {number} posState position state
+	 * @returns {number} price in bits
+	 */
+	#matchPrice(distance, length, posState) {
+		const model = this.#model;
+		const state = model.state;
+		let price = bitPrice(model.isMatch[state << 4 | posState], 1) + bitPrice(model.isRep[state], 0);
+		const probs = model.length, l = length - minMatchLength;
+		price += l < 8 ? bitPrice(probs[0], 0) + treePrice(probs, 2 + (posState << 3) - 1, 3, l)
+			: l < 16 ? bitPrice(probs[0], 1) + bitPrice(probs[1], 0) + treePrice(probs, 130 + (posState << 3) - 1, 3, l - 8)
+			: bitPrice(probs[0], 1) + bitPrice(probs[1], 1) + treePrice(probs, 258 - 1, 8, l - 16);
+		let slot = distance;
+		if (distance >= 4) {
+			const n = 31 - Math.clz32(distance);
+			slot = n << 1 | distance >>> n - 1 & 1;
+		}
+		price += treePrice(model.posSlot, (Math.min(l, 3) << 6) - 1, 6, slot);
+		if (slot >= 4) {
+			const n = (slot >>> 1) - 1;
+			const base = (2 | slot & 1) * 2 ** n;
+			const reduced = distance - base;
+			price += slot < 14 ? treePrice(model.posSpecial, base - slot - 1, n, reduced, true)
+				: n - 4 + treePrice(model.align, -1, 4, reduced & 15, true);
+		}
+		return price;
+	}
+
+	/**
+	 * Estimates the price of literals with the current probabilities.
+	 * @param {number} pos position of the first literal
+	 * @param {number} count number of literals
+	 * @returns {number} price in bits
+	 */
+	#literalPrice(pos, count) {
+		const model = this.#model;
+		const buf = this.#buffer;
+		const { lc, lp } = model.props;
+		let price = 0, state = model.state;
+		for (let k = 0; k < count; k++) {
+			const p = pos + k, total = this.#offset + p;
+			price += bitPrice(model.isMatch[state << 4 | total & 3], 0);
+			const prevByte = total ? buf[p - 1] : 0;
+			const offset = 0x300 * (((total & (1 << lp) - 1) << lc) + (prevByte >>> 8 - lc));
+			const byte = buf[p];
+			let symbol = 1;
+			let matched = state >= 7;
+			const matchByte = matched ? buf[p - model.reps[0] - 1] : 0;
+			for (let i = 7; i >= 0; i--) {
+				const bit = byte >>> i & 1;
+				if (matched) {
+					const matchBit = matchByte >>> i & 1;
+					price += bitPrice(model.literal[offset + ((1 + matchBit) << 8) + symbol], bit);
+					matched = matchBit === bit;
+				} else {
+					price += bitPrice(model.literal[offset + symbol], bit);
+				}
+				symbol = symbol << 1 | bit;
+			}
+			state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6;
+		}
+		return price;
+	}
+
+	/**
+	 * Inserts the position into the hash chains and finds the matches longer than each other,
+	 * whose distances are in ascending order.
+	 * @param {number} pos position
+	 * @returns {number[]} pairs of the length and distance of the matches
+	 */
+	#findMatches(pos) {
+		const buf = this.#buffer;
+		const maxLength = Math.min(maxMatchLength, this.#length - pos);
+		const candidate = this.#insert(pos);
+		/** @type {number[]} */
+		const matches = [];
+		if (candidate < 0 || maxLength < 3) return matches;
+		const limit = pos - this.#dictSize;
+		let chain = this.#maxChain;
+		let bestLength = minMatchLength;
+		for (let cur = candidate; cur >= 0 && cur >= limit && chain--; ) {
+			if (buf[cur + bestLength] === buf[pos + bestLength] && buf[cur] === buf[pos] && buf[cur + 1] === buf[pos + 1]) {
+				let len = 2;
+				while (len < maxLength && buf[cur + len] === buf[pos + len]) len++;
+				if (len > bestLength) {
+					bestLength = len;
+					matches.push(len, pos - cur);
+					if (len >= this.#nice || len === maxLength) break;
+				}
+			}
+			const next = this.#prev[cur & this.#dictSize - 1];
+			if (next >= cur) break;
+			cur = next;
+		}
+		return matches;
+	}
+
+	/**
+	 * Gets the length of the longest repeated match at a position.
+	 * @param {number} pos position
+	 * @returns {[number, number]} length and index of the repeated distance
+	 */
+	#findRepMatch(pos) {
+		const buf = this.#buffer;
+		const reps = this.#model.reps;
+		const total = this.#offset + pos;
+		const maxLength = Math.min(maxMatchLength, this.#length - pos);
+		let repLength = 0, repIndex = 0;
+		for (let i = 0; i < 4; i++) {
+			const d = reps[i] + 1;
+			if (d > Math.min(total, this.#dictSize)) continue;
+			let len = 0;
+			while (len < maxLength && buf[pos + len] === buf[pos + len - d]) len++;
+			if (len > repLength) {
+				repLength = len;
+				repIndex = i;
+			}
+		}
+		return [repLength, repIndex];
+	}
+
+	/**
+	 * Encodes the bytes in the buffer.
+	 * A match is chosen by comparing its length and distance with the shorter ones, the repeated ones and the one at the next position,
+	 * since a longer match far back may cost more than a shorter one or literals.
+	 * @param {boolean} end whether no more bytes are pushed
+	 */
+	#encode(end) {
+		const buf = this.#buffer;
+		const reps = this.#model.reps;
+		// Keeps the lookahead for the longest match unless at the end
+		const limit = end ? this.#length : this.#length - maxMatchLength;
+		let pos = this.#pos;
+		// Matches at the position already found by looking ahead
+		/** @type {number[]?} */
+		let found = null;
+		while (pos < limit) {
+			const total = this.#offset + pos;
+			const posState = total & 3;
+			const matches = found ?? this.#findMatches(pos);
+			found = null;
+			let [length, dist] = this.#chooseMatch(matches, posState);
+			// A short match far back may cost more than literals
+			if (length && length < 8 && this.#matchPrice(dist - 1, length, posState) >= this.#literalPrice(pos, length)) length = 0;
+			const [repLength, repIndex] = this.#findRepMatch(pos);
+			let advance = 1;
+			if (repLength >= minMatchLength && (repLength >= this.#nice || repLength + 1 >= length
+				|| repLength + 2 >= length && dist > 1 << 9 || repLength + 3 >= length && dist > 1 << 15)) {
+				this.#encodeRepMatch(repIndex, repLength, posState);
+				advance = repLength;
+			} else if (length && (length >= this.#nice || pos + 1 >= limit || !this.#isNextBetter(pos, length, dist, found = this.#findMatches(pos + 1)))) {
+				this.#encodeMatch(dist - 1, length, posState);
+				advance = length;
+			} else if (total > reps[0] && buf[pos] === buf[pos - reps[0] - 1]) {
+				this.#encodeRepMatch(0, 1, posState);
+			} else {
+				this.#encodeLiteral(pos, posState);
+			}
+			if (advance > 1) {
+				// The next position has been inserted if looked ahead
+				for (let i = found ? 2 : 1; i < advance; i++) this.#insert(pos + i);
+				found = null;
+			}
+			pos += advance;
+		}
+		this.#pos = pos;
+	}
+
+	/**
+	 * Chooses the match of the least price per byte, since a longer match far back may cost more than a shorter one.
+	 * @param {number[]} matches pairs of the length and distance of the matches
+	 * @param {number} posState position state
+	 * @returns {[number, number]} length and distance of the match (length 0 if not found)
+	 */
+	#chooseMatch(matches, posState) {
+		let length = 0, dist = 0, best = Infinity;
+		for (let k = matches.length - 2; k >= 0; k -= 2) {
+			const price = (this.#matchPrice(matches[k + 1] - 1, matches[k], posState) - matchPriceDiscount) / matches[k];
+			if (price < best) {
+				best = price;
+				length = matches[k];
+				dist = matches[k + 1];
+			}
+		}
+		return [length, dist];
+	}
+
+	/**
+	 * Checks if the next position has a better match, for which the current byte should be a literal.
+	 * @param {number} pos position
+	 * @param {number} length length of the match at the position
+	 * @param {number} dist distance of the match at the position
+	 * @param {number[]} matches matches at the next position
+	 * @returns {boolean} whether the next position has a better match
+	 */
+	#isNextBetter(pos, length, dist, matches) {
+		if (matches.length) {
+			const [nextLength, nextDist] = this.#chooseMatch(matches, this.#offset + pos + 1 & 3);
+			if (nextLength >= length && nextDist < dist
+				|| nextLength === length + 1 && !isMuchCloser(dist, nextDist)
+				|| nextLength > length + 1
+				|| nextLength + 1 >= length && length >= 3 && isMuchCloser(nextDist, dist)) return true;
+		}
+		const [repLength] = this.#findRepMatch(pos + 1);
+		return repLength >= Math.max(length - 1, minMatchLength);
+	}
+}
+
+/**
+ * Class for a transform stream to compress data into LZMA data of a ZIP entry (method 14)
+ * @extends {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>}
+ */
+export class LzmaCompressionStream extends TransformStream {
+	/**
+	 * @param {LzmaEncoderOptions} [options] options
+	 */
+	constructor(options) {
+		const encoder = new LzmaEncoder(options);
+		super({
+			start(controller) {
+				// Version 9.20 of the LZMA SDK, whose format is compatible
+				const header = new U(9);
+				header.set([9, 20, 5, 0]);
+				header.set(encoder.properties, 4);
+				controller.enqueue(header);
+			},
+			transform(chunk, controller) {
+				const output = encoder.push(chunk);
+				if (output.length) controller.enqueue(output);
+			},
+			flush(controller) {
+				controller.enqueue(encoder.push(new U(), true));
+			},
+		});
+	}
+}
@@ -0,0 +1,460 @@
+/**
+ * XZ Module
+ */
+
+import { Lzma2Decoder } from './lzma.js';
+
+const U = Uint8Array;
+
+const headerMagic = U.of(0xfd, 0x37, 0x7a, 0x58, 0x5a, 0);
+// Byte lengths of the checks of each type
+const checkSizes = U.of(0, 4, 4, 4, 8, 8, 8, 16, 16, 16, 32, 32, 32, 64, 64, 64);
+
+const crc32Table = Uint32Array.from({ length: 256 }, (_, i) => {
+	let c = i;
+	for (let j = 0; j < 8; j++) c = c & 1 ? 0xedb88320 ^ c >>> 1 : c >>> 1;
+	return c;
+});
+
+/**
+ * Calculates CRC-32.
+ * @param {Uint8Array} bytes bytes
+ * @returns {number} CRC-32
+ */
+const crc32 = bytes => {
+	let c = 0xffffffff;
+	for (const b of bytes) c = crc32Table[(c ^ b) & 0xff] ^ c >>> 8;
+	return ~c >>> 0;
+};
+
+// Table of CRC-64 (ECMA-182) in the lower and the upper 32 bits
+const crc64Low = new Uint32Array(256), crc64High = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+	let low = i, high = 0;
+	for (let j = 0; j < 8; j++) {
+		const xor = low & 1;
+		low = (low >>> 1 | high << 31) ^ (xor ? 0xd7870f42 : 0);
+		high = high >>> 1 ^ (xor ? 0xc96c5795 : 0);
+	}
+	crc64Low[i] = low;
+	crc64High[i] = high;
+}
+
+// Round constants of SHA-256
+const sha256K = Uint32Array.of(
+	0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+	0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+	0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+	0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+	0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+	0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+	0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+	0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+);
+
+/**
+ * @typedef {object} XzCheck
+ * @prop {(bytes: Uint8Array) => void} update updates the check with bytes
+ * @prop {() => Uint8Array} digest returns the check value in the byte order stored in XZ
+ */
+
+/**
+ * Creates a CRC-32 check.
+ * @returns {XzCheck} check
+ */
+const createCrc32Check = () => {
+	let c = 0xffffffff;
+	return {
+		update: bytes => {
+			for (const b of bytes) c = crc32Table[(c ^ b) & 0xff] ^ c >>> 8;
+		},
+		digest: () => {
+			const value = ~c >>> 0;
+			return U.of(value, value >>> 8, value >>> 16, value >>> 24);
+		},
+	};
+};
+
+/**
+ * Creates a CRC-64 check.
+ * @returns {XzCheck} check
+ */
+const createCrc64Check = () => {
+	let low = 0xffffffff, high = 0xffffffff;
+	return {
+		update: bytes => {
+			for (const b of bytes) {
+				const i = (low ^ b) & 0xff;
+				low = (low >>> 8 | high << 24) ^ crc64Low[i];
+				high = high >>> 8 ^ crc64High[i];
+			}
+		},
+		digest: () => {
+			const l = ~low, h = ~high;
+			return U.of(l, l >>> 8, l >>> 16, l >>> 24, h, h >>> 8, h >>> 16, h >>> 24);
+		},
+	};
+};
+
+/**
+ * Creates a SHA-256 check.
+ * @returns {XzCheck} check
+ */
+const createSha256Check = () => {
+	const hash = Uint32Array.of(0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19);
+	const w = new Uint32Array(64);
+	const block = new U(64);
+	let blockLength = 0, total = 0;
+	const compress = () => {
+		for (let i = 0; i < 16; i++) w[i] = block[i * 4] << 24 | block[i * 4 + 1] << 16 | block[i * 4 + 2] << 8 | block[i * 4 + 3];
+		for (let i = 16; i < 64; i++) {
+			const x = w[i - 15], y = w[i - 2];
+			const s0 = (x >>> 7 | x << 25) ^ (x >>> 18 | x << 14) ^ x >>> 3;
+			const s1 = (y >>> 17 | y << 15) ^ (y >>> 19 | y << 13) ^ y >>> 10;
+			w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+		}
+		let [a, b, c, d, e, f, g, h] = hash;
+		for (let i = 0; i < 64; i++) {
+			const s1 = (e >>> 6 | e << 26) ^ (e >>> 11 | e << 21) ^ (e >>> 25 | e << 7);
+			const t1 = h + s1 + (e & f ^ ~e & g) + sha256K[i] + w[i] | 0;
+			const s0 = (a >>> 2 | a << 30) ^ (a >>> 13 | a << 19) ^ (a >>> 22 | a << 10);
+			const t2 = s0 + (a & b ^ a & c ^ b & c) | 0;
+			h = g;
+			g = f;
+			f = e;
+			e = d + t1 | 0;
+			d = c;
+			c = b;
+			b = a;
+			a = t1 + t2 | 0;
+		}
+		hash[0] += a;
+		hash[1] += b;
+		hash[2] += c;
+		hash[3] += d;
+		hash[4] += e;
+		hash[5] += f;
+		hash[6] += g;
+		hash[7] += h;
+	};
+	/** @param {Uint8Array} bytes */
+	const update = bytes => {
+		total += bytes.length;
+		for (let i = 0; i < bytes.length; ) {
+			const n = Math.min(64 - blockLength, bytes.length - i);
+			block.set(bytes.subarray(i, i + n), blockLength);
+			blockLength += n;
+			i += n;
+			if (blockLength === 64) {
+				compress();
+				blockLength = 0;
+			}
+		}
+	};
+	return {
+		update,
+		digest: () => {
+			const bits = total * 8;
+			const padding = new U((blockLength < 56 ? 56 : 120) - blockLength + 8);
+			padding[0] = 0x80;
+			const view = new DataView(padding.buffer);
+			view.setUint32(padding.length - 8, bits / 0x100000000);
+			view.setUint32(padding.length - 4, bits >>> 0);
+			update(padding);
+			const result = new U(32);
+			const resultView = new DataView(result.buffer);
+			hash.forEach((value, i) => resultView.setUint32(i * 4, value));
+			return result;
+		},
+	};
+};
+
+/**
+ * Creates a check of the type.
+ * @param {number} type type of the check
+ * @returns {XzCheck?} check (`null` if not verified)
+ */
+const createCheck = type => {
+	switch (type) {
+		case 1:
+			return createCrc32Check();
+		case 4:
+			return createCrc64Check();
+		case 10:
+			return createSha256Check();
+		default:
+			// Types without a known algorithm are skipped as allowed by the specification
+			return null;
+	}
+};
+
+/**
+ * Reads a variable-length integer.
+ * @param {Uint8Array} bytes bytes
+ * @param {number} offset offset
+ * @param {number} end end of the available bytes
+ * @returns {[number, number]} value and offset after the integer (-1 if the bytes run short)
+ */
+const readVli = (bytes, offset, end) => {
+	let value = 0;
+	for (let i = 0; i < 9; i++) {
+		if (offset + i >= end) return [0, -1];
+		const b = bytes[offset + i];
+		value += (b & 0x7f) * 2 ** (i * 7);
+		if (!(b & 0x80)) {
+			if (!b && i) throw new Error('Invalid data: Invalid variable-length integer.');
+			return [value, offset + i + 1];
+		}
+	}
+	throw new Error('Invalid data: Invalid variable-length integer.');
+};
+
+/**
+ * @typedef {object} XzBlock
+ * @prop {number} headerSize byte length of the block header
+ * @prop {number} compressedSize compressed size in the block header (-1 if not stored)
+ * @prop {number} uncompressedSize uncompressed size in the block header (-1 if not stored)
+ * @prop {Lzma2Decoder} decoder decoder of the compressed data
+ * @prop {XzCheck?} check check of the uncompressed data
+ * @prop {number} consumed byte length of the compressed data
+ * @prop {number} produced byte length of the uncompressed data
+ */
+
+/**
+ * Class for decoding XZ data
+ */
+export class XzDecoder {
+	/** @type {Uint8Array} */ #input = new U();
+	#inPos = 0;
+	// Stage of decoding: 0 for the stream header, 1 for the block header or the index, 2 for the compressed data,
+	// 3 for the check of the block, 4 for the index, 5 for the stream footer, 6 for the stream padding
+	#stage = 0;
+	#streams = 0;
+	/** @type {Uint8Array} */ #flags = new U(2);
+	/** @type {XzBlock?} */ #block = null;
+	// Unpadded sizes and uncompressed sizes of blocks
+	/** @type {[number, number][]} */ #records = [];
+	#indexSize = 0;
+
+	/**
+	 * Whether the end of the compressed data has been reached
+	 */
+	get finished() {
+		return this.#streams > 0 && this.#stage === 6 && this.#inPos >= this.#input.length;
+	}
+
+	/**
+	 * Pushes compressed bytes and returns decompressed bytes.
+	 * @param {Uint8Array} bytes compressed bytes
+	 * @param {boolean} [end] whether no more bytes are pushed
+	 * @returns {Uint8Array<ArrayBuffer>} decompressed bytes
+	 */
+	push(bytes, end = false) {
+		const rest = this.#input.subarray(this.#inPos);
+		let input = new U(rest.length + bytes.length);
+		input.set(rest);
+		input.set(bytes, rest.length);
+		this.#input = input;
+		this.#inPos = 0;
+		/** @type {Uint8Array[]} */
+		const outputs = [];
+		for (;;) {
+			const p = this.#inPos;
+			const available = input.length - p;
+			const view = new DataView(input.buffer, input.byteOffset, input.length);
+			if (this.#stage === 0) {
+				if (available < 12) break;
+				if (headerMagic.some((b, i) => input[p + i] !== b)) throw new Error('Invalid data: XZ stream header is not found.');
+				const flags = input.subarray(p + 6, p + 8);
+				if (crc32(flags) !== view.getUint32(p + 8, true)) throw new Error('Invalid data: Stream header CRC does not match.');
+				if (flags[0] || flags[1] & 0xf0) throw new Error('Invalid data: Unsupported stream flags.');
+				this.#flags = flags.slice();
+				this.#records = [];
+				this.#inPos += 12;
+				this.#stage = 1;
+			} else if (this.#stage === 1) {
+				if (available < 1) break;
+				if (!input[p]) {
+					this.#stage = 4;
+					continue;
+				}
+				const headerSize = (input[p] + 1) * 4;
+				if (available < headerSize) break;
+				this.#block = this.#readBlockHeader(input.subarray(p, p + headerSize));
+				this.#inPos += headerSize;
+				this.#stage = 2;
+			} else if (this.#stage === 2) {
+				const block = /** @type {XzBlock} */ (this.#block);
+				const output = block.decoder.push(input.subarray(p));
+				block.check?.update(output);
+				block.produced += output.length;
+				outputs.push(output);
+				if (!block.decoder.finished) {
+					block.consumed += available;
+					this.#input = new U();
+					this.#inPos = 0;
+					break;
+				}
+				const remaining = block.decoder.remaining;
+				block.consumed += available - remaining.length;
+				input = this.#input = remaining.slice();
+				this.#inPos = 0;
+				if (block.compressedSize >= 0 && block.consumed !== block.compressedSize || block.uncompressedSize >= 0 && block.produced !== block.uncompressedSize) {
+					throw new Error('Invalid data: Block size does not match.');
+				}
+				this.#stage = 3;
+			} else if (this.#stage === 3) {
+				const block = /** @type {XzBlock} */ (this.#block);
+				const padding = -block.consumed & 3;
+				const checkSize = checkSizes[this.#flags[1]];
+				if (available < padding + checkSize) break;
+				if (input.subarray(p, p + padding).some(b => b)) throw new Error('Invalid data: Block padding is not zero.');
+				const expected = input.subarray(p + padding, p + padding + checkSize);
+				if (block.check?.digest().some((b, i) => b !== expected[i])) throw new Error('Invalid data: Block check does not match.');
+				this.#records.push([block.headerSize + block.consumed + checkSize, block.produced]);
+				this.#block = null;
+				this.#inPos += padding + checkSize;
+				this.#stage = 1;
+			} else if (this.#stage === 4) {
+				const size = this.#readIndex(input, p);
+				if (size < 0) break;
+				this.#indexSize = size;
+				this.#inPos += size;
+				this.#stage = 5;
+			} else if (this.#stage === 5) {
+				if (available < 12) break;
+				if (crc32(input.subarray(p + 4, p + 10)) !== view.getUint32(p, true)) throw new Error('Invalid data: Stream footer CRC does not match.');
+				if ((view.getUint32(p + 4, true) + 1) * 4 !== this.#indexSize) throw new Error('Invalid data: Backward size does not match.');
+				if (input[p + 8] !== this.#flags[0] || input[p + 9] !== this.#flags[1] || input[p + 10] !== 0x59 || input[p + 11] !== 0x5a) {
+					throw new Error('Invalid data: Invalid stream footer.');
+				}
+				this.#inPos += 12;
+				this.#streams++;
+				this.#stage = 6;
+			} else {
+				// Stream padding in multiples of 4 bytes, or the next stream
+				if (available < 4) break;
+				if (input[p]) {
+					this.#stage = 0;
+				} else {
+					if (view.getUint32(p)) throw new Error('Invalid data: Stream padding is not zero.');
+					this.#inPos += 4;
+				}
+			}
+		}
+		if (end && !this.finished) throw new Error('Invalid data: Unexpected end of compressed data.');
+		const output = new U(outputs.reduce((n, o) => n + o.length, 0));
+		let offset = 0;
+		for (const o of outputs) {
+			output.set(o, offset);
+			offset += o.length;
+		}
+		return output;
+	}
+
+	/**
+	 * Reads a block header.
+	 * @param {Uint8Array} header block header
+	 * @returns {XzBlock} block
+	 */
+	#readBlockHeader(header) {
+		const invalid = () => new Error('Invalid data: Invalid block header.');
+		const end = header.length - 4;
+		if (crc32(header.subarray(0, end)) !== new DataView(header.buffer, header.byteOffset).getUint32(end, true)) {
+			throw new Error('Invalid data: Block header CRC does not match.');
+		}
+		const flags = header[1];
+		if (flags & 0x3c) throw invalid();
+		let p = 2, compressedSize = -1, uncompressedSize = -1;
+		if (flags & 0x40) {
+			[compressedSize, p] = readVli(header, p, end);
+			if (p < 0 || !compressedSize) throw invalid();
+		}
+		if (flags & 0x80) {
+			[uncompressedSize, p] = readVli(header, p, end);
+			if (p < 0) throw invalid();
+		}
+		/** @type {number[]} */
+		const filters = [];
+		let dictSize = 0;
+		for (let i = 0; i <= (flags & 3); i++) {
+			let id, propsSize;
+			[id, p] = readVli(header, p, end);
+			if (p < 0) throw invalid();
+			[propsSize, p] = readVli(header, p, end);
+			if (p < 0 || p + propsSize > end) throw invalid();
+			if (id === 0x21) {
+				const bits = header[p] & 0x3f;
+				if (propsSize !== 1 || bits > 40) throw invalid();
+				dictSize = bits === 40 ? 0xffffffff : (2 | bits & 1) * 2 ** ((bits >>> 1) + 11);
+			}
+			filters.push(id);
+			p += propsSize;
+		}
+		if (filters.length !== 1 || filters[0] !== 0x21) {
+			throw new Error('Unsupported XZ filters: ' + filters.map(id => '0x' + id.toString(16).padStart(2, '0')).join(', '));
+		}
+		if (header.subarray(p, end).some(b => b)) throw invalid();
+		return {
+			headerSize: header.length,
+			compressedSize,
+			uncompressedSize,
+			decoder: new Lzma2Decoder(dictSize),
+			check: createCheck(this.#flags[1]),
+			consumed: 0,
+			produced: 0,
+		};
+	}
+
+	/**
+	 * Reads and verifies the index.
+	 * @param {Uint8Array} input input
+	 * @param {number} offset offset of the index
+	 * @returns {number} byte length of the index (-1 if the bytes run short)
+	 */
+	#readIndex(input, offset) {
+		const invalid = () => new Error('Invalid data: Invalid index.');
+		const end = input.length;
+		let [count, p] = readVli(input, offset + 1, end);
+		if (p < 0) return -1;
+		const records = this.#records;
+		if (count !== records.length) throw invalid();
+		for (const [unpaddedSize, uncompressedSize] of records) {
+			let value;
+			[value, p] = readVli(input, p, end);
+			if (p < 0) return -1;
+			if (value !== unpaddedSize) throw invalid();
+			[value, p] = readVli(input, p, end);
+			if (p < 0) return -1;
+			if (value !== uncompressedSize) throw invalid();
+		}
+		const padding = -(p - offset) & 3;
+		if (p + padding + 4 > end) return -1;
+		if (input.subarray(p, p + padding).some(b => b)) throw invalid();
+		p += padding;
+		if (crc32(input.subarray(offset, p)) !== new DataView(input.buffer, input.byteOffset).getUint32(p, true)) {
+			throw new Error('Invalid data: Index CRC does not match.');
+		}
+		return p + 4 - offset;
+	}
+}
+
+/**
+ * Class for a transform stream to decompress XZ data
+ * @extends {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>}
+ */
+export class XzDecompressionStream extends TransformStream {
+	constructor() {
+		const decoder = new XzDecoder();
+		super({
+			transform(chunk, controller) {
+				const output = decoder.push(chunk);
+				if (output.length) controller.enqueue(output);
+			},
+			flush(controller) {
+				const output = decoder.push(new U(), true);
+				if (output.length) controller.enqueue(output);
+			},
+		});
+	}
+}
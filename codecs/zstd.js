@@ -0,0 +1,621 @@
+/**
+ * Zstandard Module
+ */
+
+const U = Uint8Array;
+
+// Baselines and extra bits of literal length codes (0-35)
+const llBase = Uint32Array.of(0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 18, 20, 22, 24, 28, 32, 40, 48, 64, 128, 256, 512, 1024, 2048, 4096, 8192, 16384, 32768, 65536);
+const llBits = U.of(0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 3, 3, 4, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16);
+// Baselines and extra bits of match length codes (0-52)
+const mlBase = Uint32Array.of(3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 37, 39, 41, 43, 47, 51, 59, 67, 83, 99, 131, 259, 515, 1027, 2051, 4099, 8195, 16387, 32771, 65539);
+const mlBits = U.of(0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 3, 3, 4, 4, 5, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16);
+
+// Maximum block size
+const maxBlockSize = 0x20000;
+
+/**
+ * @typedef {object} FseTable
+ * @prop {number} log accuracy log
+ * @prop {Uint8Array} symbols symbols of states
+ * @prop {Uint8Array} bits bit lengths to read for the next states
+ * @prop {Uint16Array} base baselines of the next states
+ */
+
+/**
+ * Returns the index of the highest set bit.
+ * @param {number} n positive integer
+ * @returns {number} bit index
+ */
+const highBit = n => 31 - Math.clz32(n);
+
+/**
+ * Builds a decoding table of finite state entropy.
+ * @param {ArrayLike<number>} probs normalized probabilities of symbols (-1 for less than 1)
+ * @param {number} log accuracy log
+ * @returns {FseTable} decoding table
+ */
+const buildFseTable = (probs, log) => {
+	const size = 1 << log;
+	const symbols = new U(size), bits = new U(size), base = new Uint16Array(size);
+	const next = new Uint16Array(probs.length);
+	let high = size - 1;
+	for (let s = 0; s < probs.length; s++) {
+		if (probs[s] === -1) {
+			symbols[high--] = s;
+			next[s] = 1;
+		} else {
+			next[s] = probs[s];
+		}
+	}
+	const step = (size >>> 1) + (size >>> 3) + 3;
+	let pos = 0;
+	for (let s = 0; s < probs.length; s++) {
+		for (let i = 0; i < probs[s]; i++) {
+			symbols[pos] = s;
+			do pos = pos + step & size - 1; while (pos > high);
+		}
+	}
+	if (pos) throw new Error('Invalid data: Invalid FSE table.');
+	for (let i = 0; i < size; i++) {
+		const state = next[symbols[i]]++;
+		bits[i] = log - highBit(state);
+		base[i] = (state << bits[i]) - size;
+	}
+	return { log, symbols, bits, base };
+};
+
+/**
+ * Creates a decoding table which always returns the symbol.
+ * @param {number} symbol symbol
+ * @returns {FseTable} decoding table
+ */
+const rleFseTable = symbol => ({ log: 0, symbols: U.of(symbol), bits: new U(1), base: new Uint16Array(1) });
+
+// Predefined tables of literal lengths, match lengths and offsets
+const llDefault = buildFseTable([4, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 3, 2, 1, 1, 1, 1, 1, -1, -1, -1, -1], 6);
+const mlDefault = buildFseTable([1, 4, 3, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1, -1, -1], 6);
+const ofDefault = buildFseTable([1, 1, 1, 1, 1, 1, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1], 5);
+
+/**
+ * Reads the description of a decoding table of finite state entropy.
+ * @param {Uint8Array} bytes bytes
+ * @param {number} offset offset of the description
+ * @param {number} end end of the available bytes
+ * @param {number} maxSymbol maximum symbol
+ * @param {number} maxLog maximum accuracy log
+ * @returns {[FseTable, number]} decoding table and byte length of the description
+ */
+const readFseTable = (bytes, offset, end, maxSymbol, maxLog) => {
+	let bitPos = offset * 8;
+	/** @param {number} n bit length */
+	const read = n => {
+		let value = 0;
+		for (let i = 0; i < n; i++, bitPos++) value |= (bytes[bitPos >>> 3] >>> (bitPos & 7) & 1) << i;
+		return value;
+	};
+	const log = read(4) + 5;
+	if (log > maxLog) throw new Error('Invalid data: Too large accuracy log.');
+	/** @type {number[]} */
+	const probs = [];
+	let remaining = 1 << log;
+	while (remaining > 0 && probs.length <= maxSymbol) {
+		const n = highBit(remaining + 1) + 1;
+		let value = read(n);
+		const lowerMask = (1 << n - 1) - 1;
+		const threshold = (1 << n) - 1 - (remaining + 1);
+		if ((value & lowerMask) < threshold) {
+			bitPos--;
+			value &= lowerMask;
+		} else if (value > lowerMask) {
+			value -= threshold;
+		}
+		const prob = value - 1;
+		remaining -= Math.abs(prob);
+		probs.push(prob);
+		if (!prob) {
+			let repeat;
+			do {
+				repeat = read(2);
+				for (let i = 0; i < repeat && probs.length <= maxSymbol; i++) probs.push(0);
+			} while (repeat === 3);
+		}
+	}
+	const length = (bitPos + 7 >>> 3) - offset;
+	if (remaining || offset + length > end) throw new Error('Invalid data: Invalid FSE table.');
+	return [buildFseTable(probs, log), length];
+};
+
+/**
+ * Class for reading a bitstream backward from the end
+ */
+class BackwardBitReader {
+	/** @type {Uint8Array} */ #bytes;
+	#start;
+	// Bit position from the start, which is negative if read beyond the start
+	pos;
+
+	/**
+	 * @param {Uint8Array} bytes bytes
+	 * @param {number} start start of the bitstream
+	 * @param {number} end end of the bitstream
+	 */
+	constructor(bytes, start, end) {
+		const last = bytes[end - 1];
+		if (end <= start || !last) throw new Error('Invalid data: Invalid bitstream.');
+		this.#bytes = bytes;
+		this.#start = start;
+		// The highest set bit of the last byte marks the end
+		this.pos = (end - start - 1) * 8 + highBit(last);
+	}
+
+	/**
+	 * Returns bits at the position, which are 0 before the start.
+	 * @param {number} at bit position
+	 * @param {number} n bit length up to 31
+	 * @returns {number} value
+	 */
+	bits(at, n) {
+		if (at < 0) return at + n > 0 ? this.bits(0, n + at) << -at : 0;
+		const b = this.#bytes;
+		const i = this.#start + (at >>> 3), s = at & 7;
+		let v = (b[i] | b[i + 1] << 8 | b[i + 2] << 16 | b[i + 3] << 24) >>> s;
+		if (n > 32 - s) v = (v | b[i + 4] << 32 - s) >>> 0;
+		return v & (1 << n) - 1;
+	}
+
+	/**
+	 * Reads bits.
+	 * @param {number} n bit length up to 31
+	 * @returns {number} value
+	 */
+	read(n) {
+		if (!n) return 0;
+		this.pos -= n;
+		return this.bits(this.pos, n);
+	}
+}
+
+/**
+ * @typedef {object} HuffmanTable
+ * @prop {number} maxBits maximum code length
+ * @prop {Uint8Array} symbols symbols indexed by the next bits
+ * @prop {Uint8Array} bits code lengths indexed by the next bits
+ */
+
+/**
+ * Reads the description of a Huffman tree of literals.
+ * @param {Uint8Array} bytes bytes
+ * @param {number} offset offset of the description
+ * @param {number} end end of the available bytes
+ * @returns {[HuffmanTable, number]} decoding table and byte length of the description
+ */
+const readHuffmanTable = (bytes, offset, end) => {
+	const header = bytes[offset];
+	/** @type {number[]} */
+	const weights = [];
+	let length;
+	if (header < 128) {
+		// Weights compressed with finite state entropy
+		length = 1 + header;
+		if (offset + length > end) throw new Error('Invalid data: Invalid Huffman tree.');
+		const [table, n] = readFseTable(bytes, offset + 1, offset + length, 255, 6);
+		const reader = new BackwardBitReader(bytes, offset + 1 + n, offset + length);
+		const states = [reader.read(table.log), reader.read(table.log)];
+		for (let i = 0; ; i ^= 1) {
+			const state = states[i];
+			weights.push(table.symbols[state]);
+			states[i] = table.base[state] + reader.read(table.bits[state]);
+			if (reader.pos < 0) {
+				weights.push(table.symbols[states[i ^ 1]]);
+				break;
+			}
+			if (weights.length > 255) throw new Error('Invalid data: Invalid Huffman tree.');
+		}
+	} else {
+		const count = header - 127;
+		length = 1 + (count + 1 >>> 1);
+		if (offset + length > end) throw new Error('Invalid data: Invalid Huffman tree.');
+		for (let i = 0; i < count; i++) weights.push(i & 1 ? bytes[offset + 1 + (i >>> 1)] & 15 : bytes[offset + 1 + (i >>> 1)] >>> 4);
+	}
+	let total = 0;
+	for (const w of weights) {
+		if (w > 11) throw new Error('Invalid data: Invalid Huffman tree.');
+		if (w) total += 1 << w - 1;
+	}
+	if (!total) throw new Error('Invalid data: Invalid Huffman tree.');
+	// The weight of the last symbol is implied by the sum of the others
+	const maxBits = highBit(total) + 1;
+	const rest = (1 << maxBits) - total;
+	if (maxBits > 11 || rest & rest - 1) throw new Error('Invalid data: Invalid Huffman tree.');
+	weights.push(highBit(rest) + 1);
+	const symbols = new U(1 << maxBits), bits = new U(1 << maxBits);
+	const starts = new Uint16Array(maxBits + 2);
+	for (const w of weights) if (w) starts[w + 1] += 1 << w - 1;
+	for (let w = 1; w <= maxBits; w++) starts[w + 1] += starts[w];
+	weights.forEach((w, symbol) => {
+		if (!w) return;
+		const start = starts[w];
+		const end = start + (1 << w - 1);
+		symbols.fill(symbol, start, end);
+		bits.fill(maxBits + 1 - w, start, end);
+		starts[w] = end;
+	});
+	return [{ maxBits, symbols, bits }, length];
+};
+
+/**
+ * Decodes a Huffman-coded stream of literals.
+ * @param {HuffmanTable} table decoding table
+ * @param {Uint8Array} bytes bytes
+ * @param {number} start start of the stream
+ * @param {number} end end of the stream
+ * @param {Uint8Array} out output
+ * @param {number} outStart start of the output
+ * @param {number} outEnd end of the output
+ */
+const decodeHuffmanStream = ({ maxBits, symbols, bits }, bytes, start, end, out, outStart, outEnd) => {
+	const reader = new BackwardBitReader(bytes, start, end);
+	let pos = reader.pos;
+	for (let i = outStart; i < outEnd; i++) {
+		const index = reader.bits(pos - maxBits, maxBits);
+		out[i] = symbols[index];
+		pos -= bits[index];
+	}
+	if (pos) throw new Error('Invalid data: Invalid Huffman stream.');
+};
+
+/**
+ * Class for decoding Zstandard data
+ */
+export class ZstdDecoder {
+	/** @type {Uint8Array} */ #input = new U();
+	#inPos = 0;
+	/** @type {Uint8Array} */ #out = new U(0x40000);
+	#outPos = 0;
+	// Stage of decoding: 0 for the frame header, 1 for the block header, 2 for the checksum
+	#stage = 0;
+	// Remaining byte length of a skippable frame
+	#skip = 0;
+	#frames = 0;
+	#windowSize = 0;
+	#checksum = false;
+	#contentSize = -1;
+	// Byte length decoded in the current frame
+	#frameTotal = 0;
+	#lastBlock = false;
+	/** @type {HuffmanTable?} */ #huffman = null;
+	/** @type {FseTable?} */ #llTable = null;
+	/** @type {FseTable?} */ #ofTable = null;
+	/** @type {FseTable?} */ #mlTable = null;
+	#reps = [1, 4, 8];
+
+	/**
+	 * Whether the end of the compressed data has been reached
+	 */
+	get finished() {
+		return this.#frames > 0 && this.#stage === 0 && !this.#skip && this.#inPos >= this.#input.length;
+	}
+
+	/**
+	 * Makes room in the output buffer, sliding the window if needed.
+	 * @param {number} n byte length to write
+	 * @param {number} start start of the output not returned yet
+	 * @returns {number} new start
+	 */
+	#reserve(n, start) {
+		if (this.#outPos + n <= this.#out.length) return start;
+		// Bytes before both the window and the output not returned yet can be discarded
+		const shift = Math.max(0, Math.min(start, this.#outPos - this.#windowSize));
+		if (shift >= this.#out.length >>> 1) {
+			this.#out.copyWithin(0, shift, this.#outPos);
+			this.#outPos -= shift;
+			start -= shift;
+		}
+		if (this.#outPos + n > this.#out.length) {
+			const grown = new U(Math.max(this.#out.length * 2, this.#outPos + n));
+			grown.set(this.#out.subarray(0, this.#outPos));
+			this.#out = grown;
+		}
+		return start;
+	}
+
+	/**
+	 * Pushes compressed bytes and returns decompressed bytes.
+	 * @param {Uint8Array} bytes compressed bytes
+	 * @param {boolean} [end] whether no more bytes are pushed
+	 * @returns {Uint8Array<ArrayBuffer>} decompressed bytes
+	 */
+	push(bytes, end = false) {
+		const rest = this.#input.subarray(this.#inPos);
+		const input = new U(rest.length + bytes.length);
+		input.set(rest);
+		input.set(bytes, rest.length);
+		this.#input = input;
+		this.#inPos = 0;
+		const view = new DataView(input.buffer);
+		let start = this.#outPos;
+		for (;;) {
+			const p = this.#inPos;
+			const available = input.length - p;
+			if (this.#skip) {
+				const n = Math.min(this.#skip, available);
+				this.#skip -= n;
+				this.#inPos += n;
+				if (this.#skip) break;
+			} else if (this.#stage === 0) {
+				if (available < 4) break;
+				const magic = view.getUint32(p, true);
+				if ((magic & 0xfffffff0) === 0x184d2a50) {
+					// Skippable frame
+					if (available < 8) break;
+					this.#skip = view.getUint32(p + 4, true);
+					this.#inPos += 8;
+					continue;
+				}
+				if (magic !== 0xfd2fb528) throw new Error('Invalid data: Zstandard frame is not found.');
+				if (available < 5) break;
+				const descriptor = input[p + 4];
+				if (descriptor & 8) throw new Error('Invalid data: Reserved bit is set.');
+				const fcsFlag = descriptor >>> 6, singleSegment = descriptor & 32, dictFlag = descriptor & 3;
+				const dictIdSize = [0, 1, 2, 4][dictFlag];
+				const fcsSize = [singleSegment ? 1 : 0, 2, 4, 8][fcsFlag];
+				const headerSize = 5 + (singleSegment ? 0 : 1) + dictIdSize + fcsSize;
+				if (available < headerSize) break;
+				let q = p + 5;
+				let windowSize = 0;
+				if (!singleSegment) {
+					const wd = input[q++];
+					const windowBase = 2 ** (10 + (wd >>> 3));
+					windowSize = windowBase + windowBase / 8 * (wd & 7);
+				}
+				if (dictIdSize) {
+					let dictId = 0;
+					for (let i = dictIdSize - 1; i >= 0; i--) dictId = dictId * 256 + input[q + i];
+					if (dictId) throw new Error('Zstandard dictionaries are not supported.');
+					q += dictIdSize;
+				}
+				let contentSize = -1;
+				if (fcsSize) {
+					contentSize = 0;
+					for (let i = fcsSize - 1; i >= 0; i--) contentSize = contentSize * 256 + input[q + i];
+					if (fcsSize === 2) contentSize += 256;
+				}
+				if (singleSegment) windowSize = contentSize;
+				if (windowSize > 0x80000000) throw new Error('Invalid data: Too large window size.');
+				this.#windowSize = windowSize;
+				this.#checksum = !!(descriptor & 4);
+				this.#contentSize = contentSize;
+				this.#frameTotal = 0;
+				this.#huffman = this.#llTable = this.#ofTable = this.#mlTable = null;
+				this.#reps = [1, 4, 8];
+				this.#inPos += headerSize;
+				this.#stage = 1;
+			} else if (this.#stage === 1) {
+				if (available < 3) break;
+				const blockHeader = input[p] | input[p + 1] << 8 | input[p + 2] << 16;
+				const type = blockHeader >>> 1 & 3;
+				const size = blockHeader >>> 3;
+				if (type === 3) throw new Error('Invalid data: Reserved block type.');
+				if (size > maxBlockSize) throw new Error('Invalid data: Too large block.');
+				const length = type === 1 ? 1 : size;
+				if (available < 3 + length) break;
+				const blockStart = p + 3;
+				const outSize = type === 2 ? maxBlockSize : size;
+				start = this.#reserve(outSize, start);
+				const outStart = this.#outPos;
+				switch (type) {
+					case 0:
+						this.#out.set(input.subarray(blockStart, blockStart + size), this.#outPos);
+						this.#outPos += size;
+						break;
+					case 1:
+						this.#out.fill(input[blockStart], this.#outPos, this.#outPos + size);
+						this.#outPos += size;
+						break;
+					case 2:
+						this.#decodeBlock(input, blockStart, blockStart + size);
+						break;
+				}
+				this.#frameTotal += this.#outPos - outStart;
+				this.#inPos = blockStart + length;
+				if (blockHeader & 1) {
+					if (this.#contentSize >= 0 && this.#frameTotal !== this.#contentSize) throw new Error('Invalid data: Frame size does not match.');
+					this.#stage = this.#checksum ? 2 : 0;
+					if (!this.#checksum) this.#frames++;
+				}
+			} else {
+				// The checksum is not verified since the entry is verified with CRC-32
+				if (available < 4) break;
+				this.#inPos += 4;
+				this.#stage = 0;
+				this.#frames++;
+			}
+		}
+		if (end && !this.finished) throw new Error('Invalid data: Unexpected end of compressed data.');
+		return this.#out.slice(start, this.#outPos);
+	}
+
+	/**
+	 * Decodes a compressed block into the output.
+	 * @param {Uint8Array} input input
+	 * @param {number} start start of the block
+	 * @param {number} end end of the block
+	 */
+	#decodeBlock(input, start, end) {
+		const invalid = () => new Error('Invalid data: Invalid compressed block.');
+		let p = start;
+		// Literals section
+		const b0 = input[p];
+		const literalsType = b0 & 3, sizeFormat = b0 >>> 2 & 3;
+		/** @type {Uint8Array} */
+		let literals;
+		if (literalsType < 2) {
+			let size;
+			if (!(sizeFormat & 1)) {
+				size = b0 >>> 3;
+				p += 1;
+			} else if (sizeFormat === 1) {
+				size = (b0 >>> 4) + (input[p + 1] << 4);
+				p += 2;
+			} else {
+				size = (b0 >>> 4) + (input[p + 1] << 4) + (input[p + 2] << 12);
+				p += 3;
+			}
+			if (literalsType === 0) {
+				if (p + size > end) throw invalid();
+				literals = input.subarray(p, p += size);
+			} else {
+				if (p >= end) throw invalid();
+				literals = new U(size).fill(input[p++]);
+			}
+		} else {
+			const headerSize = sizeFormat < 2 ? 3 : sizeFormat + 2;
+			const sizeBits = sizeFormat < 2 ? 10 : sizeFormat === 2 ? 14 : 18;
+			let header = 0;
+			for (let i = headerSize - 1; i >= 0; i--) header = header * 256 + input[p + i];
+			const size = Math.floor(header / 16) % 2 ** sizeBits;
+			const compressedSize = Math.floor(header / 2 ** (4 + sizeBits)) % 2 ** sizeBits;
+			p += headerSize;
+			const literalsEnd = p + compressedSize;
+			if (literalsEnd > end || size > maxBlockSize) throw invalid();
+			if (literalsType === 2) {
+				const [table, n] = readHuffmanTable(input, p, literalsEnd);
+				this.#huffman = table;
+				p += n;
+			}
+			const table = this.#huffman;
+			if (!table) throw invalid();
+			literals = new U(size);
+			if (!sizeFormat) {
+				decodeHuffmanStream(table, input, p, literalsEnd, literals, 0, size);
+			} else {
+				// 4 streams with the jump table of their sizes
+				if (p + 6 > literalsEnd) throw invalid();
+				const segment = size + 3 >>> 2;
+				let q = p + 6;
+				for (let i = 0; i < 4; i++) {
+					const streamEnd = i < 3 ? q + (input[p + i * 2] | input[p + i * 2 + 1] << 8) : literalsEnd;
+					if (streamEnd > literalsEnd) throw invalid();
+					decodeHuffmanStream(table, input, q, streamEnd, literals, Math.min(segment * i, size), Math.min(segment * (i + 1), size));
+					q = streamEnd;
+				}
+			}
+			p = literalsEnd;
+		}
+		// Sequences section
+		if (p >= end) throw invalid();
+		let count = input[p++];
+		if (count >= 128) {
+			if (count === 255) {
+				count = input[p] + (input[p + 1] << 8) + 0x7f00;
+				p += 2;
+			} else {
+				count = (count - 128 << 8) + input[p++];
+			}
+		}
+		const out = this.#out;
+		let outPos = this.#outPos;
+		const outLimit = outPos + maxBlockSize;
+		let litPos = 0;
+		if (count) {
+			const modes = input[p++];
+			/**
+			 * @param {number} mode compression mode
+			 * @param {FseTable} predefined predefined table
+			 * @param {FseTable?} previous previous table
+			 * @param {number} maxSymbol maximum symbol
+			 * @param {number} maxLog maximum accuracy log
+			 * @returns {FseTable} decoding table
+			 */
+			const readTable = (mode, predefined, previous, maxSymbol, maxLog) => {
+				switch (mode) {
+					case 0:
+						return predefined;
+					case 1:
+						if (input[p] > maxSymbol) throw invalid();
+						return rleFseTable(input[p++]);
+					case 2:
+						const [table, n] = readFseTable(input, p, end, maxSymbol, maxLog);
+						p += n;
+						return table;
+					default:
+						if (!previous) throw invalid();
+						return previous;
+				}
+			};
+			const ll = this.#llTable = readTable(modes >>> 6, llDefault, this.#llTable, 35, 9);
+			const of = this.#ofTable = readTable(modes >>> 4 & 3, ofDefault, this.#ofTable, 31, 8);
+			const ml = this.#mlTable = readTable(modes >>> 2 & 3, mlDefault, this.#mlTable, 52, 9);
+			const reader = new BackwardBitReader(input, p, end);
+			let llState = reader.read(ll.log), ofState = reader.read(of.log), mlState = reader.read(ml.log);
+			const reps = this.#reps;
+			const windowSize = this.#windowSize;
+			for (let i = 0; i < count; i++) {
+				const ofCode = of.symbols[ofState], llCode = ll.symbols[llState], mlCode = ml.symbols[mlState];
+				const offsetValue = 2 ** ofCode + reader.read(ofCode);
+				const matchLength = mlBase[mlCode] + reader.read(mlBits[mlCode]);
+				const literalLength = llBase[llCode] + reader.read(llBits[llCode]);
+				let offset;
+				if (offsetValue > 3) {
+					offset = offsetValue - 3;
+					reps.unshift(offset);
+					reps.pop();
+				} else {
+					const index = offsetValue - (literalLength ? 1 : 0);
+					if (!index) {
+						offset = reps[0];
+					} else if (index === 3) {
+						offset = reps[0] - 1;
+						reps.unshift(offset);
+						reps.pop();
+					} else {
+						offset = reps[index];
+						reps.unshift(...reps.splice(index, 1));
+					}
+				}
+				if (i < count - 1) {
+					llState = ll.base[llState] + reader.read(ll.bits[llState]);
+					mlState = ml.base[mlState] + reader.read(ml.bits[mlState]);
+					ofState = of.base[ofState] + reader.read(of.bits[ofState]);
+				}
+				if (reader.pos < 0) throw invalid();
+				// Copies the literals and the match
+				if (litPos + literalLength > literals.length || outPos + literalLength + matchLength > outLimit) throw invalid();
+				out.set(literals.subarray(litPos, litPos += literalLength), outPos);
+				outPos += literalLength;
+				const frameTotal = this.#frameTotal + outPos - this.#outPos;
+				if (!offset || offset > frameTotal || windowSize && offset > windowSize) throw new Error('Invalid data: Distance is too far back.');
+				for (let j = 0, q = outPos; j < matchLength; j++, q++) out[q] = out[q - offset];
+				outPos += matchLength;
+			}
+			if (reader.pos) throw invalid();
+		} else if (p !== end) {
+			throw invalid();
+		}
+		const rest = literals.length - litPos;
+		if (outPos + rest > outLimit) throw invalid();
+		out.set(literals.subarray(litPos), outPos);
+		this.#outPos = outPos + rest;
+	}
+}
+
+/**
+ * Class for a transform stream to decompress Zstandard data
+ * @extends {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>}
+ */
+export class ZstdDecompressionStream extends TransformStream {
+	constructor() {
+		const decoder = new ZstdDecoder();
+		super({
+			transform(chunk, controller) {
+				const output = decoder.push(chunk);
+				if (output.length) controller.enqueue(output);
+			},
+			flush(controller) {
+				const output = decoder.push(new U(), true);
+				if (output.length) controller.enqueue(output);
+			},
+		});
+	}
+}
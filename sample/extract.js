@@ -65,7 +65,7 @@ async function onSubmit(e) {
 	document.documentElement.style.cursor = 'wait';
 	const startTime = performance.now();
 	try {
-		zip = new ZipFile.Extractor(await file.arrayBuffer());
+		zip = await ZipFile.Extractor.fromBlob(file);
 	} catch (e) {
 		console.error(e);
 		alert(e);
@@ -105,7 +105,7 @@ async function onSubmit(e) {
 		if (!$tbody) return;
 		const $tr = $tbody.insertRow();
 		const $filepath = $tr.insertCell();
-		if (cd.crc32) {
+		if (!fileName.endsWith('/')) {
 			const $a = document.createElement('a');
 			$a.text = filePaths.pop() || '';
 			$a.href = '#';
@@ -113,19 +113,14 @@ async function onSubmit(e) {
 				if ($a.getAttribute('href') === '#') {
 					e.preventDefault();
 					try {
-						if (!content.body.ok) throw new Error(content.body.statusText);
+						let body = content.body;
 						if (cd.encryption) {
-							if (cd.encryption === 'traditional') {
-								const password = 'password';
-								// const password = prompt('Enter password.');
-								if (password) content.decrypt(password);
-								else return;
-							} else {
-								throw new Error('Encypted file is not supported.');
-							}
+							const password = prompt('Enter password.');
+							if (password) body = content.decrypt(password);
+							else return;
 						}
-						if (cd.versionNeeded > 20) throw new Error('Version greater than 20 is not supported: ' + cd.versionNeeded);
-						const blob = await content.body.blob();
+						if (!body.ok) throw new Error(body.statusText);
+						const blob = await body.blob();
 						$a.href = URL.createObjectURL(blob);
 						$a.download = $a.text;
 						$a.click();
@@ -47,13 +47,8 @@ async function onSubmit(e) {
 	document.documentElement.style.cursor = 'wait';
 	const startTime = performance.now();
 	try {
-		const buf = await file.arrayBuffer();
-		const isZip = String.fromCharCode(...new Uint8Array(buf).subarray(0, 2)) === 'PK';
-		await builder.append(buf, {
-			filepath: file.name,
-			lastModified: file.lastModified,
-			method: isZip ? 0 : 8,
-		});
+		const signature = await file.slice(0, 2).text();
+		await builder.append(file, { method: signature === 'PK' ? 0 : 8 });
 	} catch (e) {
 		console.error(e);
 		alert(e);
@@ -130,12 +125,10 @@ function onClickRename() {
 	const index = Array.from($tbody.rows).indexOf($tr);
 	if (index < 0) return;
 	const cd = builder.centralDirectory.at(index);
-	const content = builder.contents.at(index);
-	if (!cd || !content) return;
+	if (!cd) return;
 	const newName = prompt('Enter new name:', ZipFile.Builder.textDecoder.decode(cd.fileNameBytes));
 	if (!newName) return;
-	const bytes = ZipFile.Builder.textEncoder.encode(newName);
-	cd.fileNameBytes = content.header.fileNameBytes = bytes;
+	builder.rename(index, newName);
 	$tr.children[1]?.firstChild?.remove();
 	$tr.children[1]?.append(newName);
 }
@@ -2,279 +2,2125 @@
  * Zip/Unzip Module
  */
 
+import { Bzip2DecompressionStream } from './codecs/bzip2.js';
+import { DeflateStream, Inflater, InflateStream } from './codecs/deflate.js';
+import { ImplodeDecompressionStream, ReduceDecompressionStream, ShrinkDecompressionStream } from './codecs/legacy.js';
+import { LzmaCompressionStream, LzmaDecompressionStream } from './codecs/lzma.js';
+import { XzDecompressionStream } from './codecs/xz.js';
+import { ZstdDecompressionStream } from './codecs/zstd.js';
+
 // For minify
 const U = Uint8Array, V = DataView;
 
-const crc32table = Uint32Array.from({ length: 256 }, (_, i) => {
-	let c = i, j = 8
-	while (j--) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : (c >>> 1);
-	return c;
-});
+const crc32table = Uint32Array.from({ length: 256 }, (_, i) => {
+	let c = i, j = 8
+	while (j--) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : (c >>> 1);
+	return c;
+});
+
+/**
+ * Calculate new CRC-32 from a byte array.
+ * @param {Uint8Array<ArrayBuffer>} bytes byte array
+ * @param {number} initial initial CRC-32
+ * @returns {number} new CRC-32
+ */
+export const calcCrc32 = (bytes, initial = 0xffffffff) => {
+	let c = initial;
+	for (const b of bytes) c = crc32table[(c ^ b) & 0xff] ^ (c >>> 8);
+	return c ^ 0xffffffff;
+};
+
+/**
+ * Formats CRC-32 (int32) to hex string.
+ * @param {number} u32 CRC-32
+ * @returns {string} hex string
+ */
+export const fmtCrc32 = u32 => {
+	const octets = Uint8Array.from([24, 16, 8, 0], shift => u32 >>> shift & 0xff);
+	return Array.from(octets, b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+};
+
+/**
+ * Reads an unsigned 64-bit integer as a number.
+ * @param {DataView<ArrayBuffer>} view byte array cursor
+ * @param {number} offset byte offset
+ * @returns {number} unsigned integer (up to 2^53 - 1)
+ */
+const getUint64 = (view, offset) => Number(view.getBigUint64(offset, true));
+
+/**
+ * Parses extra field bytes into a map of header ID and data.
+ * @param {Uint8Array<ArrayBuffer>} bytes extra field bytes
+ * @returns {Map<number, Uint8Array<ArrayBuffer>>} map of header ID and data
+ */
+const parseExtraField = bytes => {
+	const map = new Map();
+	const view = new V(bytes.buffer, bytes.byteOffset, bytes.length);
+	for (let i = 0; i + 4 <= bytes.length; ) {
+		const id = view.getUint16(i, true);
+		const size = view.getUint16(i + 2, true);
+		map.set(id, bytes.subarray(i + 4, i + 4 + size));
+		i += 4 + size;
+	}
+	return map;
+};
+
+/**
+ * Replaces, appends or removes the data of an extra field.
+ * @param {Uint8Array<ArrayBuffer>} bytes extra field bytes
+ * @param {number} id header ID
+ * @param {Uint8Array<ArrayBuffer>?} data new data, or `null` to remove the field
+ * @returns {Uint8Array<ArrayBuffer>} new extra field bytes
+ */
+const setExtraField = (bytes, id, data) => {
+	const map = parseExtraField(bytes);
+	if (data) map.set(id, data);
+	else map.delete(id);
+	let length = 0;
+	for (const d of map.values()) length += 4 + d.length;
+	const result = new U(length);
+	const view = new V(result.buffer);
+	let i = 0;
+	for (const [k, d] of map) {
+		view.setUint16(i, k, true);
+		view.setUint16(i + 2, d.length, true);
+		result.set(d, i + 4);
+		i += 4 + d.length;
+	}
+	return result;
+};
+
+/**
+ * Packs numbers into a byte array of unsigned 64-bit integers.
+ * @param {number[]} values unsigned integers
+ * @returns {Uint8Array<ArrayBuffer>} byte array
+ */
+const packUint64 = values => {
+	const view = new V(new ArrayBuffer(values.length * 8));
+	values.forEach((v, i) => view.setBigUint64(i * 8, BigInt(v), true));
+	return new U(view.buffer);
+};
+
+/**
+ * Finds the offset of End of Central Directory record from the tail of a byte array.
+ * @param {Uint8Array<ArrayBuffer>} bytes byte array
+ * @returns {number} offset of the record, or -1 if not found
+ */
+const findEocdOffset = bytes => {
+	const from = Math.max(bytes.length - 0xffff - 22, 0);
+	const index = bytes.subarray(from).findLastIndex((_, i, a) => [0x50, 0x4b, 5, 6].every((v, j) => v === a[i + j]));
+	return index < 0 ? index : from + index;
+};
+
+/**
+ * Reads central directory entries from bytes.
+ * @param {DataView<ArrayBuffer>} view byte array cursor of the central directory
+ * @param {number} count number of entries
+ * @returns {CentralDirectoryEntry[]} central directory entries
+ */
+const readCentralDirectory = (view, count) => {
+	let offset = 0;
+	return Array.from({ length: count }, () => {
+		const entry = CentralDirectoryEntry.from(new V(view.buffer, view.byteOffset + offset, view.byteLength - offset));
+		offset += entry.length;
+		return entry;
+	});
+};
+
+/**
+ * Error for a wrong (or missing) password of an encrypted content
+ */
+export class PasswordError extends Error {
+	name = 'PasswordError';
+}
+
+/**
+ * Error for corrupt data which does not match its checksum or size
+ */
+export class IntegrityError extends Error {
+	name = 'IntegrityError';
+}
+
+/**
+ * Class for traditional PKWARE encryption (ZipCrypto)
+ */
+class ZipCrypto {
+	keys = Uint32Array.of(0x12345678, 0x23456789, 0x34567890);
+
+	/**
+	 * @param {string} password password
+	 */
+	constructor(password) {
+		for (const b of new TextEncoder().encode(password)) this.update(b);
+	}
+
+	/**
+	 * Updates the keys with a plain byte.
+	 * @param {number} b plain byte
+	 */
+	update(b) {
+		const keys = this.keys;
+		keys[0] = crc32table[(keys[0] ^ b) & 0xff] ^ (keys[0] >>> 8);
+		keys[1] = Math.imul(keys[1] + (keys[0] & 0xff), 0x08088405) + 1;
+		keys[2] = crc32table[(keys[2] ^ (keys[1] >>> 24)) & 0xff] ^ (keys[2] >>> 8);
+	}
+
+	get #stream() {
+		const t = this.keys[2] | 2;
+		return Math.imul(t, t ^ 1) >>> 8 & 0xff;
+	}
+
+	/**
+	 * Encrypts bytes into a new byte array.
+	 * @param {Uint8Array<ArrayBuffer>} bytes plain bytes
+	 * @returns {Uint8Array<ArrayBuffer>} encrypted bytes
+	 */
+	encrypt(bytes) {
+		return U.from(bytes, b => {
+			const c = b ^ this.#stream;
+			this.update(b);
+			return c;
+		});
+	}
+
+	/**
+	 * Decrypts bytes into a new byte array.
+	 * @param {Uint8Array<ArrayBuffer>} bytes encrypted bytes
+	 * @returns {Uint8Array<ArrayBuffer>} decrypted bytes
+	 */
+	decrypt(bytes) {
+		return U.from(bytes, b => {
+			const c = b ^ this.#stream;
+			this.update(c);
+			return c;
+		});
+	}
+}
+
+/**
+ * Creates a transform stream to decrypt the traditional PKWARE encryption.
+ * @param {string} password password
+ * @param {number} check expected value of the last byte of the encryption header
+ * @returns {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>} transform stream
+ */
+const createZipCryptoDecryptionStream = (password, check) => {
+	const cipher = new ZipCrypto(password);
+	const header = new U(12);
+	let headerLength = 0;
+	return new TransformStream({
+		transform(chunk, controller) {
+			let bytes = chunk;
+			if (headerLength < 12) {
+				const n = Math.min(12 - headerLength, bytes.length);
+				header.set(bytes.subarray(0, n), headerLength);
+				headerLength += n;
+				bytes = bytes.subarray(n);
+				if (headerLength < 12) return;
+				if (cipher.decrypt(header)[11] !== check) throw new PasswordError('Wrong password.');
+			}
+			if (bytes.length) controller.enqueue(cipher.decrypt(bytes));
+		},
+		flush() {
+			if (headerLength < 12) throw new Error('Invalid format: Encryption header is truncated.');
+		},
+	});
+};
+
+/**
+ * Encrypts a body with the traditional PKWARE encryption.
+ * @param {Uint8Array<ArrayBuffer>} body compressed body
+ * @param {string} password password
+ * @param {number} check value of the last byte of the encryption header
+ * @returns {Uint8Array<ArrayBuffer>} encrypted body following the encryption header
+ */
+const encryptZipCrypto = (body, password, check) => {
+	const cipher = new ZipCrypto(password);
+	const header = crypto.getRandomValues(new U(12));
+	header[11] = check;
+	const result = new U(12 + body.length);
+	result.set(cipher.encrypt(header));
+	result.set(cipher.encrypt(body), 12);
+	return result;
+};
+
+/**
+ * Creates a transform stream to encrypt with the traditional PKWARE encryption.
+ * @param {string} password password
+ * @param {number} check value of the last byte of the encryption header
+ * @returns {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>} transform stream
+ */
+const createZipCryptoEncryptionStream = (password, check) => {
+	const cipher = new ZipCrypto(password);
+	return new TransformStream({
+		start(controller) {
+			const header = crypto.getRandomValues(new U(12));
+			header[11] = check;
+			controller.enqueue(cipher.encrypt(header));
+		},
+		transform(chunk, controller) {
+			controller.enqueue(cipher.encrypt(chunk));
+		},
+	});
+};
+
+const aesSbox = new U(256);
+const aesTables = Array.from({ length: 4 }, () => new Uint32Array(256));
+{
+	const exp = new U(255), log = new U(256);
+	for (let i = 0, x = 1; i < 255; i++) {
+		exp[i] = x;
+		log[x] = i;
+		x ^= x << 1 ^ (x & 0x80 ? 0x11b : 0);
+	}
+	for (let i = 0; i < 256; i++) {
+		const inv = i ? exp[(255 - log[i]) % 255] : 0;
+		let s = inv ^ 0x63;
+		for (let j = 1; j < 5; j++) s ^= (inv << j | inv >>> 8 - j) & 0xff;
+		aesSbox[i] = s;
+		const s2 = s << 1 ^ (s & 0x80 ? 0x11b : 0);
+		const t = s2 << 24 | s << 16 | s << 8 | s2 ^ s;
+		aesTables.forEach((table, j) => table[i] = t >>> 8 * j | t << 32 - 8 * j);
+	}
+}
+
+/**
+ * Class for AES in CTR mode with a little-endian counter as WinZip AES encryption
+ * (Web Crypto API supports only a big-endian counter.)
+ */
+class AesCtr {
+	/** @type {Uint32Array} */ #keys;
+	/** @type {number} */ #rounds;
+	#counter = new U(16);
+	#keystream = new U(16);
+	#position = 16;
+
+	/**
+	 * @param {Uint8Array<ArrayBuffer>} key AES key (16, 24 or 32 bytes)
+	 */
+	constructor(key) {
+		const nk = key.length >> 2;
+		this.#rounds = nk + 6;
+		const w = this.#keys = new Uint32Array(4 * (this.#rounds + 1));
+		/** @type {(word: number) => number} */
+		const subWord = word => aesSbox[word >>> 24] << 24 | aesSbox[word >>> 16 & 0xff] << 16 | aesSbox[word >>> 8 & 0xff] << 8 | aesSbox[word & 0xff];
+		const view = new V(key.buffer, key.byteOffset, key.length);
+		for (let i = 0; i < nk; i++) w[i] = view.getUint32(i * 4);
+		for (let i = nk, rcon = 1; i < w.length; i++) {
+			let t = w[i - 1];
+			if (i % nk === 0) {
+				t = subWord(t << 8 | t >>> 24) ^ rcon << 24;
+				rcon = rcon << 1 ^ (rcon & 0x80 ? 0x11b : 0);
+			} else if (nk > 6 && i % nk === 4) {
+				t = subWord(t);
+			}
+			w[i] = w[i - nk] ^ t;
+		}
+	}
+
+	/**
+	 * Encrypts a block.
+	 * @param {Uint8Array<ArrayBuffer>} src 16-byte plain block
+	 * @param {Uint8Array<ArrayBuffer>} dst 16-byte buffer to write the encrypted block
+	 */
+	encryptBlock(src, dst) {
+		const k = this.#keys, [t0, t1, t2, t3] = aesTables, s = aesSbox;
+		let s0 = (src[0] << 24 | src[1] << 16 | src[2] << 8 | src[3]) ^ k[0];
+		let s1 = (src[4] << 24 | src[5] << 16 | src[6] << 8 | src[7]) ^ k[1];
+		let s2 = (src[8] << 24 | src[9] << 16 | src[10] << 8 | src[11]) ^ k[2];
+		let s3 = (src[12] << 24 | src[13] << 16 | src[14] << 8 | src[15]) ^ k[3];
+		let i = 4;
+		for (let r = 1; r < this.#rounds; r++) {
+			const u0 = t0[s0 >>> 24] ^ t1[s1 >>> 16 & 0xff] ^ t2[s2 >>> 8 & 0xff] ^ t3[s3 & 0xff] ^ k[i++];
+			const u1 = t0[s1 >>> 24] ^ t1[s2 >>> 16 & 0xff] ^ t2[s3 >>> 8 & 0xff] ^ t3[s0 & 0xff] ^ k[i++];
+			const u2 = t0[s2 >>> 24] ^ t1[s3 >>> 16 & 0xff] ^ t2[s0 >>> 8 & 0xff] ^ t3[s1 & 0xff] ^ k[i++];
+			const u3 = t0[s3 >>> 24] ^ t1[s0 >>> 16 & 0xff] ^ t2[s1 >>> 8 & 0xff] ^ t3[s2 & 0xff] ^ k[i++];
+			s0 = u0, s1 = u1, s2 = u2, s3 = u3;
+		}
+		[[s0, s1, s2, s3], [s1, s2, s3, s0], [s2, s3, s0, s1], [s3, s0, s1, s2]].forEach(([a, b, c, d], j) => {
+			const word = (s[a >>> 24] << 24 | s[b >>> 16 & 0xff] << 16 | s[c >>> 8 & 0xff] << 8 | s[d & 0xff]) ^ k[i + j];
+			dst.set([word >>> 24, word >>> 16 & 0xff, word >>> 8 & 0xff, word & 0xff], j * 4);
+		});
+	}
+
+	/**
+	 * Encrypts or decrypts bytes into a new byte array.
+	 * @param {Uint8Array<ArrayBuffer>} bytes plain or encrypted bytes
+	 * @returns {Uint8Array<ArrayBuffer>} encrypted or decrypted bytes
+	 */
+	process(bytes) {
+		const result = new U(bytes.length);
+		const counter = this.#counter, keystream = this.#keystream;
+		for (let i = 0; i < bytes.length; i++) {
+			if (this.#position === 16) {
+				for (let j = 0; j < 16; j++) if (++counter[j] & 0xff) break;
+				this.encryptBlock(counter, keystream);
+				this.#position = 0;
+			}
+			result[i] = bytes[i] ^ keystream[this.#position++];
+		}
+		return result;
+	}
+}
+
+/**
+ * Class for SHA-1 hash which can be updated incrementally
+ */
+class Sha1 {
+	#hash = Uint32Array.of(0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0);
+	#block = new U(64);
+	#words = new Uint32Array(80);
+	#length = 0;
+
+	/**
+	 * Updates the hash with bytes.
+	 * @param {Uint8Array<ArrayBuffer>} bytes bytes
+	 * @returns {this}
+	 */
+	update(bytes) {
+		let position = this.#length % 64;
+		this.#length += bytes.length;
+		for (let i = 0; i < bytes.length; ) {
+			const n = Math.min(64 - position, bytes.length - i);
+			this.#block.set(bytes.subarray(i, i + n), position);
+			position += n;
+			i += n;
+			if (position === 64) {
+				this.#compress();
+				position = 0;
+			}
+		}
+		return this;
+	}
+
+	/**
+	 * Finishes and gets the hash.
+	 * @returns {Uint8Array<ArrayBuffer>} 20-byte hash
+	 */
+	digest() {
+		const bits = this.#length * 8;
+		const padLength = 64 - (this.#length + 8) % 64;
+		const padding = new V(new ArrayBuffer(padLength + 8));
+		padding.setUint8(0, 0x80);
+		padding.setUint32(padLength, bits / 0x100000000);
+		padding.setUint32(padLength + 4, bits >>> 0);
+		this.update(new U(padding.buffer));
+		const result = new V(new ArrayBuffer(20));
+		this.#hash.forEach((h, i) => result.setUint32(i * 4, h));
+		return new U(result.buffer);
+	}
+
+	#compress() {
+		const w = this.#words, block = this.#block;
+		for (let i = 0; i < 16; i++) w[i] = block[i * 4] << 24 | block[i * 4 + 1] << 16 | block[i * 4 + 2] << 8 | block[i * 4 + 3];
+		for (let i = 16; i < 80; i++) {
+			const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+			w[i] = x << 1 | x >>> 31;
+		}
+		let [a, b, c, d, e] = this.#hash;
+		for (let i = 0; i < 80; i++) {
+			const f = i < 20 ? (b & c | ~b & d) + 0x5a827999
+				: i < 40 ? (b ^ c ^ d) + 0x6ed9eba1
+				: i < 60 ? (b & c | b & d | c & d) + 0x8f1bbcdc
+				: (b ^ c ^ d) + 0xca62c1d6;
+			const t = (a << 5 | a >>> 27) + f + e + w[i] | 0;
+			e = d, d = c, c = b << 30 | b >>> 2, b = a, a = t;
+		}
+		const h = this.#hash;
+		h[0] += a, h[1] += b, h[2] += c, h[3] += d, h[4] += e;
+	}
+}
+
+/**
+ * Class for HMAC-SHA1 which can be updated incrementally
+ */
+class HmacSha1 {
+	/** @type {Sha1} */ #inner;
+	/** @type {Uint8Array<ArrayBuffer>} */ #outerKey;
+
+	/**
+	 * @param {Uint8Array<ArrayBuffer>} key key
+	 */
+	constructor(key) {
+		const k = new U(64);
+		k.set(key.length > 64 ? new Sha1().update(key).digest() : key);
+		this.#inner = new Sha1().update(k.map(b => b ^ 0x36));
+		this.#outerKey = k.map(b => b ^ 0x5c);
+	}
+
+	/**
+	 * Updates the code with bytes.
+	 * @param {Uint8Array<ArrayBuffer>} bytes bytes
+	 * @returns {this}
+	 */
+	update(bytes) {
+		this.#inner.update(bytes);
+		return this;
+	}
+
+	/**
+	 * Finishes and gets the authentication code.
+	 * @returns {Uint8Array<ArrayBuffer>} 20-byte code
+	 */
+	digest() {
+		return new Sha1().update(this.#outerKey).update(this.#inner.digest()).digest();
+	}
+}
+
+/**
+ * Derives the keys of WinZip AES encryption from a password using PBKDF2 of Web Crypto API.
+ * @param {string} password password
+ * @param {Uint8Array<ArrayBuffer>} salt salt
+ * @param {number} strength key strength (1: AES-128, 2: AES-192, 3: AES-256)
+ * @returns {Promise<{ cipher: AesCtr, hmac: HmacSha1, verifier: Uint8Array<ArrayBuffer> }>} cipher, HMAC and password verification value
+ */
+const deriveWinZipAesKeys = async (password, salt, strength) => {
+	const keyLength = 8 * (strength + 1);
+	const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+	const params = { name: 'PBKDF2', hash: 'SHA-1', salt, iterations: 1000 };
+	const bits = new U(await crypto.subtle.deriveBits(params, material, (keyLength * 2 + 2) * 8));
+	return {
+		cipher: new AesCtr(bits.subarray(0, keyLength)),
+		hmac: new HmacSha1(bits.subarray(keyLength, keyLength * 2)),
+		verifier: bits.subarray(keyLength * 2),
+	};
+};
+
+/**
+ * Encrypts a body with WinZip AES encryption.
+ * @param {Uint8Array<ArrayBuffer>} body compressed body
+ * @param {string} password password
+ * @param {number} strength key strength (1: AES-128, 2: AES-192, 3: AES-256)
+ * @returns {Promise<Uint8Array<ArrayBuffer>>} salt, password verification value, encrypted body and authentication code
+ */
+const encryptWinZipAes = async (body, password, strength) => {
+	const salt = crypto.getRandomValues(new U(4 * (strength + 1)));
+	const { cipher, hmac, verifier } = await deriveWinZipAesKeys(password, salt, strength);
+	const encrypted = cipher.process(body);
+	const code = hmac.update(encrypted).digest().subarray(0, 10);
+	const result = new U(salt.length + 2 + encrypted.length + 10);
+	result.set(salt);
+	result.set(verifier, salt.length);
+	result.set(encrypted, salt.length + 2);
+	result.set(code, result.length - 10);
+	return result;
+};
+
+/**
+ * Creates a transform stream to encrypt with WinZip AES encryption.
+ * @param {string} password password
+ * @param {number} strength key strength (1: AES-128, 2: AES-192, 3: AES-256)
+ * @returns {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>} transform stream
+ */
+const createWinZipAesEncryptionStream = (password, strength) => {
+	/** @type {{ cipher: AesCtr, hmac: HmacSha1 }} */
+	let keys;
+	return new TransformStream({
+		async start(controller) {
+			const salt = crypto.getRandomValues(new U(4 * (strength + 1)));
+			const { verifier, ...rest } = await deriveWinZipAesKeys(password, salt, strength);
+			keys = rest;
+			controller.enqueue(salt);
+			controller.enqueue(verifier.slice());
+		},
+		transform(chunk, controller) {
+			const encrypted = keys.cipher.process(chunk);
+			keys.hmac.update(encrypted);
+			controller.enqueue(encrypted);
+		},
+		flush(controller) {
+			controller.enqueue(keys.hmac.digest().slice(0, 10));
+		},
+	});
+};
+
+/**
+ * Creates a transform stream to decrypt WinZip AES encryption.
+ * The stream is errored if the authentication code does not match.
+ * @param {string} password password
+ * @param {number} strength key strength (1: AES-128, 2: AES-192, 3: AES-256)
+ * @returns {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>} transform stream
+ */
+const createWinZipAesDecryptionStream = (password, strength) => {
+	const header = new U(4 * (strength + 1) + 2);
+	let headerLength = 0;
+	/** @type {{ cipher: AesCtr, hmac: HmacSha1 }} */
+	let keys;
+	// Holds back the last 10 bytes as the authentication code
+	let tail = new U();
+	return new TransformStream({
+		async transform(chunk, controller) {
+			let bytes = chunk;
+			if (headerLength < header.length) {
+				const n = Math.min(header.length - headerLength, bytes.length);
+				header.set(bytes.subarray(0, n), headerLength);
+				headerLength += n;
+				bytes = bytes.subarray(n);
+				if (headerLength < header.length) return;
+				const salt = header.subarray(0, -2);
+				const { verifier, ...rest } = await deriveWinZipAesKeys(password, salt, strength);
+				if (verifier[0] !== header.at(-2) || verifier[1] !== header.at(-1)) throw new PasswordError('Wrong password.');
+				keys = rest;
+			}
+			const data = new U(tail.length + bytes.length);
+			data.set(tail);
+			data.set(bytes, tail.length);
+			const end = Math.max(data.length - 10, 0);
+			tail = data.subarray(end);
+			if (end) {
+				const encrypted = data.subarray(0, end);
+				keys.hmac.update(encrypted);
+				controller.enqueue(keys.cipher.process(encrypted));
+			}
+		},
+		flush() {
+			if (tail.length < 10) throw new Error('Invalid format: Encrypted data is truncated.');
+			const code = keys.hmac.digest();
+			if (tail.some((b, i) => b !== code[i])) throw new IntegrityError('Authentication code does not match.');
+		},
+	});
+};
+
+/**
+ * Creates a transform stream to verify CRC-32 and size of uncompressed data.
+ * The expected values are read from the record when flushed, since they may follow the data in a data descriptor.
+ * @param {LocalFileHeader} record record with the expected CRC-32 and uncompressed size
+ * @param {boolean} [ignoreCrc] whether not to verify CRC-32 (e.g. AE-2 encrypted content)
+ * @returns {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>} transform stream
+ */
+const createVerificationStream = (record, ignoreCrc = false) => {
+	let crc = 0, length = 0;
+	return new TransformStream({
+		transform(chunk, controller) {
+			crc = calcCrc32(chunk, crc ^ 0xffffffff);
+			length += chunk.length;
+			controller.enqueue(chunk);
+		},
+		flush() {
+			const { crc32, uncompressedSize: size } = record;
+			if (length !== size) throw new IntegrityError(`Size does not match: ${length} bytes (expected ${size} bytes)`);
+			if (!ignoreCrc && (crc >>> 0) !== (crc32 >>> 0)) throw new IntegrityError(`CRC-32 does not match: ${fmtCrc32(crc)} (expected ${fmtCrc32(crc32)})`);
+		},
+	});
+};
+
+/**
+ * Creates a transform stream which passes data through and measures its CRC-32 and size.
+ * @param {(crc32: number, size: number) => void} callback function called with the CRC-32 and size at the end
+ * @param {boolean} [crc] whether to calculate CRC-32 (Default: `true`)
+ * @returns {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>} transform stream
+ */
+const createMeasurementStream = (callback, crc = true) => {
+	let crc32 = 0, size = 0;
+	return new TransformStream({
+		transform(chunk, controller) {
+			if (crc) crc32 = calcCrc32(chunk, crc32 ^ 0xffffffff);
+			size += chunk.length;
+			controller.enqueue(chunk);
+		},
+		flush() {
+			callback(crc32 >>> 0, size);
+		},
+	});
+};
+
+/**
+ * @typedef {object} ZipProgress
+ * @prop {LocalFileHeader?} entry Record of the item in process
+ * @prop {number} bytesProcessed Byte length processed so far
+ * @prop {number?} totalBytes Total byte length (`null` if unknown)
+ */
+
+/**
+ * @typedef {object} ZipProgressOptions
+ * @prop {(progress: ZipProgress) => void} [onProgress] Callback function called whenever data is processed
+ * @prop {AbortSignal} [signal] Signal to abort the operation
+ */
+
+/**
+ * Creates a transform stream which reports the progress of passing data, and is errored when aborted.
+ * @param {ZipProgressOptions} options options
+ * @param {(bytesProcessed: number) => ZipProgress} toProgress function to make a progress from the processed byte length
+ * @returns {TransformStream<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>} transform stream
+ */
+const createProgressStream = ({ onProgress, signal }, toProgress) => {
+	let bytesProcessed = 0;
+	/** @type {() => void} */
+	let onAbort;
+	return new TransformStream({
+		start(controller) {
+			signal?.throwIfAborted();
+			onAbort = () => controller.error(signal?.reason);
+			signal?.addEventListener('abort', onAbort, { once: true });
+		},
+		transform(chunk, controller) {
+			bytesProcessed += chunk.length;
+			controller.enqueue(chunk);
+			onProgress?.(toProgress(bytesProcessed));
+		},
+		flush() {
+			signal?.removeEventListener('abort', onAbort);
+		},
+	});
+};
+
+/**
+ * @typedef {object} ZipCompressionMethod
+ * @prop {(entry: LocalFileHeader) => ReadableWritablePair<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>} [decompress] Function to create a transform stream to decompress the data of an entry
+ * (CRC-32 and sizes of an entry with a data descriptor are set when its data ends in `StreamExtractor`)
+ * @prop {(options: ZipBuilderAppendOptions) => ReadableWritablePair<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>} [compress] Function to create a transform stream to compress the data of an item
+ * @prop {number} [versionNeeded] Version needed to extract the items compressed with the method (Default: 20)
+ * @prop {(options: ZipBuilderAppendOptions) => number} [flags] Function to return the bits of the general purpose flags of an item, which throws an error if the options are invalid
+ */
+
+/** @type {Map<number, ZipCompressionMethod>} */
+const compressionMethods = new Map();
+
+/**
+ * Registers a compression method, which replaces the method registered with the same ID.
+ * Methods registered in the main thread are not available in workers, so a custom worker script should register them too.
+ * @param {number} id compression method ID
+ * @param {ZipCompressionMethod} method functions of the method
+ */
+export const registerMethod = (id, method) => {
+	if (!Number.isInteger(id) || id < 0 || id > 0xffff) throw new RangeError('Invalid compression method ID: ' + id);
+	compressionMethods.set(id, method);
+};
+
+/**
+ * Validates a compression level.
+ * @param {ZipBuilderAppendOptions['level']} level compression level
+ * @param {number} min minimum level
+ */
+const validateLevel = (level, min) => {
+	if (level !== undefined && level !== 'best' && !(Number.isInteger(level) && level >= min && level <= 9)) throw new RangeError('Invalid compression level: ' + level);
+};
+
+/**
+ * Checks if a native stream supports raw deflate.
+ * @param {typeof CompressionStream|typeof DecompressionStream} Stream native stream class
+ * @returns {boolean} whether supported
+ */
+const supportsDeflateRaw = Stream => {
+	try {
+		new Stream('deflate-raw');
+		return true;
+	} catch {
+		return false;
+	}
+};
+
+// The built-in codecs are used in the environments without the native streams
+const nativeCompression = typeof CompressionStream === 'function' && supportsDeflateRaw(CompressionStream);
+const nativeDecompression = typeof DecompressionStream === 'function' && supportsDeflateRaw(DecompressionStream);
+
+/**
+ * Gets the uncompressed size of an entry for the decoders which need it to find the end.
+ * The size of an entry with a data descriptor may be known only at the end of the data (in `StreamExtractor`).
+ * @param {LocalFileHeader} entry entry
+ * @returns {number|(() => number)} uncompressed size, or function to get it at the end of the data
+ */
+const getDecodingSize = entry => entry.hasDataDescriptor ? () => entry.uncompressedSize : entry.uncompressedSize;
+
+registerMethod(0, {
+	decompress: () => new TransformStream(),
+	compress: () => new TransformStream(),
+	versionNeeded: 10,
+});
+registerMethod(1, {
+	decompress: entry => new ShrinkDecompressionStream({ size: getDecodingSize(entry) }),
+});
+for (const factor of [1, 2, 3, 4]) registerMethod(1 + factor, {
+	decompress: entry => new ReduceDecompressionStream({ factor, size: getDecodingSize(entry) }),
+});
+registerMethod(6, {
+	// The bit 1 of the flags indicates the 8K dictionary, and the bit 2 indicates the literal tree
+	decompress: entry => new ImplodeDecompressionStream({ largeDictionary: !!(entry.flags & 2), literalTree: !!(entry.flags & 4), size: getDecodingSize(entry) }),
+});
+registerMethod(8, {
+	decompress: () => nativeDecompression ? new DecompressionStream('deflate-raw') : new InflateStream(),
+	compress: ({ level }) => level === undefined && nativeCompression ? new CompressionStream('deflate-raw') : new DeflateStream({ level }),
+	flags: ({ level }) => {
+		validateLevel(level, 0);
+		// Compression option in the bits 1 and 2 same as Info-ZIP: -9 as maximum, -1 as super fast (-2 and -3 as fast)
+		return level === 'best' || level && level >= 8 ? 2
+			: level === 1 ? 6
+			: level === 2 || level === 3 ? 4
+			: 0;
+	},
+});
+registerMethod(9, {
+	decompress: () => new InflateStream({ deflate64: true }),
+});
+registerMethod(12, {
+	decompress: () => new Bzip2DecompressionStream(),
+});
+registerMethod(14, {
+	// The bit 1 of the flags indicates that the data ends with the end marker
+	decompress: entry => new LzmaDecompressionStream({ size: entry.flags & 2 ? undefined : getDecodingSize(entry) }),
+	compress: ({ level }) => new LzmaCompressionStream({ level }),
+	versionNeeded: 63,
+	flags: ({ level }) => {
+		validateLevel(level, 1);
+		return 2;
+	},
+});
+registerMethod(93, {
+	decompress: () => new ZstdDecompressionStream(),
+});
+registerMethod(95, {
+	decompress: () => new XzDecompressionStream(),
+});
+
+/**
+ * @typedef {object} ZipExtractorPickOptions
+ * @prop {string} [password] Password of an encrypted content
+ * @prop {boolean} [verify] Whether to verify CRC-32 and size of the content (Default: `true`)
+ * @prop {(progress: ZipProgress) => void} [onProgress] Callback function called with the uncompressed byte length
+ * @prop {AbortSignal} [signal] Signal to abort reading the content
+ */
+
+/**
+ * Creates a response whose body is errored.
+ * @param {Error} error error
+ * @returns {Response} response
+ */
+const createErrorResponse = error => new Response(new ReadableStream({ start: controller => controller.error(error) }));
+
+/**
+ * Gets factories of transform streams to decrypt, decompress and verify a content.
+ * @param {LocalFileHeader} record record of the content with the complete values
+ * @param {ZipExtractorPickOptions} [options] options
+ * @returns {Array<() => ReadableWritablePair<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>> | Response} factories, or an error response if the content cannot be decoded
+ */
+const getDecodingTransforms = (record, options) => {
+	/** @type {Array<() => ReadableWritablePair<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>>} */
+	const transforms = [];
+	const password = options?.password;
+	let method = record.method;
+	let ignoreCrc = false;
+	switch (record.encryption) {
+		case false:
+			break;
+		case 'traditional':
+			if (!password) return createErrorResponse(new PasswordError('Password is required.'));
+			// The check byte is the high byte of the modification time if the CRC-32 is unknown when encrypted
+			const check = record.hasDataDescriptor ? record.lastModified.toInt() >>> 8 & 0xff : record.crc32 >>> 24;
+			transforms.push(() => createZipCryptoDecryptionStream(password, check));
+			break;
+		case 'wzAES':
+			// AE-x extra field: version (2), vendor ID "AE" (2), strength (1), actual compression method (2)
+			const field = record.extraFields.get(0x9901);
+			if (!field || field.length < 7) return new Response(null, { status: 418, statusText: 'AES extra field is not found.' });
+			if (!password) return createErrorResponse(new PasswordError('Password is required.'));
+			method = field[5] | field[6] << 8;
+			// AE-2 does not store CRC-32
+			ignoreCrc = field[0] === 2;
+			transforms.push(() => createWinZipAesDecryptionStream(password, field[4]));
+			break;
+		default:
+			const reason = 'Unsupported encryption method: ' + record.encryption;
+			return new Response(null, { status: 418, statusText: reason });
+	}
+	const decompress = compressionMethods.get(method)?.decompress;
+	if (!decompress) {
+		const reason = 'Unsupported compression method: ' + method;
+		return new Response(null, { status: 418, statusText: reason });
+	}
+	transforms.push(() => decompress(record));
+	if (options?.verify ?? true) transforms.push(() => createVerificationStream(record, ignoreCrc));
+	if (options?.onProgress || options?.signal) {
+		const totalBytes = record.uncompressedSize;
+		transforms.push(() => createProgressStream(options, bytesProcessed => ({ entry: record, bytesProcessed, totalBytes })));
+	}
+	return transforms;
+};
+
+/**
+ * Creates a readable stream which reads values from an async iterator.
+ * @param {AsyncIterator<Uint8Array<ArrayBuffer>>} iterator async iterator
+ * @returns {ReadableStream<Uint8Array<ArrayBuffer>>} readable stream
+ */
+const iteratorStream = iterator => new ReadableStream({
+	async pull(controller) {
+		const { done, value } = await iterator.next();
+		if (done) controller.close();
+		else controller.enqueue(value);
+	},
+}, { highWaterMark: 0 });
+
+/**
+ * Creates a readable stream which opens the source stream on the first read.
+ * @param {() => Promise<ReadableStream<Uint8Array<ArrayBuffer>>>} open function to open the source stream
+ * @returns {ReadableStream<Uint8Array<ArrayBuffer>>} readable stream
+ */
+const lazyStream = open => {
+	/** @type {ReadableStreamDefaultReader<Uint8Array<ArrayBuffer>>} */
+	let reader;
+	return new ReadableStream({
+		async pull(controller) {
+			reader ??= (await open()).getReader();
+			const { done, value } = await reader.read();
+			if (done) controller.close();
+			else controller.enqueue(value);
+		},
+		cancel: reason => reader?.cancel(reason),
+	}, { highWaterMark: 0 });
+};
+
+/**
+ * Fills CRC-32 and sizes of a local file header which are deferred to the data descriptor.
+ * The values of the central directory entry are used if the data descriptor is invalid.
+ * @param {LocalFileHeader} header local file header
+ * @param {CentralDirectoryEntry} cd central directory entry
+ * @param {DataView<ArrayBuffer>} view byte array cursor of the data descriptor
+ */
+const completeHeader = (header, cd, view) => {
+	// Sizes are 8-byte values if ZIP64 extended information exists
+	const descriptor = DataDescriptor.from(view, header.extraFields.has(1), cd.crc32);
+	const valid = descriptor && descriptor.compressedSize === cd.compressedSize;
+	const { crc32, compressedSize, uncompressedSize } = valid ? descriptor : cd;
+	header.crc32 = crc32;
+	header.compressedSize = compressedSize;
+	header.uncompressedSize = uncompressedSize;
+};
+
+/**
+ * Reads a content (local file header and body) from the blob of an archive.
+ * @param {Blob} blob blob of the archive
+ * @param {CentralDirectoryEntry} cd central directory entry of the content
+ * @returns {Promise<{ header: LocalFileHeader, body: Blob }>} content
+ */
+const readContent = async (blob, cd) => {
+	const begin = cd.headerOffset;
+	let buffer = await blob.slice(begin, begin + 30 + cd.fileNameBytes.length + cd.extraFieldBytes.length).arrayBuffer();
+	const view = new V(buffer);
+	if (buffer.byteLength < 30 || view.getUint32(0, true) !== 0x04034b50) throw new Error('Invalid format: Local file header is not found at ' + begin);
+	const length = 30 + view.getUint16(26, true) + view.getUint16(28, true);
+	if (buffer.byteLength < length) buffer = await blob.slice(begin, begin + length).arrayBuffer();
+	const header = LocalFileHeader.from(new V(buffer));
+	const end = begin + length + cd.compressedSize;
+	const body = blob.slice(begin + length, end);
+	if (header.hasDataDescriptor) completeHeader(header, cd, new V(await blob.slice(end, end + 24).arrayBuffer()));
+	return { header, body };
+};
+
+/**
+ * Class for unzipping file
+ */
+export class Extractor {
+	/** @type {EndOfCentralDirectoryRecord} */ eocd;
+	/** @type {Zip64EndOfCentralDirectoryRecord?} */ eocd64 = null;
+	/** @type {CentralDirectoryEntry[]} */ cd = [];
+	/** @type {Array<{ header: LocalFileHeader, body: Uint8Array<ArrayBuffer> | Blob }> } */ contents = [];
+	/** @type {Blob?} */ #blob = null;
+
+	/**
+	 * Creates a Zip Extractor object from an array buffer.
+	 * @param {ArrayBuffer} [buffer] array buffer (an empty object is created if omitted)
+	 */
+	constructor(buffer) {
+		if (!buffer) return;
+		const bytes = new U(buffer);
+		const eocdOffset = findEocdOffset(bytes);
+		if (eocdOffset < 0) throw new Error('Invalid format: End of central directory record is not found.');
+		this.eocd = EndOfCentralDirectoryRecord.from(new V(buffer, eocdOffset));
+		let cdEnd = eocdOffset;
+		const locatorOffset = eocdOffset - 20;
+		if (locatorOffset >= 0 && new V(buffer, locatorOffset, 4).getUint32(0, true) === 0x07064b50) {
+			const locator = Zip64EndOfCentralDirectoryLocator.from(new V(buffer, locatorOffset));
+			this.eocd64 = Zip64EndOfCentralDirectoryRecord.from(new V(buffer, locator.eocdOffset));
+			if (this.eocd64.signature !== 0x06064b50) throw new Error('Invalid format: Zip64 end of central directory record is not found.');
+			cdEnd = locator.eocdOffset;
+		}
+		const { numOfFiles, cdOffset: cdStart } = this.eocd64 ?? this.eocd;
+		this.cd = readCentralDirectory(new V(buffer, cdStart, cdEnd - cdStart), numOfFiles);
+		for (const cd of this.cd) {
+			const header = LocalFileHeader.from(new V(buffer, cd.headerOffset));
+			const bodyOffset = cd.headerOffset + header.length;
+			const body = new U(buffer, bodyOffset, cd.compressedSize);
+			if (header.hasDataDescriptor) {
+				const descriptorOffset = bodyOffset + cd.compressedSize;
+				const view = new V(buffer, descriptorOffset, Math.min(buffer.byteLength - descriptorOffset, 24));
+				completeHeader(header, cd, view);
+			}
+			this.contents.push({ header, body });
+		}
+	}
+
+	/**
+	 * Creates a Zip Extractor object from a blob (or a file) asynchronously.
+	 * Only the central directory is read at first; each content is read from the blob when it is picked.
+	 * @param {Blob} blob blob or file
+	 * @returns {Promise<Extractor>} new Zip Extractor object
+	 */
+	static async fromBlob(blob) {
+		const self = new Extractor();
+		self.#blob = blob;
+		const tailOffset = Math.max(blob.size - 0xffff - 22 - 20, 0);
+		const tail = await blob.slice(tailOffset).arrayBuffer();
+		const eocdOffset = findEocdOffset(new U(tail));
+		if (eocdOffset < 0) throw new Error('Invalid format: End of central directory record is not found.');
+		self.eocd = EndOfCentralDirectoryRecord.from(new V(tail, eocdOffset));
+		const locatorOffset = eocdOffset - 20;
+		if (locatorOffset >= 0 && new V(tail, locatorOffset, 4).getUint32(0, true) === 0x07064b50) {
+			const locator = Zip64EndOfCentralDirectoryLocator.from(new V(tail, locatorOffset));
+			const buffer = await blob.slice(locator.eocdOffset, locator.eocdOffset + 56).arrayBuffer();
+			self.eocd64 = Zip64EndOfCentralDirectoryRecord.from(new V(buffer));
+			if (self.eocd64.signature !== 0x06064b50) throw new Error('Invalid format: Zip64 end of central directory record is not found.');
+		}
+		const { numOfFiles, cdOffset, cdSize } = self.eocd64 ?? self.eocd;
+		const buffer = await blob.slice(cdOffset, cdOffset + cdSize).arrayBuffer();
+		self.cd = readCentralDirectory(new V(buffer), numOfFiles);
+		return self;
+	}
+
+	/**
+	 * Loads a raw content (local file header and compressed body) at index.
+	 * Contents of an object created from an array buffer are already loaded.
+	 * @param {number} index index
+	 * @returns {Promise<{ header: LocalFileHeader, body: Uint8Array<ArrayBuffer> | Blob }>} content
+	 */
+	async loadContent(index) {
+		if (!this.cd[index]) throw new Error('No content at the index: ' + index);
+		const loaded = this.contents[index];
+		if (loaded || !this.#blob) return loaded;
+		return this.contents[index] = await readContent(this.#blob, this.cd[index]);
+	}
+
+	/**
+	 * Picks a content at index.
+	 * The response body is errored with {@link PasswordError} if the password is wrong or missing,
+	 * or with {@link IntegrityError} if the content is corrupt.
+	 * The response has the status 418 if the compression or encryption method is not supported.
+	 * @param {number} index 
+	 * @param {ZipExtractorPickOptions} [options] options
+	 * @returns {Response} decompressed response
+	 */
+	pick(index, options) {
+		const i = index < 0 ? index + this.cd.length : index;
+		const cd = this.cd[i];
+		if (!cd) {
+			const reason = 'No content at the index: ' + index;
+			throw new Error(reason);
+		}
+		const transforms = getDecodingTransforms(cd, options);
+		if (transforms instanceof Response) return transforms;
+		return new Response(lazyStream(async () => {
+			const content = await this.loadContent(i);
+			const stream = new Blob([content.body]).stream();
+			return transforms.reduce((s, t) => s.pipeThrough(t()), stream);
+		}));
+	}
+
+	/**
+	 * Gets a list of file names with specific encoding.
+	 * @param {string} [encoding] encoding charset name
+	 * @returns {string[]} list of file names
+	 */
+	getNames(encoding) {
+		const decoder = new TextDecoder(encoding);
+		return this.cd.map(cd => decoder.decode(cd.fileNameBytes));
+	}
+
+	/**
+	 * Iterates the contents.
+	 * `header` is the local file header only if the content has been loaded (always for an object created from an array buffer),
+	 * or `undefined` for an object created from a blob.
+	 */
+	*[Symbol.iterator]() {
+		for (let i = 0; i < this.cd.length; i++) {
+			yield {
+				entry: this.cd[i],
+				header: this.contents[i]?.header,
+				body: this.pick(i),
+				/** @type {(password: string) => Response} */
+				decrypt: password => this.pick(i, { password }),
+			};
+		}
+	}
+}
+
+/**
+ * Class for reading bytes from a stream with pushing back
+ */
+class ByteReader {
+	/** @type {ReadableStreamDefaultReader<Uint8Array<ArrayBuffer>>} */ #reader;
+	/** @type {Uint8Array<ArrayBuffer>[]} */ #chunks = [];
+
+	/**
+	 * @param {ReadableStream<Uint8Array<ArrayBuffer>>} stream readable stream
+	 */
+	constructor(stream) {
+		this.#reader = stream.getReader();
+	}
+
+	/**
+	 * Reads the next chunk.
+	 * @returns {Promise<Uint8Array<ArrayBuffer>?>} chunk, or `null` at the end of the stream
+	 */
+	async next() {
+		const chunk = this.#chunks.shift();
+		if (chunk) return chunk;
+		const { done, value } = await this.#reader.read();
+		return done ? null : value;
+	}
+
+	/**
+	 * Reads bytes of the length (shorter at the end of the stream).
+	 * @param {number} length length
+	 * @returns {Promise<Uint8Array<ArrayBuffer>>} bytes
+	 */
+	async read(length) {
+		const result = new U(length);
+		let offset = 0;
+		while (offset < length) {
+			const chunk = await this.next();
+			if (!chunk) break;
+			const n = Math.min(length - offset, chunk.length);
+			result.set(chunk.subarray(0, n), offset);
+			this.unshift(chunk.subarray(n));
+			offset += n;
+		}
+		return result.subarray(0, offset);
+	}
+
+	/**
+	 * Pushes back bytes to be read next.
+	 * @param {Uint8Array<ArrayBuffer>} bytes bytes
+	 */
+	unshift(bytes) {
+		if (bytes.length) this.#chunks.unshift(bytes);
+	}
+
+	/**
+	 * Cancels the stream.
+	 * @param {any} [reason] reason
+	 */
+	cancel(reason) {
+		this.#chunks = [];
+		return this.#reader.cancel(reason);
+	}
+}
+
+/**
+ * Class for unzipping file sequentially from a stream.
+ * Contents are read from local file headers, so the central directory is not needed.
+ */
+export class StreamExtractor {
+	/** @type {ByteReader} */ #reader;
+	/** @type {LocalFileHeader?} */ #header = null;
+
+	/**
+	 * Creates a Zip Stream Extractor object from a readable stream.
+	 * @param {ReadableStream<Uint8Array<ArrayBuffer>>} stream readable stream (e.g. body of a fetch response)
+	 * @param {ZipProgressOptions & { totalBytes?: number }} [options] options to report the byte length read from the stream
+	 * and to abort reading (`totalBytes`: byte length of the stream if known, e.g. `Content-Length`)
+	 */
+	constructor(stream, options) {
+		if (options?.onProgress || options?.signal) {
+			const totalBytes = options.totalBytes ?? null;
+			stream = stream.pipeThrough(createProgressStream(options, bytesProcessed => ({ entry: this.#header, bytesProcessed, totalBytes })));
+		}
+		this.#reader = new ByteReader(stream);
+	}
+
+	/**
+	 * Whether the end of the data is found by decompressing, not by the compressed size.
+	 * @param {LocalFileHeader} header local file header
+	 * @returns {boolean}
+	 */
+	static #isInflatable(header) {
+		return header.hasDataDescriptor && (header.method === 8 || header.method === 9) && !header.encryption;
+	}
+
+	/**
+	 * Reads the data (compressed and encrypted) of a content.
+	 * If the size is deferred to the data descriptor, the end is found by scanning for the data descriptor.
+	 * @param {LocalFileHeader} header local file header
+	 * @returns {AsyncGenerator<Uint8Array<ArrayBuffer>>} data
+	 */
+	async *#readData(header) {
+		const reader = this.#reader;
+		if (!header.hasDataDescriptor) {
+			for (let rest = header.compressedSize; rest > 0; ) {
+				const chunk = await reader.next();
+				if (!chunk) throw new Error('Invalid format: Unexpected end of stream.');
+				reader.unshift(chunk.subarray(rest));
+				const bytes = chunk.subarray(0, rest);
+				rest -= bytes.length;
+				yield bytes;
+			}
+			return;
+		}
+		const zip64 = header.extraFields.has(1);
+		// The signature is required here to find the data descriptor
+		const descriptorLength = zip64 ? 24 : 16;
+		let pending = new U();
+		let size = 0;
+		for (;;) {
+			const chunk = await reader.next();
+			if (!chunk) throw new Error('Invalid format: Data descriptor is not found.');
+			const bytes = new U(pending.length + chunk.length);
+			bytes.set(pending);
+			bytes.set(chunk, pending.length);
+			const view = new V(bytes.buffer);
+			for (let i = bytes.indexOf(0x50); 0 <= i && i + descriptorLength <= bytes.length; i = bytes.indexOf(0x50, i + 1)) {
+				if (view.getUint32(i, true) !== 0x08074b50) continue;
+				const descriptor = DataDescriptor.from(new V(bytes.buffer, i), zip64);
+				if (descriptor?.compressedSize !== size + i) continue;
+				if (i) yield bytes.subarray(0, i);
+				reader.unshift(bytes.subarray(i + descriptor.length));
+				header.crc32 = descriptor.crc32;
+				header.compressedSize = descriptor.compressedSize;
+				header.uncompressedSize = descriptor.uncompressedSize;
+				return;
+			}
+			// Holds back the bytes which may be the beginning of the data descriptor
+			const end = Math.max(bytes.length - descriptorLength + 1, 0);
+			pending = bytes.subarray(end);
+			size += end;
+			if (end) yield bytes.subarray(0, end);
+		}
+	}
+
+	/**
+	 * Decompresses the deflated (or Deflate64) data of a content whose size is deferred to the data descriptor.
+	 * The end of the data is found by decompressing.
+	 * @param {LocalFileHeader} header local file header
+	 * @returns {AsyncGenerator<Uint8Array<ArrayBuffer>>} decompressed data
+	 */
+	async *#inflateData(header) {
+		const reader = this.#reader;
+		const inflater = new Inflater({ deflate64: header.method === 9 });
+		let compressedSize = 0;
+		while (!inflater.finished) {
+			const chunk = await reader.next();
+			if (!chunk) throw new Error('Invalid format: Unexpected end of stream.');
+			compressedSize += chunk.length;
+			const output = inflater.push(chunk);
+			if (output.length) yield output;
+		}
+		const rest = inflater.remaining.slice();
+		compressedSize -= rest.length;
+		reader.unshift(rest);
+		const bytes = await reader.read(24);
+		const view = new V(bytes.buffer, bytes.byteOffset, bytes.length);
+		// Sizes should be 8-byte values if ZIP64 extended information exists, but not all writers follow it
+		const zip64 = header.extraFields.has(1);
+		const descriptor = [zip64, !zip64].map(b => DataDescriptor.from(view, b)).find(d => d?.compressedSize === compressedSize);
+		if (!descriptor) throw new Error('Invalid format: Data descriptor is not found.');
+		reader.unshift(bytes.subarray(descriptor.length));
+		header.crc32 = descriptor.crc32;
+		header.compressedSize = descriptor.compressedSize;
+		header.uncompressedSize = descriptor.uncompressedSize;
+	}
+
+	/**
+	 * Opens the body of a content.
+	 * @param {{ header: LocalFileHeader, data: AsyncGenerator<Uint8Array<ArrayBuffer>>?, skipped: boolean }} entry state of the content
+	 * @param {ZipExtractorPickOptions} [options] options
+	 * @returns {Response} decompressed response
+	 */
+	#open(entry, options) {
+		const header = entry.header;
+		const inflating = StreamExtractor.#isInflatable(header);
+		const transforms = inflating
+			? options?.verify ?? true ? [() => createVerificationStream(header)] : []
+			: getDecodingTransforms(header, options);
+		if (transforms instanceof Response) return transforms;
+		return new Response(lazyStream(async () => {
+			if (entry.skipped) throw new Error('The content has already been skipped.');
+			if (entry.data) throw new Error('The content has already been read.');
+			entry.data = inflating ? this.#inflateData(header) : this.#readData(header);
+			return transforms.reduce((s, t) => s.pipeThrough(t()), iteratorStream(entry.data));
+		}));
+	}
+
+	/**
+	 * Iterates contents in order of appearance.
+	 * The body of each content should be read before the iteration proceeds; otherwise, it is skipped.
+	 */
+	async *[Symbol.asyncIterator]() {
+		const reader = this.#reader;
+		try {
+			for (let first = true; ; first = false) {
+				const signature = await reader.read(4);
+				if (signature.length < 4) return;
+				const sig = new V(signature.buffer, signature.byteOffset).getUint32(0, true);
+				// Split archives begin with the same signature as the data descriptor
+				if (first && sig === 0x08074b50) continue;
+				if (sig !== 0x04034b50) {
+					if ([0x02014b50, 0x06054b50, 0x06064b50].includes(sig)) return;
+					throw new Error('Invalid format: Local file header is not found.');
+				}
+				const fixed = await reader.read(26);
+				if (fixed.length < 26) throw new Error('Invalid format: Unexpected end of stream.');
+				const fixedView = new V(fixed.buffer, fixed.byteOffset, fixed.length);
+				const variable = await reader.read(fixedView.getUint16(22, true) + fixedView.getUint16(24, true));
+				const bytes = new U(30 + variable.length);
+				bytes.set(signature);
+				bytes.set(fixed, 4);
+				bytes.set(variable, 30);
+				const header = this.#header = LocalFileHeader.from(new V(bytes.buffer));
+				const entry = { header, data: null, skipped: false };
+				yield {
+					header,
+					body: this.#open(entry),
+					/** @type {(password: string) => Response} */
+					decrypt: password => this.#open(entry, { password }),
+				};
+				if (!entry.data) {
+					entry.skipped = true;
+					const inflating = StreamExtractor.#isInflatable(header);
+					entry.data = inflating ? this.#inflateData(header) : this.#readData(header);
+				}
+				for await (const _ of entry.data);
+			}
+		} finally {
+			await reader.cancel();
+		}
+	}
+}
+
+/**
+ * Source of an item: a string is encoded in UTF-8
+ * @typedef {Blob|ReadableStream<Uint8Array<ArrayBuffer>>|ArrayBuffer|ArrayBufferView<ArrayBuffer>|string} ZipBuilderSource
+ */
+
+/**
+ * @typedef {object} ZipBuilderAppendOptions
+ * @prop {string} filepath File path (Default: name of the file if the source is a `File`)
+ * @prop {number} [method] ID of a compression method registered with `registerMethod` (Default: 8; built-in: 0 for stored, 8 for deflate and 14 for LZMA)
+ * @prop {number|'best'} [level] Compression level of deflate from 0 to 9 (LZMA from 1 to 9), or `'best'` (deflate is compressed with `CompressionStream` if not set and available)
+ * @prop {number} [lastModified] Last modified Unix timestamp (Default: that of the file if the source is a `File`, or the current time)
+ * @prop {Uint8Array<ArrayBuffer>} [extraField] Byte array of extra field
+ * @prop {string} [comment] Comment of each item
+ * @prop {boolean} [zip64] Whether to write ZIP64 extended information even if not required
+ * @prop {string} [password] Password to encrypt
+ * @prop {'traditional'|'aes-128'|'aes-192'|'aes-256'} [encryption] Encryption method with the password (Default: `'traditional'`)
+ * @prop {(progress: ZipProgress) => void} [onProgress] Callback function called with the byte length read from the source
+ * @prop {AbortSignal} [signal] Signal to abort appending the item
+ */
+
+/**
+ * @typedef {object} ZipBuilderBuildOptions
+ * @prop {string} [comment] package comment
+ * @prop {boolean} [zip64] whether to write ZIP64 end of central directory record even if not required
+ */
+
+/**
+ * Resolves the append options with the defaults taken from the source.
+ * @param {ZipBuilderSource} source source of the item
+ * @param {string|Partial<ZipBuilderAppendOptions>} [opt] file path or append options
+ * @returns {ZipBuilderAppendOptions} append options
+ */
+const resolveAppendOptions = (source, opt) => {
+	const options = typeof opt === 'string' ? { filepath: opt } : { ...opt };
+	if (source instanceof File) {
+		options.filepath ??= source.name;
+		options.lastModified ??= source.lastModified;
+	}
+	if (!options.filepath) throw new Error('File path is required.');
+	return /** @type {ZipBuilderAppendOptions} */ (options);
+};
+
+/**
+ * Opens a readable stream of the source of an item.
+ * @param {ZipBuilderSource} source source of the item
+ * @returns {ReadableStream<Uint8Array<ArrayBuffer>>} readable stream
+ */
+const openSource = source => {
+	if (source instanceof ReadableStream) return source;
+	if (source instanceof Blob) return source.stream();
+	return new Blob([source]).stream();
+};
+
+/**
+ * Gets the byte length of the source of an item.
+ * @param {ZipBuilderSource} source source of the item
+ * @returns {number?} byte length (`null` if unknown)
+ */
+const getSourceSize = source => source instanceof Blob ? source.size
+	: source instanceof ArrayBuffer || ArrayBuffer.isView(source) ? source.byteLength
+	: null;
+
+/**
+ * Opens a readable stream of the source of an item, which reports the progress.
+ * @param {ZipBuilderSource} source source of the item
+ * @param {CentralDirectoryEntry} entry record of the item
+ * @param {ZipBuilderAppendOptions} options append options
+ * @returns {ReadableStream<Uint8Array<ArrayBuffer>>} readable stream
+ */
+const openSourceWithProgress = (source, entry, options) => {
+	const stream = openSource(source);
+	if (!options.onProgress && !options.signal) return stream;
+	const totalBytes = getSourceSize(source);
+	return stream.pipeThrough(createProgressStream(options, bytesProcessed => ({ entry, bytesProcessed, totalBytes })));
+};
+
+/**
+ * Creates a transform stream to compress an item with the registered method.
+ * @param {ZipBuilderAppendOptions} options append options
+ * @returns {ReadableWritablePair<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>} transform stream
+ */
+const createCompressionStream = options => {
+	const method = options.method ?? 8;
+	const compress = compressionMethods.get(method)?.compress;
+	if (!compress) throw new Error('Unsupported compression method: ' + method);
+	return compress(options);
+};
+
+/**
+ * Creates a local file header and a central directory entry of a new item.
+ * @param {ZipBuilderAppendOptions} options append options
+ * @returns {{ header: LocalFileHeader, cd: CentralDirectoryEntry }} records sharing the same values
+ */
+const createItemRecords = options => {
+	const cd = new CentralDirectoryEntry();
+	const header = new LocalFileHeader();
+	const method = options.method ?? 8;
+	const registered = compressionMethods.get(method);
+	if (!registered?.compress) throw new Error('Unsupported compression method: ' + method);
+	cd.versionNeeded = header.versionNeeded = registered.versionNeeded ?? 20;
+	cd.zip64 = header.zip64 = !!options.zip64;
+	cd.versionMadeBy = 20;
+	cd.method = header.method = method;
+	cd.flags = header.flags |= registered.flags?.(options) ?? 0;
+	cd.lastModified = header.lastModified = ZipDateTime.fromDate(options.lastModified ? new Date(options.lastModified) : new Date());
+	cd.isUtf8 = header.isUtf8 = true;
+	const fileNameBytes = Builder.textEncoder.encode(options.filepath);
+	cd.fileNameBytes = header.fileNameBytes = fileNameBytes;
+	cd.extraFieldBytes = header.extraFieldBytes = options.extraField ?? new U();
+	cd.commentBytes = Builder.textEncoder.encode(options.comment);
+	return { header, cd };
+};
+
+/**
+ * Marks the records of an item as encrypted.
+ * @param {{ header: LocalFileHeader, cd: CentralDirectoryEntry }} records records of the item
+ * @param {ZipBuilderAppendOptions['encryption']} [encryption] encryption method (Default: `'traditional'`)
+ * @returns {number} key strength of WinZip AES encryption, or 0 for the traditional PKWARE encryption
+ */
+const setItemEncryption = ({ header, cd }, encryption = 'traditional') => {
+	if (encryption === 'traditional') {
+		cd.encryption = header.encryption = 'traditional';
+		return 0;
+	}
+	const strength = ['aes-128', 'aes-192', 'aes-256'].indexOf(encryption) + 1;
+	if (!strength) throw new Error('Unsupported encryption method: ' + encryption);
+	const method = header.method;
+	// AE-2 (vendor version 2) without CRC-32
+	const field = U.of(2, 0, 0x41, 0x45, strength, method & 0xff, method >>> 8);
+	cd.extraFieldBytes = header.extraFieldBytes = setExtraField(header.extraFieldBytes, 0x9901, field);
+	cd.encryption = header.encryption = 'wzAES';
+	cd.crc32 = header.crc32 = 0;
+	cd.versionNeeded = header.versionNeeded = 51;
+	return strength;
+};
+
+/**
+ * Creates blob parts of the central directory and the end of central directory records.
+ * @param {CentralDirectoryEntry[]} centralDirectory central directory entries with header offsets
+ * @param {number} offset offset of the central directory
+ * @param {ZipBuilderBuildOptions} [options] options
+ * @returns {BufferSource[]} blob parts
+ */
+const createCentralDirectoryParts = (centralDirectory, offset, options) => {
+	/** @type {BufferSource[]} */
+	const blobParts = [];
+	for (const cd of centralDirectory) for (const part of cd.toBlobParts()) blobParts.push(part);
+	const len = centralDirectory.length;
+	const eocd = new EndOfCentralDirectoryRecord();
+	eocd.numOfFiles = len;
+	eocd.totalNumOfFiles = len;
+	eocd.cdSize = blobParts.reduce((a, c) => a + c.byteLength, 0);
+	eocd.cdOffset = offset;
+	eocd.commentBytes = Builder.textEncoder.encode(options?.comment);
+	if (options?.zip64 || eocd.requiresZip64) {
+		const eocd64 = new Zip64EndOfCentralDirectoryRecord();
+		eocd64.numOfFiles = eocd64.totalNumOfFiles = len;
+		eocd64.cdSize = eocd.cdSize;
+		eocd64.cdOffset = eocd.cdOffset;
+		const locator = new Zip64EndOfCentralDirectoryLocator();
+		locator.eocdOffset = eocd.cdOffset + eocd.cdSize;
+		blobParts.push(...eocd64.toBlobParts(), ...locator.toBlobParts());
+	}
+	blobParts.push(...eocd.toBlobParts());
+	return blobParts;
+};
+
+/**
+ * Class for zipping file
+ */
+export class Builder {
+	static textDecoder = new TextDecoder();
+	static textEncoder = new TextEncoder();
+
+	/** @type {CentralDirectoryEntry[]} */
+	centralDirectory = [];
+	/** @type { Array<{ header: LocalFileHeader, body: Uint8Array<ArrayBuffer> | Blob }> } */
+	contents = [];
+
+	/**
+	 * Creates a Zip Builder object from the contents of an extractor asynchronously.
+	 * The compressed (and encrypted) bodies are copied with their records without recompressing.
+	 * The bodies of an extractor created from a blob are kept as slices of the blob, which should stay readable until built.
+	 * @param {Extractor} extractor extractor
+	 * @returns {Promise<Builder>} new Zip Builder object
+	 */
+	static async from(extractor) {
+		const builder = new Builder();
+		for (let i = 0; i < extractor.cd.length; i++) {
+			const { header, body } = await extractor.loadContent(i);
+			builder.centralDirectory.push(Object.assign(new CentralDirectoryEntry(), extractor.cd[i]));
+			builder.contents.push({
+				header: Object.assign(new LocalFileHeader(), header),
+				body,
+			});
+		}
+		return builder;
+	}
+	
+	/**
+	 * Appends a file to this package and returns index asynchronously.
+	 * The source is read and compressed incrementally.
+	 * @overload
+	 * @param {ZipBuilderSource} source Uncompressed source
+	 * @param {string} opt File path
+	 * @return {Promise<number>} Index
+	 */
+	/**
+	 * Appends a file to this package and returns index asynchronously.
+	 * The source is read and compressed incrementally.
+	 * @overload
+	 * @param {ZipBuilderSource} source Uncompressed source
+	 * @param {Partial<ZipBuilderAppendOptions>} [opt] Compression options (`filepath` is optional if the source is a `File`)
+	 * @return {Promise<number>} Index
+	 */
+	/**
+	 * @param {ZipBuilderSource} source
+	 * @param {string|Partial<ZipBuilderAppendOptions>} [opt]
+	 * @returns {Promise<number>}
+	 */
+	async append(source, opt) {
+		const options = resolveAppendOptions(source, opt);
+		const records = createItemRecords(options);
+		const { header, cd } = records;
+		let stream = openSourceWithProgress(source, cd, options).pipeThrough(createMeasurementStream((crc32, size) => {
+			cd.crc32 = header.crc32 = crc32;
+			cd.uncompressedSize = header.uncompressedSize = size;
+		}));
+		stream = stream.pipeThrough(createCompressionStream(options));
+		/** @type {Uint8Array<ArrayBuffer>} */
+		let body = new U(await new Response(stream).arrayBuffer());
+		if (options.password) {
+			const check = header.crc32 >>> 24;
+			const strength = setItemEncryption(records, options.encryption);
+			body = strength ? await encryptWinZipAes(body, options.password, strength) : encryptZipCrypto(body, options.password, check);
+		}
+		cd.compressedSize = header.compressedSize = body.length;
+		if (header.requiresZip64) cd.versionNeeded = header.versionNeeded = Math.max(header.versionNeeded, 45);
+		this.centralDirectory.push(cd);
+		return this.contents.push({ header, body });
+	}
+
+	/**
+	 * Removes the items at the index from this archive.
+	 * @param {number} index Index of the first item to remove
+	 * @param {number} [count=1] Count of items to remove (Default: 1)
+	 * @returns {string[]} List of removed files names
+	 */
+	remove(index, count = 1) {
+		const cd = this.centralDirectory.splice(index, count);
+		this.contents.splice(index, count);
+		return cd.map(entry => Builder.textDecoder.decode(entry.fileNameBytes));
+	}
+
+	/**
+	 * Gets the index of an item.
+	 * @param {number|string} target Index or file path of the item
+	 * @returns {number} Index
+	 */
+	#indexOf(target) {
+		const index = typeof target === 'string' ? this.find(target) : target < 0 ? target + this.contents.length : target;
+		if (!this.centralDirectory[index]) throw new Error(typeof target === 'string' ? 'No item with the path: ' + target : 'No item at the index: ' + target);
+		return index;
+	}
+
+	/**
+	 * Finds the index of the first item with the file path.
+	 * @param {string} path File path
+	 * @returns {number} Index, or -1 if not found
+	 */
+	find(path) {
+		return this.centralDirectory.findIndex(entry => Builder.textDecoder.decode(entry.fileNameBytes) === path);
+	}
+
+	/**
+	 * Renames an item.
+	 * @param {number|string} target Index or file path of the item
+	 * @param {string} newPath New file path
+	 * @returns {string} Old file path
+	 */
+	rename(target, newPath) {
+		if (!newPath) throw new Error('File path is required.');
+		const index = this.#indexOf(target);
+		const cd = this.centralDirectory[index];
+		const { header } = this.contents[index];
+		const oldPath = Builder.textDecoder.decode(cd.fileNameBytes);
+		cd.fileNameBytes = header.fileNameBytes = Builder.textEncoder.encode(newPath);
+		cd.isUtf8 = header.isUtf8 = true;
+		// Info-ZIP Unicode Path extra field would take precedence over the new name
+		cd.extraFieldBytes = setExtraField(cd.extraFieldBytes, 0x7075, null);
+		header.extraFieldBytes = setExtraField(header.extraFieldBytes, 0x7075, null);
+		return oldPath;
+	}
+
+	/**
+	 * Replaces an item with a new source at the same index, and returns the index asynchronously.
+	 * @param {number|string} target Index or file path of the item
+	 * @param {ZipBuilderSource} source Uncompressed source
+	 * @param {string|Partial<ZipBuilderAppendOptions>} [opt] File path or compression options (the file path of the item by default)
+	 * @returns {Promise<number>} Index
+	 */
+	async replace(target, source, opt) {
+		const cd = this.centralDirectory[this.#indexOf(target)];
+		const options = typeof opt === 'string' ? { filepath: opt } : { filepath: Builder.textDecoder.decode(cd.fileNameBytes), ...opt };
+		const added = this.centralDirectory[await this.append(source, options) - 1];
+		const content = this.contents[this.centralDirectory.indexOf(added)];
+		// Other items may be appended or removed meanwhile, so both items are looked up by identity
+		this.remove(this.centralDirectory.indexOf(added));
+		const index = this.centralDirectory.indexOf(cd);
+		if (index < 0) throw new Error('The item to replace has been removed.');
+		this.centralDirectory[index] = added;
+		this.contents[index] = content;
+		return index;
+	}
+
+	/**
+	 * Moves an item to another index.
+	 * @param {number|string} target Index or file path of the item
+	 * @param {number} to New index
+	 */
+	move(target, to) {
+		const index = this.#indexOf(target);
+		const len = this.contents.length;
+		const i = to < 0 ? to + len : to;
+		if (!Number.isInteger(i) || i < 0 || i >= len) throw new RangeError('Invalid index: ' + to);
+		this.centralDirectory.splice(i, 0, ...this.centralDirectory.splice(index, 1));
+		this.contents.splice(i, 0, ...this.contents.splice(index, 1));
+	}
+
+	/**
+	 * Sets the comment of an item.
+	 * @param {number|string} target Index or file path of the item
+	 * @param {string} comment Comment
+	 */
+	setComment(target, comment) {
+		this.centralDirectory[this.#indexOf(target)].commentBytes = Builder.textEncoder.encode(comment);
+	}
+
+	/**
+	 * Sets the last modified time of an item.
+	 * @param {number|string} target Index or file path of the item
+	 * @param {number|Date} lastModified Last modified Unix timestamp or date
+	 */
+	setLastModified(target, lastModified) {
+		const index = this.#indexOf(target);
+		const cd = this.centralDirectory[index];
+		const { header } = this.contents[index];
+		// The check byte of the traditional encryption is the high byte of the time if the CRC-32 is deferred to the data descriptor
+		if (header.encryption === 'traditional' && header.hasDataDescriptor) throw new Error('The last modified time of the encrypted item cannot be changed.');
+		cd.lastModified = header.lastModified = ZipDateTime.fromDate(new Date(lastModified));
+		// Extended timestamp and NTFS extra fields would take precedence over the new time
+		for (const id of [0x5455, 0x000a]) {
+			cd.extraFieldBytes = setExtraField(cd.extraFieldBytes, id, null);
+			header.extraFieldBytes = setExtraField(header.extraFieldBytes, id, null);
+		}
+	}
+
+	/**
+	 * Builds the package.
+	 * @param {ZipBuilderBuildOptions & { password?: string }} [options] options
+	 * (`password`: default password to encrypt the unencrypted items with the traditional PKWARE encryption,
+	 * which throws an error for the unencrypted items copied from a blob by {@link Builder.from})
+	 * @returns {Blob} result blob
+	 */
+	build(options) {
+		/** @type {BlobPart[]} */
+		const blobParts = [];
+		/** @type {CentralDirectoryEntry[]} */
+		const centralDirectory = [];
+		let offset = 0;
+		const len = this.contents.length;
+		for (let i = 0; i < len; i++) {
+			let cd = this.centralDirectory[i];
+			let { header, body } = this.contents[i];
+			if (options?.password && !header.encryption) {
+				// A blob cannot be read synchronously
+				if (body instanceof Blob) throw new Error('Item copied from a blob cannot be encrypted when built: ' + Builder.textDecoder.decode(cd.fileNameBytes));
+				// Encrypts copies to keep this archive unencrypted
+				cd = Object.assign(new CentralDirectoryEntry(), cd);
+				header = Object.assign(new LocalFileHeader(), header);
+				// The check byte is the high byte of the modification time if the CRC-32 is deferred to the data descriptor
+				const check = header.hasDataDescriptor ? header.lastModified.toInt() >>> 8 & 0xff : header.crc32 >>> 24;
+				body = encryptZipCrypto(body, options.password, check);
+				cd.encryption = header.encryption = 'traditional';
+				cd.compressedSize = header.compressedSize = body.length;
+			}
+			cd.headerOffset = offset;
+			if (cd.requiresZip64) cd.versionNeeded = header.versionNeeded = Math.max(header.versionNeeded, 45);
+			/** @type {Array<BufferSource|Blob>} */
+			const parts = [...header.toBlobParts(), body];
+			if (header.hasDataDescriptor) {
+				// Items copied from another archive keep their data descriptors
+				const descriptor = new DataDescriptor();
+				descriptor.zip64 = header.requiresZip64;
+				descriptor.crc32 = header.crc32;
+				descriptor.compressedSize = header.compressedSize;
+				descriptor.uncompressedSize = header.uncompressedSize;
+				parts.push(...descriptor.toBlobParts());
+			}
+			blobParts.push(...parts);
+			offset += parts.reduce((a, c) => a + (c instanceof Blob ? c.size : c.byteLength), 0);
+			centralDirectory.push(cd);
+		}
+		for (const part of createCentralDirectoryParts(centralDirectory, offset, options)) blobParts.push(part);
+		return new Blob(blobParts, { type: 'application/zip' });
+	}
+}
+
+/**
+ * Class for zipping file into a stream.
+ * Items are written with data descriptors as soon as they are appended, so the package is never held in memory.
+ */
+export class StreamBuilder {
+	/** @type {CentralDirectoryEntry[]} */
+	centralDirectory = [];
+	/**
+	 * Stream of the package, which should be read while items are appended
+	 * @type {ReadableStream<Uint8Array<ArrayBuffer>>}
+	 */
+	readable;
+	/** @type {WritableStreamDefaultWriter<Uint8Array<ArrayBuffer>>} */ #writer;
+	#offset = 0;
+	/** @type {Promise<any>} */ #queue = Promise.resolve();
+
+	/**
+	 * @param {object} [options] options
+	 * @param {AbortSignal} [options.signal] signal to abort the whole package
+	 */
+	constructor(options) {
+		const { readable, writable } = new TransformStream();
+		this.readable = readable;
+		this.#writer = writable.getWriter();
+		const signal = options?.signal;
+		if (signal?.aborted) this.abort(signal.reason);
+		else signal?.addEventListener('abort', () => this.abort(signal.reason), { once: true });
+	}
+
+	/**
+	 * Writes blob parts to the stream.
+	 * @param {BufferSource[]} parts blob parts
+	 */
+	async #write(parts) {
+		for (const part of parts) {
+			const bytes = ArrayBuffer.isView(part) ? new U(part.buffer, part.byteOffset, part.byteLength) : new U(part);
+			await this.#writer.write(bytes);
+			this.#offset += bytes.length;
+		}
+	}
+
+	/**
+	 * Runs a task after the previous ones, and aborts the stream if it fails.
+	 * @template T
+	 * @param {() => Promise<T>} task task
+	 * @returns {Promise<T>} result of the task
+	 */
+	#enqueue(task) {
+		const result = this.#queue.then(task).catch(async e => {
+			await this.#writer.abort(e).catch(() => {});
+			throw e;
+		});
+		this.#queue = result.catch(() => {});
+		return result;
+	}
+
+	/**
+	 * Appends a file to this package and returns index asynchronously.
+	 * The local header is written before the sizes are known, so an item is written in ZIP64 format
+	 * only if the `zip64` option is set or the source is known to be 4 GiB or larger.
+	 * Otherwise, an item growing to 4 GiB errors the stream.
+	 * Invalid options reject only the returned promise.
+	 * @param {ZipBuilderSource} source Uncompressed source
+	 * @param {string|Partial<ZipBuilderAppendOptions>} [opt] File path or compression options (`filepath` is optional if the source is a `File`)
+	 * @returns {Promise<number>} Index
+	 */
+	append(source, opt) {
+		/** @type {ZipBuilderAppendOptions} */
+		let options;
+		/** @type {{ header: LocalFileHeader, cd: CentralDirectoryEntry }} */
+		let records;
+		/** @type {Array<() => ReadableWritablePair<Uint8Array<ArrayBuffer>, Uint8Array<ArrayBuffer>>>} */
+		const transforms = [];
+		try {
+			options = resolveAppendOptions(source, opt);
+			records = createItemRecords(options);
+			const { header, cd } = records;
+			cd.flags = header.flags |= 8;
+			if ((getSourceSize(source) ?? 0) >= 0xffffffff) cd.zip64 = header.zip64 = true;
+			if (header.zip64) cd.versionNeeded = header.versionNeeded = Math.max(header.versionNeeded, 45);
+			transforms.push(() => createMeasurementStream((crc32, size) => {
+				cd.crc32 = crc32;
+				cd.uncompressedSize = size;
+			}));
+			transforms.push(() => createCompressionStream(options));
+			if (options.password) {
+				// The CRC-32 is unknown before the data is written
+				const check = header.lastModified.toInt() >>> 8 & 0xff;
+				const strength = setItemEncryption(records, options.encryption);
+				const { password } = options;
+				transforms.push(() => strength ? createWinZipAesEncryptionStream(password, strength) : createZipCryptoEncryptionStream(password, check));
+			}
+			transforms.push(() => createMeasurementStream((_, size) => cd.compressedSize = size, false));
+		} catch (e) {
+			return Promise.reject(e);
+		}
+		return this.#enqueue(async () => {
+			const { header, cd } = records;
+			cd.headerOffset = this.#offset;
+			await this.#write(header.toBlobParts());
+			await transforms.reduce((s, t) => s.pipeThrough(t()), openSourceWithProgress(source, cd, options)).pipeTo(new WritableStream({
+				write: chunk => this.#write([chunk]),
+			}));
+			if (cd.encryption === 'wzAES') cd.crc32 = 0;
+			if (!header.zip64 && (cd.compressedSize >= 0xffffffff || cd.uncompressedSize >= 0xffffffff)) {
+				throw new Error('Item of 4 GiB or larger requires the zip64 option: ' + options.filepath);
+			}
+			const descriptor = new DataDescriptor();
+			// The size of the data descriptor follows the ZIP64 extra field of the local header
+			descriptor.zip64 = header.zip64;
+			descriptor.crc32 = cd.crc32;
+			descriptor.compressedSize = cd.compressedSize;
+			descriptor.uncompressedSize = cd.uncompressedSize;
+			await this.#write(descriptor.toBlobParts());
+			if (cd.requiresZip64) cd.versionNeeded = Math.max(cd.versionNeeded, 45);
+			return this.centralDirectory.push(cd);
+		});
+	}
+
+	/**
+	 * Writes the central directory and closes the stream after all the items are appended.
+	 * @param {ZipBuilderBuildOptions} [options] options
+	 * @returns {Promise<void>}
+	 */
+	close(options) {
+		return this.#enqueue(async () => {
+			await this.#write(createCentralDirectoryParts(this.centralDirectory, this.#offset, options));
+			await this.#writer.close();
+		});
+	}
+
+	/**
+	 * Aborts the stream. The readable stream is errored and the pending items fail.
+	 * @param {any} [reason] reason
+	 * @returns {Promise<void>}
+	 */
+	abort(reason) {
+		return this.#writer.abort(reason).catch(() => {});
+	}
+}
 
 /**
- * Calculate new CRC-32 from a byte array.
- * @param {Uint8Array<ArrayBuffer>} bytes byte array
- * @param {number} initial initial CRC-32
- * @returns {number} new CRC-32
+ * Restores an error posted from a worker.
+ * @param {{ name: string, message: string }} error name and message of the error
+ * @returns {Error} error
  */
-export const calcCrc32 = (bytes, initial = 0xffffffff) => {
-	let c = initial;
-	for (const b of bytes) c = crc32table[(c ^ b) & 0xff] ^ (c >>> 8);
-	return c ^ 0xffffffff;
+const restoreError = ({ name, message }) => {
+	if (name === 'PasswordError') return new PasswordError(message);
+	if (name === 'IntegrityError') return new IntegrityError(message);
+	return Object.assign(new Error(message), { name });
 };
 
 /**
- * Formats CRC-32 (int32) to hex string.
- * @param {number} u32 CRC-32
- * @returns {string} hex string
+ * Restores a record posted from a worker (a structured clone loses the class).
+ * @template {object} T
+ * @param {new () => T} Record class of the record
+ * @param {any} data cloned record
+ * @returns {T} record
  */
-export const fmtCrc32 = u32 => {
-	const octets = Uint8Array.from([24, 16, 8, 0], shift => u32 >>> shift & 0xff);
-	return Array.from(octets, b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+const restoreRecord = (Record, data) => {
+	const record = Object.assign(new Record(), data);
+	if (data.lastModified) record.lastModified = Object.assign(new ZipDateTime(), data.lastModified);
+	return record;
 };
 
 /**
- * Class for unzipping file
+ * @typedef {object} ZipWorkerOptions
+ * @prop {number} [concurrency] Maximum number of workers (Default: `navigator.hardwareConcurrency` or 4)
+ * @prop {string|URL} [workerURL] URL of the worker module (Default: `zip.worker.js` next to this module)
  */
-export class Extractor {
-	/** @type {EndOfCentralDirectoryRecord} */ eocd;
-	/** @type {CentralDirectoryEntry[]} */ cd;
-	/** @type {Array<{ header: LocalFileHeader, body: Uint8Array<ArrayBuffer> }> } */ contents = [];
+
+/**
+ * Class for a pool of workers running `zip.worker.js`
+ */
+class WorkerPool {
+	/** @type {Array<{ worker: Worker, tasks: number }>} */ #slots = [];
+	/** @type {Map<number, { slot: { worker: Worker, tasks: number }, resolve: (value: any) => void, reject: (reason: any) => void, onProgress?: (progress: any) => void }>} */ #requests = new Map();
+	/** @type {string|URL} */ #url;
+	/** @type {number} */ #concurrency;
+	#id = 0;
 
 	/**
-	 * Creates a Zip Extractor object from an array buffer.
-	 * @param {ArrayBuffer} buffer array buffer
+	 * @param {ZipWorkerOptions} [options] options
 	 */
-	constructor(buffer) {
-		const bytes = new U(buffer);
-		const eocdOffset = bytes.findLastIndex((_, i, a) => [0x50, 0x4b, 5, 6].every((v, j) => v === a[i + j]));
-		if (eocdOffset < 0) throw new Error('Invalid format: End of central directory record is not found.');
-		this.eocd = EndOfCentralDirectoryRecord.from(new V(buffer, eocdOffset));
-		let cdOffset = this.eocd.cdOffset;
-		this.cd = Array.from({ length: this.eocd.numOfFiles }, () => {
-			const view = new V(buffer, cdOffset, eocdOffset - cdOffset);
-			const entry = CentralDirectoryEntry.from(view);
-			cdOffset += entry.length;
-			return entry;
+	constructor(options) {
+		this.#url = options?.workerURL ?? new URL('./zip.worker.js', import.meta.url);
+		this.#concurrency = Math.max(options?.concurrency ?? globalThis.navigator?.hardwareConcurrency ?? 4, 1);
+	}
+
+	/**
+	 * Gets the least busy worker, starting a new one unless the pool is full.
+	 * @returns {{ worker: Worker, tasks: number }} worker slot
+	 */
+	acquire() {
+		const slot = this.#slots.reduce((a, c) => c.tasks < a.tasks ? c : a, this.#slots[0]);
+		if (slot && (!slot.tasks || this.#slots.length >= this.#concurrency)) return slot;
+		const worker = new Worker(this.#url, { type: 'module' });
+		worker.addEventListener('message', e => {
+			const { id, result, error, progress } = e.data;
+			const request = this.#requests.get(id);
+			if (!request) return;
+			if (progress) return request.onProgress?.(progress);
+			this.#requests.delete(id);
+			if (error) request.reject(restoreError(error));
+			else request.resolve(result);
 		});
-		const offsets = this.cd.map(cd => cd.headerOffset);
-		for (let i = 0; i < offsets.length; i++) {
-			const cd = this.cd[i];
-			const thisOffset = offsets[i];
-			const nextOffset = offsets.at(i + 1) || this.eocd.cdOffset;
-			const view = new V(buffer, thisOffset, nextOffset - thisOffset);
-			const header = LocalFileHeader.from(view);
-			if (header.hasDataDescriptor && header.isCentralDirectoryEncrypted) {
-				const dataDescriptor = new Uint32Array(buffer, nextOffset - 12, 12);
-				cd.crc32 = dataDescriptor[1];
-				cd.compressedSize = dataDescriptor[2];
-				cd.uncompressedSize = dataDescriptor[3];
+		const added = { worker, tasks: 0 };
+		/** @param {Event} e */
+		const onError = e => {
+			// The worker cannot be trusted after an uncaught error, so it is dropped with its requests
+			worker.terminate();
+			this.#slots = this.#slots.filter(slot => slot !== added);
+			const error = new Error('Worker failed: ' + ('message' in e && e.message || e.type));
+			for (const [id, request] of this.#requests) {
+				if (request.slot !== added) continue;
+				this.#requests.delete(id);
+				request.reject(error);
 			}
-			const body = new U(view.buffer, cd.headerOffset + header.length, cd.compressedSize);
-			this.contents.push({ header, body });
-		}
+		};
+		worker.addEventListener('error', onError);
+		worker.addEventListener('messageerror', onError);
+		this.#slots.push(added);
+		return added;
+	}
+
+	/**
+	 * Posts a request to a worker and waits for the result.
+	 * @param {{ worker: Worker, tasks: number }} slot worker slot
+	 * @param {object} message message
+	 * @param {object} [options] options
+	 * @param {Transferable[]} [options.transfer] objects to transfer
+	 * @param {(progress: any) => void} [options.onProgress] callback function called with the progress posted from the worker
+	 * @param {AbortSignal} [options.signal] signal to abort the request
+	 * @returns {Promise<any>} result
+	 */
+	request(slot, message, options) {
+		const signal = options?.signal;
+		if (signal?.aborted) return Promise.reject(signal.reason);
+		const id = ++this.#id;
+		/** @type {() => void} */
+		let onAbort;
+		slot.tasks++;
+		return new Promise((resolve, reject) => {
+			onAbort = () => {
+				this.#requests.delete(id);
+				slot.worker.postMessage({ id, type: 'abort' });
+				reject(signal?.reason);
+			};
+			signal?.addEventListener('abort', onAbort, { once: true });
+			this.#requests.set(id, { slot, resolve, reject, onProgress: options?.onProgress });
+			slot.worker.postMessage({ ...message, id }, options?.transfer ?? []);
+		}).finally(() => {
+			slot.tasks--;
+			signal?.removeEventListener('abort', onAbort);
+		});
+	}
+
+	/**
+	 * Terminates all the workers.
+	 */
+	terminate() {
+		for (const { worker } of this.#slots) worker.terminate();
+		this.#slots = [];
+		const error = new Error('Workers are terminated.');
+		for (const { reject } of this.#requests.values()) reject(error);
+		this.#requests.clear();
+	}
+}
+
+/**
+ * Class for unzipping file in workers.
+ * It has the same API as {@link Extractor}, but contents are decrypted, decompressed and verified in workers.
+ */
+export class WorkerExtractor extends Extractor {
+	/** @type {WorkerPool} */ #pool;
+	/** @type {Blob} */ #source;
+
+	/**
+	 * Creates a Zip Extractor object which reads contents in workers.
+	 * @param {Blob|ArrayBuffer} source blob, file or array buffer
+	 * @param {ZipWorkerOptions} [options] options
+	 * @returns {Promise<WorkerExtractor>}
+	 */
+	static async fromBlob(source, options) {
+		const extractor = new WorkerExtractor();
+		const pool = extractor.#pool = new WorkerPool(options);
+		const blob = extractor.#source = source instanceof Blob ? source : new Blob([source]);
+		const { eocd, eocd64, cd } = await pool.request(pool.acquire(), { type: 'open', blob });
+		extractor.eocd = restoreRecord(EndOfCentralDirectoryRecord, eocd);
+		extractor.eocd64 = eocd64 && restoreRecord(Zip64EndOfCentralDirectoryRecord, eocd64);
+		extractor.cd = cd.map((/** @type {any} */ data) => restoreRecord(CentralDirectoryEntry, data));
+		return extractor;
 	}
 
 	/**
 	 * Picks a content at index.
+	 * The response body is errored with {@link PasswordError} if the password is wrong or missing,
+	 * or with {@link IntegrityError} if the content is corrupt.
+	 * The response has the status 418 if the compression or encryption method is not supported.
 	 * @param {number} index 
+	 * @param {ZipExtractorPickOptions} [options] options
 	 * @returns {Response} decompressed response
 	 */
-	pick(index) {
-		const content = this.contents.at(index);
-		if (!content) {
+	pick(index, options) {
+		const i = index < 0 ? index + this.cd.length : index;
+		const cd = this.cd[i];
+		if (!cd) {
 			const reason = 'No content at the index: ' + index;
 			throw new Error(reason);
 		}
-		const stream = new Blob([content.body]).stream();
-		switch (content.header.method) {
-			case 0:
-				return new Response(stream);
-			case 8:
-				const decompression = new DecompressionStream('deflate-raw');
-				return new Response(stream.pipeThrough(decompression));
-			default:
-				const reason = 'Unsupported compression method: ' + content.header.method;
-				return new Response(null, { status: 418, statusText: reason });
-		}
-	}
-
-	// /**
-	//  * 
-	//  * @param {string} password 
-	//  * @param {number} index 
-	//  */
-	// decrypt(password, index) {
-	// 	const keys = Uint32Array.of(0x12345678, 0x23456789, 0x34567890);
-	// 	/** @type {(b: number) => void} */
-	// 	const updateKeys = b => {
-	// 		keys[0] = crc32table[(keys[0] ^ b) & 0xff] ^ (keys[0] >>> 8);
-	// 		keys[1] = Math.imul(keys[1] + (keys[0] & 0xff), 0x08088405) + 1;
-	// 		keys[2] = crc32table[(keys[2] ^ (keys[1] >>> 24)) & 0xff] ^ (keys[2] >>> 8);
-	// 	};
-	// 	/** @type {(bytes: Uint8Array<ArrayBuffer>) => Uint8Array<ArrayBuffer>} */
-	// 	const decryptBytes = bytes => Uint8Array.from(bytes, b => {
-	// 		const t = keys[2] | 2;
-	// 		const c = b ^ (Math.imul(t, t ^ 1) >>> 8) & 0xff;
-	// 		updateKeys(c);
-	// 		return c;
-	// 	});
-	// 	for (let i = 0; i < password.length; i++) updateKeys(password.charCodeAt(i));
-	// 	const content = this.contents[index];
-	// 	const decrypted = decryptBytes(content.body);
-	// 	if (content.header.crc32 >>> 24 === decrypted[11]) {
-	// 		const decoder = new TextDecoder();
-	// 		console.log(decoder.decode(decrypted));
-	// 		content.body = decrypted.subarray(12);
-	// 	} else {
-	// 		throw new Error('Wrong password.');
-	// 	}
-	// }
+		const { onProgress, signal, ...rest } = options ?? {};
+		// Only checks if the content can be decoded here
+		const transforms = getDecodingTransforms(cd, rest);
+		if (transforms instanceof Response) return transforms;
+		const pool = this.#pool;
+		/** @type {{ worker: Worker, tasks: number }} */
+		let slot;
+		/** @type {Promise<number>} */
+		let opened;
+		/** @type {ReadableStream<Uint8Array<ArrayBuffer>>} */
+		let stream = new ReadableStream({
+			pull: async controller => {
+				// Acquires the worker when read, so that the picks not read yet are not counted
+				if (!opened) {
+					slot = pool.acquire();
+					opened = pool.request(slot, { type: 'pick', blob: this.#source, index: i, options: rest });
+				}
+				const { done, value } = await pool.request(slot, { type: 'read', stream: await opened });
+				if (done) controller.close();
+				else controller.enqueue(value);
+			},
+			cancel: async () => {
+				if (opened) slot.worker.postMessage({ type: 'cancel', stream: await opened });
+			},
+		}, { highWaterMark: 0 });
+		if (onProgress || signal) {
+			const totalBytes = cd.uncompressedSize;
+			stream = stream.pipeThrough(createProgressStream({ onProgress, signal }, bytesProcessed => ({ entry: cd, bytesProcessed, totalBytes })));
+		}
+		return new Response(stream);
+	}
 
 	/**
-	 * Gets a list of file names with specific encoding.
-	 * @param {string} [encoding] encoding charset name
-	 * @returns {string[]} list of file names
+	 * Loads a raw content (local file header and compressed body) at index in this thread.
+	 * @param {number} index index
+	 * @returns {Promise<{ header: LocalFileHeader, body: Uint8Array<ArrayBuffer> | Blob }>} content
 	 */
-	getNames(encoding) {
-		const decoder = new TextDecoder(encoding);
-		return this.cd.map(cd => decoder.decode(cd.fileNameBytes));
+	async loadContent(index) {
+		if (!this.cd[index]) throw new Error('No content at the index: ' + index);
+		return this.contents[index] ??= await readContent(this.#source, this.cd[index]);
 	}
 
-	*[Symbol.iterator]() {
-		for (let i = 0; i < this.contents.length; i++) {
-			yield {
-				entry: this.cd[i],
-				header: this.contents[i].header,
-				body: this.pick(i),
-				// /** @type {(password: string) => void} */
-				// decrypt: password => {
-				// 	this.decrypt.call(this, password, i);
-				// 	const newBody = this.contents[i].body.subarray(12);
-				// 	const crc32 = calcCrc32(newBody);
-				// 	console.log(crc32, this.cd[i].crc32);
-				// },
-			};
-		}
+	/**
+	 * Terminates the workers.
+	 */
+	terminate() {
+		this.#pool.terminate();
 	}
 }
 
 /**
- * Class for zipping file
+ * Class for zipping file in workers.
+ * It has the same API as {@link Builder}, but items are compressed and encrypted in parallel in workers.
  */
-export class Builder {
-	static textDecoder = new TextDecoder();
-	static textEncoder = new TextEncoder();
-
-	/** @type {CentralDirectoryEntry[]} */
-	centralDirectory = [];
-	/** @type { Array<{ header: LocalFileHeader, body: Uint8Array<ArrayBuffer> }> } */
-	contents = [];
+export class WorkerBuilder extends Builder {
+	/** @type {WorkerPool} */ #pool;
+	/** @type {Set<CentralDirectoryEntry>} */ #pending = new Set();
 
 	/**
-	 * @typedef {object} ZipBuilderAppendOptions
-	 * @prop {string} filepath File path
-	 * @prop {0|8} [method] Compression method
-	 * @prop {number} [lastModified] Last modified Unix timestamp
-	 * @prop {Uint8Array<ArrayBuffer>} [extraField] Byte array of extra field
-	 * @prop {string} [comment] Comment of each item
+	 * @param {ZipWorkerOptions} [options] options
 	 */
-	
-	/**
-	 * Appends a file (buffer) to this package and returns index asynchronously.
-	 * @overload
-	 * @param {ArrayBuffer} buf Uncompressed array buffer
-	 * @param {string} opt File path
-	 * @return {Promise<number>} Index
-	 */
-	/**
-	 * Appends a file (buffer) to this package and returns index asynchronously.
-	 * @overload
-	 * @param {ArrayBuffer} buf Uncompressed array buffer
-	 * @param {ZipBuilderAppendOptions} opt Compression options
-	 * @return {Promise<number>} Index
-	 */
-	/**
-	 * @param {ArrayBuffer} buf
-	 * @param {string|ZipBuilderAppendOptions} opt
-	 * @returns {Promise<number>}
-	 */
-	async append(buf, opt) {
-		const uncompressed = new U(buf);
-		const options = typeof opt === 'string' ? { filepath: opt } : opt;
-		const cd = new CentralDirectoryEntry();
-		const header = new LocalFileHeader();
-		const method = options.method ?? 8;
-		cd.versionNeeded = header.versionNeeded = method === 8 ? 20 : 10;
-		cd.versionMadeBy = 20;
-		cd.method = header.method = method;
-		cd.lastModified = header.lastModified = ZipDateTime.fromDate(options.lastModified ? new Date(options.lastModified) : new Date());
-		cd.isUtf8 = header.isUtf8 = true;
-		const fileNameBytes = Builder.textEncoder.encode(options.filepath);
-		cd.fileNameBytes = header.fileNameBytes = fileNameBytes;
-		cd.extraFieldBytes = header.extraFieldBytes = options.extraField ?? new U();
-		cd.commentBytes = Builder.textEncoder.encode(options.comment);
-		cd.crc32 = header.crc32 = calcCrc32(uncompressed);
-		cd.uncompressedSize = header.uncompressedSize = uncompressed.length;
-		switch (method) {
-			case 0:
-				cd.compressedSize = header.compressedSize = uncompressed.length;
-				this.centralDirectory.push(cd);
-				return this.contents.push({ header, body: uncompressed });
-			case 8:
-				const stream = new Blob([uncompressed]).stream();
-				const compression = new CompressionStream('deflate-raw');
-				const response = new Response(stream.pipeThrough(compression));
-				const compressed = await response.bytes();
-				cd.compressedSize = header.compressedSize = compressed.length;
-				this.centralDirectory.push(cd);
-				return this.contents.push({ header, body: compressed });
-			default:
-				const reason = 'Unsupported compression method: ' + method;
-				throw new Error(reason);
-		}
+	constructor(options) {
+		super();
+		this.#pool = new WorkerPool(options);
 	}
 
 	/**
-	 * Removes the items at the index from this archive.
-	 * @param {number} index Index of the first item to remove
-	 * @param {number} [count=1] Count of items to remove (Default: 1)
-	 * @returns {string[]} List of removed files names
+	 * Appends a file to this package in a worker and returns index asynchronously.
+	 * A stream is read into a blob before posted to the worker.
+	 * Items are indexed in order of calls, since their places are reserved until completed. The entry of the progress is `null`.
+	 * @param {ZipBuilderSource} source Uncompressed source
+	 * @param {string|Partial<ZipBuilderAppendOptions>} [opt] File path or compression options (`filepath` is optional if the source is a `File`)
+	 * @returns {Promise<number>} Index
 	 */
-	remove(index, count = 1) {
-		const cd = this.centralDirectory.splice(index, count);
-		this.contents.splice(index, 1);
-		return cd.map(entry => Builder.textDecoder.decode(entry.fileNameBytes));
+	async append(source, opt) {
+		// Resolves the defaults here since a cloned file may lose its name
+		const { onProgress, signal, ...options } = resolveAppendOptions(source, opt);
+		signal?.throwIfAborted();
+		// Reserves the place of the item, which may be moved or removed meanwhile
+		const placeholder = new CentralDirectoryEntry();
+		this.centralDirectory.push(placeholder);
+		this.contents.push({ header: new LocalFileHeader(), body: new U(0) });
+		this.#pending.add(placeholder);
+		try {
+			const data = source instanceof ReadableStream ? await new Response(source).blob() : source;
+			const pool = this.#pool;
+			const message = { type: 'append', source: data, options, progress: !!onProgress };
+			const { cd, header, body } = await pool.request(pool.acquire(), message, {
+				onProgress: progress => onProgress?.({ ...progress, entry: null }),
+				signal,
+			});
+			const index = this.centralDirectory.indexOf(placeholder);
+			if (index < 0) throw new Error('The appended item has been removed.');
+			this.centralDirectory[index] = restoreRecord(CentralDirectoryEntry, cd);
+			this.contents[index] = { header: restoreRecord(LocalFileHeader, header), body };
+			return index + 1;
+		} catch (e) {
+			const index = this.centralDirectory.indexOf(placeholder);
+			if (index >= 0) this.remove(index);
+			throw e;
+		} finally {
+			this.#pending.delete(placeholder);
+		}
 	}
 
 	/**
 	 * Builds the package.
-	 * @param {object} [options] options
-	 * @param {string} [options.comment] package comment
+	 * Throws an error if any item is still being appended.
+	 * @param {ZipBuilderBuildOptions & { password?: string }} [options] options
 	 * @returns {Blob} result blob
 	 */
 	build(options) {
-		/** @type {BufferSource[]} */
-		const blobParts = [];
-		let offset = 0;
-		const len = this.contents.length;
-		for (let i = 0; i < len; i++) {
-			this.centralDirectory[i].headerOffset = offset;
-			const { header, body } = this.contents[i];
-			const parts = header.toBlobParts();
-			blobParts.push(...parts, body);
-			offset += parts.reduce((a, c) => a + c.byteLength, 0) + body.length;
-		}
-		const cdBytes = this.centralDirectory.flatMap(cd => cd.toBlobParts());
-		blobParts.push(...cdBytes);
-		const eocd = new EndOfCentralDirectoryRecord();
-		eocd.numOfFiles = len;
-		eocd.totalNumOfFiles = len;
-		eocd.cdSize = cdBytes.reduce((a, c) => a + c.byteLength, 0);
-		eocd.cdOffset = offset;
-		eocd.commentBytes = Builder.textEncoder.encode(options?.comment);
-		blobParts.push(...eocd.toBlobParts());
-		return new Blob(blobParts, { type: 'application/zip' });
+		if (this.#pending.size) throw new Error('Items are still being appended.');
+		return super.build(options);
+	}
+
+	/**
+	 * Terminates the workers.
+	 */
+	terminate() {
+		this.#pool.terminate();
 	}
 }
 
@@ -361,6 +2207,7 @@ class LocalFileHeader {
 	/** @type {number} */ uncompressedSize = 0;
 	/** @type {Uint8Array<ArrayBuffer>} */ fileNameBytes;
 	/** @type {Uint8Array<ArrayBuffer>} */ extraFieldBytes;
+	/** @type {boolean} */ zip64 = false;
 	/** @type {number} */ length;
 
 	/**
@@ -385,10 +2232,33 @@ class LocalFileHeader {
 		record.fileNameBytes = new U(view.buffer, offset, fileNameLength);
 		record.extraFieldBytes = new U(view.buffer, offset + fileNameLength, extraFieldLength);
 		record.length = 30 + fileNameLength + extraFieldLength;
+		const zip64 = record.extraFields.get(1);
+		if (zip64) record.zip64 = !!record.applyZip64(zip64);
 		return record;
 	}
 
+	/**
+	 * Overwrites the masked fields with the values of ZIP64 extended information extra field.
+	 * @param {Uint8Array<ArrayBuffer>} data data of the extra field (0x0001)
+	 * @returns {number} byte length read from the data
+	 */
+	applyZip64(data) {
+		const view = new V(data.buffer, data.byteOffset, data.length);
+		let i = 0;
+		if (this.uncompressedSize === 0xffffffff && i + 8 <= data.length) {
+			this.uncompressedSize = getUint64(view, i);
+			i += 8;
+		}
+		if (this.compressedSize === 0xffffffff && i + 8 <= data.length) {
+			this.compressedSize = getUint64(view, i);
+			i += 8;
+		}
+		return i;
+	}
+
 	toBlobParts() {
+		const zip64 = this.requiresZip64;
+		const extraFieldBytes = zip64 ? setExtraField(this.extraFieldBytes, 1, packUint64([this.uncompressedSize, this.compressedSize])) : this.extraFieldBytes;
 		const view = new V(new ArrayBuffer(30));
 		view.setUint32(0, this.signature, true);
 		view.setUint16(4, this.versionNeeded, true);
@@ -396,18 +2266,25 @@ class LocalFileHeader {
 		view.setUint16(8, this.method, true);
 		view.setUint32(10, this.lastModified.toInt(), true);
 		view.setUint32(14, this.crc32, true);
-		view.setUint32(18, this.compressedSize, true);
-		view.setUint32(22, this.uncompressedSize, true);
+		view.setUint32(18, zip64 ? 0xffffffff : this.compressedSize, true);
+		view.setUint32(22, zip64 ? 0xffffffff : this.uncompressedSize, true);
 		view.setUint16(26, this.fileNameBytes.length, true);
-		view.setUint16(28, this.extraFieldBytes.length, true);
-		return [view, this.fileNameBytes, this.extraFieldBytes];
+		view.setUint16(28, extraFieldBytes.length, true);
+		return [view, this.fileNameBytes, extraFieldBytes];
+	}
+
+	/**
+	 * Whether ZIP64 extended information is required to write this record
+	 */
+	get requiresZip64() {
+		return this.zip64 || this.uncompressedSize >= 0xffffffff || this.compressedSize >= 0xffffffff;
 	}
 
 	/**
 	 * @returns {EncryptionMethod}
 	 */
 	get encryption() {
-		if (this.method === 63) return 'wzAES';
+		if (this.method === 99) return 'wzAES';
 		if (this.flags & 1) return this.flags & 64 ? 'strong' : 'traditional';
 		return false;
 	}
@@ -418,8 +2295,9 @@ class LocalFileHeader {
 		if (method) {
 			switch (method) {
 				case 'wzAES':
-					this.method = 63;
+					this.method = 99;
 					this.flags &= 0xffbf;
+					this.flags |= 1;
 					break;
 				case 'strong':
 					this.flags |= 65;
@@ -432,6 +2310,26 @@ class LocalFileHeader {
 			this.flags &= 65470;
 		}
 	}
+	/**
+	 * Map of header ID and data of extra fields
+	 */
+	get extraFields() {
+		return parseExtraField(this.extraFieldBytes);
+	}
+	/**
+	 * Compression option of (enhanced) deflating in the bits 1 and 2 of the flags
+	 * @returns {'normal'|'maximum'|'fast'|'superfast'}
+	 */
+	get compressionOption() {
+		return /** @type {const} */ (['normal', 'maximum', 'fast', 'superfast'])[this.flags >>> 1 & 3];
+	}
+	/**
+	 * @param {'normal'|'maximum'|'fast'|'superfast'} option
+	 */
+	set compressionOption(option) {
+		const bits = ['normal', 'maximum', 'fast', 'superfast'].indexOf(option);
+		this.flags = this.flags & 0xfff9 | Math.max(bits, 0) << 1;
+	}
 	get hasDataDescriptor() {
 		return !!(this.flags & 8);
 	}
@@ -497,10 +2395,34 @@ class CentralDirectoryEntry extends LocalFileHeader {
 		record.extraFieldBytes = new U(view.buffer, offset + fLen, eLen);
 		record.commentBytes = new U(view.buffer, offset + fLen + eLen, cLen);
 		record.length = 46 + fLen + eLen + cLen;
+		const zip64 = record.extraFields.get(1);
+		if (zip64) record.zip64 = !!record.applyZip64(zip64);
 		return record;
 	}
 
+	/**
+	 * @param {Uint8Array<ArrayBuffer>} data data of the extra field (0x0001)
+	 * @returns {number} byte length read from the data
+	 */
+	applyZip64(data) {
+		const view = new V(data.buffer, data.byteOffset, data.length);
+		let i = super.applyZip64(data);
+		if (this.headerOffset === 0xffffffff && i + 8 <= data.length) {
+			this.headerOffset = getUint64(view, i);
+			i += 8;
+		}
+		if (this.diskIdStart === 0xffff && i + 4 <= data.length) {
+			this.diskIdStart = view.getUint32(i, true);
+			i += 4;
+		}
+		return i;
+	}
+
 	toBlobParts() {
+		const [uncompressedSize, compressedSize, headerOffset] = [this.uncompressedSize, this.compressedSize, this.headerOffset]
+			.map(v => this.zip64 || v >= 0xffffffff ? v : -1);
+		const zip64Values = [uncompressedSize, compressedSize, headerOffset].filter(v => v >= 0);
+		const extraFieldBytes = zip64Values.length ? setExtraField(this.extraFieldBytes, 1, packUint64(zip64Values)) : this.extraFieldBytes;
 		const view = new V(new ArrayBuffer(46));
 		view.setUint32(0, this.signature, true);
 		view.setUint16(4, this.versionMadeBy, true);
@@ -509,16 +2431,73 @@ class CentralDirectoryEntry extends LocalFileHeader {
 		view.setUint16(10, this.method, true);
 		view.setUint32(12, this.lastModified.toInt(), true);
 		view.setUint32(16, this.crc32, true);
-		view.setUint32(20, this.compressedSize, true);
-		view.setUint32(24, this.uncompressedSize, true);
+		view.setUint32(20, compressedSize < 0 ? this.compressedSize : 0xffffffff, true);
+		view.setUint32(24, uncompressedSize < 0 ? this.uncompressedSize : 0xffffffff, true);
 		view.setUint16(28, this.fileNameBytes.length, true);
-		view.setUint16(30, this.extraFieldBytes.length, true);
+		view.setUint16(30, extraFieldBytes.length, true);
 		view.setUint16(32, this.commentBytes.length, true);
 		view.setUint16(34, this.diskIdStart, true);
 		view.setUint16(36, this.internalAttributes, true);
 		view.setUint32(38, this.externalAttributes, true);
-		view.setUint32(42, this.headerOffset, true);
-		return [view, this.fileNameBytes, this.extraFieldBytes, this.commentBytes];
+		view.setUint32(42, headerOffset < 0 ? this.headerOffset : 0xffffffff, true);
+		return [view, this.fileNameBytes, extraFieldBytes, this.commentBytes];
+	}
+
+	get requiresZip64() {
+		return super.requiresZip64 || this.headerOffset >= 0xffffffff;
+	}
+}
+
+/**
+ * Class for Data Descriptor
+ * @implements PackageRecord
+ */
+class DataDescriptor {
+	/** @type {number} */ signature = 0x08074b50;
+	/** @type {number} */ crc32 = 0;
+	/** @type {number} */ compressedSize = 0;
+	/** @type {number} */ uncompressedSize = 0;
+	/** @type {boolean} */ zip64 = false;
+	/** @type {number} */ length;
+
+	/**
+	 * Creates a new "Data Descriptor" record from bytes.
+	 * The signature is optional, so it is detected by comparing the first 4 bytes with it and the expected CRC-32.
+	 * @param {DataView<ArrayBuffer>} view byte array cursor
+	 * @param {boolean} zip64 whether sizes are 8-byte values
+	 * @param {number} [crc32] expected CRC-32
+	 * @returns {DataDescriptor?} new "Data Descriptor" record, or `null` if the bytes are too short
+	 */
+	static from(view, zip64, crc32) {
+		const record = new DataDescriptor();
+		const hasSignature = view.byteLength >= 4 && view.getUint32(0, true) === record.signature && record.signature !== crc32;
+		const offset = hasSignature ? 4 : 0;
+		record.length = offset + (zip64 ? 20 : 12);
+		if (view.byteLength < record.length) return null;
+		record.zip64 = zip64;
+		record.crc32 = view.getUint32(offset, true);
+		if (zip64) {
+			record.compressedSize = getUint64(view, offset + 4);
+			record.uncompressedSize = getUint64(view, offset + 12);
+		} else {
+			record.compressedSize = view.getUint32(offset + 4, true);
+			record.uncompressedSize = view.getUint32(offset + 8, true);
+		}
+		return record;
+	}
+
+	toBlobParts() {
+		const view = new V(new ArrayBuffer(this.zip64 ? 24 : 16));
+		view.setUint32(0, this.signature, true);
+		view.setUint32(4, this.crc32, true);
+		if (this.zip64) {
+			view.setBigUint64(8, BigInt(this.compressedSize), true);
+			view.setBigUint64(16, BigInt(this.uncompressedSize), true);
+		} else {
+			view.setUint32(8, this.compressedSize, true);
+			view.setUint32(12, this.uncompressedSize, true);
+		}
+		return [view];
 	}
 }
 
@@ -563,11 +2542,109 @@ class EndOfCentralDirectoryRecord {
 		view.setUint32(0, this.signature, true);
 		view.setUint16(4, this.diskId, true);
 		view.setUint16(6, this.firstDiskId, true);
-		view.setUint16(8, this.numOfFiles, true);
-		view.setUint16(10, this.totalNumOfFiles, true);
-		view.setUint32(12, this.cdSize, true);
-		view.setUint32(16, this.cdOffset, true);
+		view.setUint16(8, Math.min(this.numOfFiles, 0xffff), true);
+		view.setUint16(10, Math.min(this.totalNumOfFiles, 0xffff), true);
+		view.setUint32(12, Math.min(this.cdSize, 0xffffffff), true);
+		view.setUint32(16, Math.min(this.cdOffset, 0xffffffff), true);
 		view.setUint16(20, this.commentBytes.length, true);
 		return [view, this.commentBytes];
 	}
+
+	/**
+	 * Whether ZIP64 end of central directory record is required to locate the central directory
+	 */
+	get requiresZip64() {
+		return this.totalNumOfFiles >= 0xffff || this.cdSize >= 0xffffffff || this.cdOffset >= 0xffffffff;
+	}
+}
+
+/**
+ * Class for ZIP64 End of Central Directory record
+ * @implements PackageRecord
+ */
+class Zip64EndOfCentralDirectoryRecord {
+	/** @type {number} */ signature = 0x06064b50;
+	/** @type {number} */ versionMadeBy = 45;
+	/** @type {number} */ versionNeeded = 45;
+	/** @type {number} */ diskId = 0;
+	/** @type {number} */ firstDiskId = 0;
+	/** @type {number} */ numOfFiles = 0;
+	/** @type {number} */ totalNumOfFiles = 0;
+	/** @type {number} */ cdSize;
+	/** @type {number} */ cdOffset;
+	/** @type {Uint8Array<ArrayBuffer>} */ extensibleDataBytes = new U();
+	/** @type {number} */ length;
+
+	/**
+	 * Creates a new ZIP64 <abbr>EOCD</abbr> (End of Central Directory) record from bytes.
+	 * @param {DataView<ArrayBuffer>} view byte array cursor
+	 * @returns {Zip64EndOfCentralDirectoryRecord} new ZIP64 EOCD record
+	 */
+	static from(view) {
+		const record = new Zip64EndOfCentralDirectoryRecord();
+		record.signature = view.getUint32(0, true);
+		const size = getUint64(view, 4);
+		record.versionMadeBy = view.getUint16(12, true);
+		record.versionNeeded = view.getUint16(14, true);
+		record.diskId = view.getUint32(16, true);
+		record.firstDiskId = view.getUint32(20, true);
+		record.numOfFiles = getUint64(view, 24);
+		record.totalNumOfFiles = getUint64(view, 32);
+		record.cdSize = getUint64(view, 40);
+		record.cdOffset = getUint64(view, 48);
+		const offset = view.byteOffset + 56;
+		record.extensibleDataBytes = new U(view.buffer, offset, Math.max(Math.min(size - 44, view.byteLength - 56), 0));
+		record.length = 12 + size;
+		return record;
+	}
+
+	toBlobParts() {
+		const view = new V(new ArrayBuffer(56));
+		view.setUint32(0, this.signature, true);
+		view.setBigUint64(4, BigInt(44 + this.extensibleDataBytes.length), true);
+		view.setUint16(12, this.versionMadeBy, true);
+		view.setUint16(14, this.versionNeeded, true);
+		view.setUint32(16, this.diskId, true);
+		view.setUint32(20, this.firstDiskId, true);
+		view.setBigUint64(24, BigInt(this.numOfFiles), true);
+		view.setBigUint64(32, BigInt(this.totalNumOfFiles), true);
+		view.setBigUint64(40, BigInt(this.cdSize), true);
+		view.setBigUint64(48, BigInt(this.cdOffset), true);
+		return [view, this.extensibleDataBytes];
+	}
+}
+
+/**
+ * Class for ZIP64 End of Central Directory locator
+ * @implements PackageRecord
+ */
+class Zip64EndOfCentralDirectoryLocator {
+	/** @type {number} */ signature = 0x07064b50;
+	/** @type {number} */ eocdDiskId = 0;
+	/** @type {number} */ eocdOffset;
+	/** @type {number} */ numOfDisks = 1;
+	/** @type {number} */ length = 20;
+
+	/**
+	 * Creates a new ZIP64 <abbr>EOCD</abbr> locator from bytes.
+	 * @param {DataView<ArrayBuffer>} view byte array cursor
+	 * @returns {Zip64EndOfCentralDirectoryLocator} new ZIP64 EOCD locator
+	 */
+	static from(view) {
+		const record = new Zip64EndOfCentralDirectoryLocator();
+		record.signature = view.getUint32(0, true);
+		record.eocdDiskId = view.getUint32(4, true);
+		record.eocdOffset = getUint64(view, 8);
+		record.numOfDisks = view.getUint32(16, true);
+		return record;
+	}
+
+	toBlobParts() {
+		const view = new V(new ArrayBuffer(20));
+		view.setUint32(0, this.signature, true);
+		view.setUint32(4, this.eocdDiskId, true);
+		view.setBigUint64(8, BigInt(this.eocdOffset), true);
+		view.setUint32(16, this.numOfDisks, true);
+		return [view];
+	}
 }
\ No newline at end of file
@@ -1 +1 @@
-const U=Uint8Array,V=DataView,crc32table=Uint32Array.from({length:256},((e,t)=>{let s=t,i=8;for(;i--;)s=1&s?3988292384^s>>>1:s>>>1;return s}));export const calcCrc32=(e,t=4294967295)=>{let s=t;for(const t of e)s=crc32table[255&(s^t)]^s>>>8;return 4294967295^s};export const fmtCrc32=e=>{const t=Uint8Array.from([24,16,8,0],(t=>e>>>t&255));return Array.from(t,(e=>e.toString(16).padStart(2,"0"))).join("").toUpperCase()};export class Extractor{eocd;cd;contents=[];constructor(e){const t=new U(e).findLastIndex(((e,t,s)=>[80,75,5,6].every(((e,i)=>e===s[t+i]))));if(t<0)throw new Error("Invalid format: End of central directory record is not found.");this.eocd=EndOfCentralDirectoryRecord.from(new V(e,t));let s=this.eocd.cdOffset;this.cd=Array.from({length:this.eocd.numOfFiles},(()=>{const i=new V(e,s,t-s),n=CentralDirectoryEntry.from(i);return s+=n.length,n}));const i=this.cd.map((e=>e.headerOffset));for(let t=0;t<i.length;t++){const s=this.cd[t],n=i[t],r=i.at(t+1)||this.eocd.cdOffset,o=new V(e,n,r-n),a=LocalFileHeader.from(o);if(a.hasDataDescriptor&&a.isCentralDirectoryEncrypted){const t=new Uint32Array(e,r-12,12);s.crc32=t[1],s.compressedSize=t[2],s.uncompressedSize=t[3]}const c=new U(o.buffer,s.headerOffset+a.length,s.compressedSize);this.contents.push({header:a,body:c})}}pick(e){const t=this.contents.at(e);if(!t){throw new Error("No content at the index: "+e)}const s=new Blob([t.body]).stream();switch(t.header.method){case 0:return new Response(s);case 8:const e=new DecompressionStream("deflate-raw");return new Response(s.pipeThrough(e));default:const i="Unsupported compression method: "+t.header.method;return new Response(null,{status:418,statusText:i})}}getNames(e){const t=new TextDecoder(e);return this.cd.map((e=>t.decode(e.fileNameBytes)))}*[Symbol.iterator](){for(let e=0;e<this.contents.length;e++)yield{entry:this.cd[e],header:this.contents[e].header,body:this.pick(e)}}}export class Builder{static textDecoder=new TextDecoder;static textEncoder=new TextEncoder;centralDirectory=[];contents=[];async append(e,t){const s=new U(e),i="string"==typeof t?{filepath:t}:t,n=new CentralDirectoryEntry,r=new LocalFileHeader,o=i.method??8;n.versionNeeded=r.versionNeeded=8===o?20:10,n.versionMadeBy=20,n.method=r.method=o,n.lastModified=r.lastModified=ZipDateTime.fromDate(i.lastModified?new Date(i.lastModified):new Date),n.isUtf8=r.isUtf8=!0;const a=Builder.textEncoder.encode(i.filepath);switch(n.fileNameBytes=r.fileNameBytes=a,n.extraFieldBytes=r.extraFieldBytes=i.extraField??new U,n.commentBytes=Builder.textEncoder.encode(i.comment),n.crc32=r.crc32=calcCrc32(s),n.uncompressedSize=r.uncompressedSize=s.length,o){case 0:return n.compressedSize=r.compressedSize=s.length,this.centralDirectory.push(n),this.contents.push({header:r,body:s});case 8:const e=new Blob([s]).stream(),t=new CompressionStream("deflate-raw"),i=new Response(e.pipeThrough(t)),a=await i.bytes();return n.compressedSize=r.compressedSize=a.length,this.centralDirectory.push(n),this.contents.push({header:r,body:a});default:throw new Error("Unsupported compression method: "+o)}}remove(e,t=1){const s=this.centralDirectory.splice(e,t);return this.contents.splice(e,1),s.map((e=>Builder.textDecoder.decode(e.fileNameBytes)))}build(e){const t=[];let s=0;const i=this.contents.length;for(let e=0;e<i;e++){this.centralDirectory[e].headerOffset=s;const{header:i,body:n}=this.contents[e],r=i.toBlobParts();t.push(...r,n),s+=r.reduce(((e,t)=>e+t.byteLength),0)+n.length}const n=this.centralDirectory.flatMap((e=>e.toBlobParts()));t.push(...n);const r=new EndOfCentralDirectoryRecord;return r.numOfFiles=i,r.totalNumOfFiles=i,r.cdSize=n.reduce(((e,t)=>e+t.byteLength),0),r.cdOffset=s,r.commentBytes=Builder.textEncoder.encode(e?.comment),t.push(...r.toBlobParts()),new Blob(t,{type:"application/zip"})}}class ZipDateTime{year;month;day;hour;minute;second;toInt(){return(this.year-1980<<25)+(this.month<<21)+(this.day<<16)+(this.hour<<11)+(this.minute<<5)+Math.floor(this.second/2)}toDate(){return new Date(Date.UTC(this.year,this.month-1,this.day,this.hour,this.minute,this.second))}static fromInt(e){const t=new ZipDateTime;return t.year=1980+(e>>>25),t.month=e>>>21&15,t.day=e>>>16&31,t.hour=e>>>11&31,t.minute=e>>>5&63,t.second=2*(31&e),t}static fromDate(e=new Date){const t=new ZipDateTime;return t.year=e.getFullYear(),t.month=e.getMonth()+1,t.day=e.getDate(),t.hour=e.getHours(),t.minute=e.getMinutes(),t.second=e.getSeconds(),t}}class LocalFileHeader{signature=67324752;versionNeeded=20;flags=0;method=8;lastModified=ZipDateTime.fromDate();crc32=0;compressedSize=0;uncompressedSize=0;fileNameBytes;extraFieldBytes;length;static from(e){const t=new LocalFileHeader;t.signature=e.getUint32(0,!0),t.versionNeeded=e.getUint16(4,!0),t.flags=e.getUint16(6,!0),t.method=e.getUint16(8,!0),t.lastModified=ZipDateTime.fromInt(e.getUint32(10,!0)),t.crc32=e.getUint32(14,!0),t.compressedSize=e.getUint32(18,!0),t.uncompressedSize=e.getUint32(22,!0);const s=e.getUint16(26,!0),i=e.getUint16(28,!0),n=e.byteOffset+30;return t.fileNameBytes=new U(e.buffer,n,s),t.extraFieldBytes=new U(e.buffer,n+s,i),t.length=30+s+i,t}toBlobParts(){const e=new V(new ArrayBuffer(30));return e.setUint32(0,this.signature,!0),e.setUint16(4,this.versionNeeded,!0),e.setUint16(6,this.flags,!0),e.setUint16(8,this.method,!0),e.setUint32(10,this.lastModified.toInt(),!0),e.setUint32(14,this.crc32,!0),e.setUint32(18,this.compressedSize,!0),e.setUint32(22,this.uncompressedSize,!0),e.setUint16(26,this.fileNameBytes.length,!0),e.setUint16(28,this.extraFieldBytes.length,!0),[e,this.fileNameBytes,this.extraFieldBytes]}get encryption(){return 63===this.method?"wzAES":!!(1&this.flags)&&(64&this.flags?"strong":"traditional")}set encryption(e){if(e)switch(e){case"wzAES":this.method=63,this.flags&=65471;break;case"strong":this.flags|=65;break;case"traditional":this.flags&=65471,this.flags|=1}else this.flags&=65470}get hasDataDescriptor(){return!!(8&this.flags)}get isEnhancedDeflating(){return!!(16&this.flags)}get isCompressedPatchedData(){return!!(32&this.flags)}get isUtf8(){return!!(2048&this.flags)}set isUtf8(e){e?this.flags|=2048:this.flags&=65407}get isCentralDirectoryEncrypted(){return!!(8192&this.flags)}set isCentralDirectoryEncrypted(e){e?this.flags|=8192:this.flags&=57343}}class CentralDirectoryEntry extends LocalFileHeader{signature=33639248;versionMadeBy=20;diskIdStart=0;internalAttributes=0;externalAttributes=0;headerOffset;commentBytes;static from(e){const t=new CentralDirectoryEntry;t.signature=e.getUint32(0,!0),t.versionMadeBy=e.getUint16(4,!0),t.versionNeeded=e.getUint16(6,!0),t.flags=e.getUint16(8,!0),t.method=e.getUint16(10,!0),t.lastModified=ZipDateTime.fromInt(e.getUint32(12,!0)),t.crc32=e.getUint32(16,!0),t.compressedSize=e.getUint32(20,!0),t.uncompressedSize=e.getUint32(24,!0);const s=e.getUint16(28,!0),i=e.getUint16(30,!0),n=e.getUint16(32,!0);t.diskIdStart=e.getUint16(34,!0),t.internalAttributes=e.getUint16(36,!0),t.externalAttributes=e.getUint32(38,!0),t.headerOffset=e.getUint32(42,!0);const r=e.byteOffset+46;return t.fileNameBytes=new U(e.buffer,r,s),t.extraFieldBytes=new U(e.buffer,r+s,i),t.commentBytes=new U(e.buffer,r+s+i,n),t.length=46+s+i+n,t}toBlobParts(){const e=new V(new ArrayBuffer(46));return e.setUint32(0,this.signature,!0),e.setUint16(4,this.versionMadeBy,!0),e.setUint16(6,this.versionNeeded,!0),e.setUint16(8,this.flags,!0),e.setUint16(10,this.method,!0),e.setUint32(12,this.lastModified.toInt(),!0),e.setUint32(16,this.crc32,!0),e.setUint32(20,this.compressedSize,!0),e.setUint32(24,this.uncompressedSize,!0),e.setUint16(28,this.fileNameBytes.length,!0),e.setUint16(30,this.extraFieldBytes.length,!0),e.setUint16(32,this.commentBytes.length,!0),e.setUint16(34,this.diskIdStart,!0),e.setUint16(36,this.internalAttributes,!0),e.setUint32(38,this.externalAttributes,!0),e.setUint32(42,this.headerOffset,!0),[e,this.fileNameBytes,this.extraFieldBytes,this.commentBytes]}}class EndOfCentralDirectoryRecord{signature=101010256;diskId=0;firstDiskId=0;numOfFiles=1;totalNumOfFiles=0;cdSize;cdOffset;commentBytes;length;static from(e){const t=new EndOfCentralDirectoryRecord;t.signature=e.getUint32(0,!0),t.diskId=e.getUint16(4,!0),t.firstDiskId=e.getUint16(6,!0),t.numOfFiles=e.getUint16(8,!0),t.totalNumOfFiles=e.getUint16(10,!0),t.cdSize=e.getUint32(12,!0),t.cdOffset=e.getUint32(16,!0);const s=e.getUint16(20,!0),i=e.byteOffset+22;return t.commentBytes=new U(e.buffer,i,s),t.length=22+s,t}toBlobParts(){const e=new V(new ArrayBuffer(22));return e.setUint32(0,this.signature,!0),e.setUint16(4,this.diskId,!0),e.setUint16(6,this.firstDiskId,!0),e.setUint16(8,this.numOfFiles,!0),e.setUint16(10,this.totalNumOfFiles,!0),e.setUint32(12,this.cdSize,!0),e.setUint32(16,this.cdOffset,!0),e.setUint16(20,this.commentBytes.length,!0),[e,this.commentBytes]}}
\ No newline at end of file
+var U=Uint8Array,crcTable=Uint32Array.from({length:256},(t,e)=>{let s=e<<24;for(let t=0;t<8;t++)s=2147483648&s?s<<1^79764919:s<<1;return s>>>0}),needInput=Symbol("needInput"),BitReader=class{bytes;pos=0;bitBuf=0;bitCnt=0;constructor(t){this.bytes=t}bits(t){for(;this.bitCnt<t;){if(this.pos>=this.bytes.length)throw needInput;this.bitBuf=this.bitBuf<<8|this.bytes[this.pos++],this.bitCnt+=8}return this.bitCnt-=t,this.bitBuf>>>this.bitCnt&(1<<t)-1}uint32(){return(this.bits(16)<<16|this.bits(16))>>>0}align(){this.bitCnt-=7&this.bitCnt}},buildHuffmanTable=t=>{const e=Math.min(...t),s=Math.max(...t),r=new Int32Array(s+1),i=new Int32Array(s+1),n=new Uint16Array(t.length);let o=0;for(let a=e,h=0;a<=s;a++,h<<=1)i[a]=h-o,t.forEach((t,e)=>{t===a&&(n[o++]=e,h++)}),r[a]=h-1;return{minLen:e,maxLen:s,limit:r,base:i,perm:n}},Bzip2Decoder=class{#t=new U;#e=0;#s=0;#r=0;#i=0;#n=new Uint32Array;#o=0;#a=0;get finished(){return 2===this.#i}push(t,e=!1){const s=this.#t.subarray(this.#e),r=new U(s.length+t.length);r.set(s),r.set(t,s.length),this.#t=r,this.#e=0;const i=[];if(e||r.length>=this.#a){const t=new BitReader(r);for(;;){t.pos=this.#e,t.bitBuf=this.#s,t.bitCnt=this.#r;try{if(2===this.#i){if(t.pos>=r.length)break;this.#i=0}if(0===this.#i){if(4348520!==t.bits(24))throw new Error("Invalid data: Invalid BZIP2 header.");const e=t.bits(8)-48;if(e<1||e>9)throw new Error("Invalid data: Invalid block size.");this.#n.length!==1e5*e&&(this.#n=new Uint32Array(1e5*e)),this.#o=0,this.#i=1}else{const e=t.bits(24),s=t.bits(24);if(3227993===e&&2511705===s)i.push(this.#h(t));else{if(1536581!==e||3690640!==s)throw new Error("Invalid data: Invalid block header.");if(t.uint32()!==this.#o)throw new Error("Invalid data: Stream CRC does not match.");t.align(),this.#i=2}}}catch(t){if(t!==needInput)throw t;if(e)throw new Error("Invalid data: Unexpected end of compressed data.");this.#a=2*(r.length-this.#e);break}this.#e=t.pos,this.#s=t.bitBuf,this.#r=t.bitCnt,this.#a=0}}if(1===i.length)return i[0];const n=new U(i.reduce((t,e)=>t+e.length,0));return i.reduce((t,e)=>(n.set(e,t),t+e.length),0),n}#h(t){const e=t.uint32();if(t.bits(1))throw new Error("Invalid data: Randomized blocks are not supported.");const s=t.bits(24),r=[],i=t.bits(16);for(let e=0;e<16;e++){if(!(i&32768>>>e))continue;const s=t.bits(16);for(let t=0;t<16;t++)s&32768>>>t&&r.push(e<<4|t)}if(!r.length)throw new Error("Invalid data: No symbols are used.");const n=r.length+2,o=t.bits(3),a=t.bits(15);if(o<2||o>6||!a)throw new Error("Invalid data: Invalid Huffman groups.");const h=U.from({length:o},(t,e)=>e),c=new U(a);for(let e=0;e<a;e++){let s=0;for(;t.bits(1);)if(++s>=o)throw new Error("Invalid data: Invalid selector.");const r=h[s];h.copyWithin(1,0,s),h[0]=r,c[e]=r}const l=[];for(let e=0;e<o;e++){const e=new U(n);let s=t.bits(5);for(let r=0;r<n;r++){for(;;){if(s<1||s>20)throw new Error("Invalid data: Invalid code length.");if(!t.bits(1))break;s+=t.bits(1)?-1:1}e[r]=s}l.push(buildHuffmanTable(e))}const d=this.#n,f=d.length,u=new Uint32Array(256),p=U.from(r),w=n-1;let m=0,g=0,b=0,y=0,S=1,v=l[0];for(;;){if(!b--){if(g>=a)throw new Error("Invalid data: Selectors are short.");v=l[c[g++]],b=49}let e=v.minLen,s=t.bits(e);for(;s>v.limit[e];){if(++e>v.maxLen)throw new Error("Invalid data: Invalid Huffman code.");s=s<<1|t.bits(1)}const r=v.perm[s-v.base[e]];if(r<=1){if(y+=S<<r,S<<=1,y>f)throw new Error("Invalid data: Run is too long.");continue}if(y){if(m+y>f)throw new Error("Invalid data: Block is too long.");const t=p[0];u[t]+=y,d.fill(t,m,m+=y),y=0,S=1}if(r===w)break;if(m>=f)throw new Error("Invalid data: Block is too long.");const i=r-1,n=p[i];p.copyWithin(1,0,i),p[0]=n,u[n]++,d[m++]=n}if(s>=m)throw new Error("Invalid data: Invalid origin pointer.");const x=new Uint32Array(256);for(let t=1;t<256;t++)x[t]=x[t-1]+u[t-1];for(let t=0;t<m;t++)d[x[255&d[t]]++]|=t<<8;let z=new U(m+(m>>>2)),E=0,B=d[s]>>>8,I=-1,D=0,k=4294967295;for(let t=0;t<m;t++){const t=d[B],e=255&t;B=t>>>8;let s=1,r=e;if(4===D?(s=e,r=I,D=0):e===I?D++:(I=e,D=1),E+s>z.length){const t=new U(Math.max(2*z.length,E+s));t.set(z.subarray(0,E)),z=t}for(let t=0;t<s;t++)z[E++]=r,k=k<<8^crcTable[255&(k>>>24^r)]}if(k=~k>>>0,k!==e)throw new Error("Invalid data: Block CRC does not match.");return this.#o=((this.#o<<1|this.#o>>>31)^k)>>>0,z.slice(0,E)}},Bzip2DecompressionStream=class extends TransformStream{constructor(){const t=new Bzip2Decoder;super({transform(e,s){const r=t.push(e);r.length&&s.enqueue(r)},flush(e){const s=t.push(new U,!0);if(s.length&&e.enqueue(s),!t.finished)throw new Error("Invalid data: Unexpected end of compressed data.")}})}},U2=Uint8Array,lengthBase=Uint16Array.of(3,4,5,6,7,8,9,10,11,13,15,17,19,23,27,31,35,43,51,59,67,83,99,115,131,163,195,227,258),lengthExtra=U2.of(0,0,0,0,0,0,0,0,1,1,1,1,2,2,2,2,3,3,3,3,4,4,4,4,5,5,5,5,0),distBase=Uint16Array.of(1,2,3,4,5,7,9,13,17,25,33,49,65,97,129,193,257,385,513,769,1025,1537,2049,3073,4097,6145,8193,12289,16385,24577,32769,49153),distExtra=U2.of(0,0,0,0,1,1,2,2,3,3,4,4,5,5,6,6,7,7,8,8,9,9,10,10,11,11,12,12,13,13,14,14),codeLengthOrder=U2.of(16,17,18,0,8,7,9,6,10,5,11,4,12,3,13,2,14,1,15),buildHuffmanTable2=t=>{const e=new Uint16Array(16);for(const s of t)e[s]++;e[0]=0;let s=15;for(;s>0&&!e[s];)s--;const r=new Uint16Array(16);for(let t=1,s=0;t<16;t++)s=s+e[t-1]<<1,r[t]=s;const i=new Uint16Array(1<<s);return t.forEach((t,e)=>{if(!t)return;let s=r[t]++,n=0;for(let e=0;e<t;e++,s>>>=1)n=n<<1|1&s;for(let s=n;s<i.length;s+=1<<t)i[s]=e<<4|t}),{table:i,bits:s}},fixedLitTable=buildHuffmanTable2(U2.from({length:288},(t,e)=>e<144?8:e<256?9:e<280?7:8)),fixedDistTable=buildHuffmanTable2(new U2(32).fill(5)),needInput2=Symbol("needInput"),Inflater=class{#c=!1;#l=32768;#t=new U2;#e=0;#s=0;#r=0;#d=new U2(131072);#f=0;#i=0;#u=!1;#p=0;#w=fixedLitTable;#m=fixedDistTable;constructor(t){t?.deflate64&&(this.#c=!0,this.#l=65536)}get finished(){return 3===this.#i}get remaining(){return this.#t.subarray(this.#e)}push(t,e=!1){const s=this.#t.length-this.#e;let r=t;s&&(r=new U2(s+t.length),r.set(this.#t.subarray(this.#e)),r.set(t,s));let i=0,n=this.#s,o=this.#r,a=this.#d,h=this.#f;const c=h;let l=i,d=n,f=o;const u=t=>{(t=>{for(;o<t;){if(i>=r.length)throw needInput2;n|=r[i++]<<o,o+=8}})(t);const e=n&(1<<t)-1;return n>>>=t,o-=t,e},p=({table:t,bits:e})=>{for(;o<e&&i<r.length;)n|=r[i++]<<o,o+=8;const s=t[n&(1<<e)-1],a=15&s;if(!a||a>o){if(o<e)throw needInput2;throw new Error("Invalid data: Invalid Huffman code.")}return n>>>=a,o-=a,s>>>4},w=t=>{if(h+t<=a.length)return;const e=new U2(Math.max(2*a.length,h+t));e.set(a.subarray(0,h)),a=e};try{for(;3!==this.#i;)if(l=i,d=n,f=o,0===this.#i){const t=!!u(1),e=u(2);if(0===e){u(7&o);const t=u(16);if(65535!==(t^u(16)))throw new Error("Invalid data: Invalid stored block length.");this.#p=t,this.#i=1}else if(1===e)this.#w=fixedLitTable,this.#m=fixedDistTable,this.#i=2;else{if(2!==e)throw new Error("Invalid data: Invalid block type.");{const t=u(5)+257,e=u(5)+1,s=u(4)+4,r=new U2(19);for(let t=0;t<s;t++)r[codeLengthOrder[t]]=u(3);const i=buildHuffmanTable2(r),n=new U2(t+e);for(let t=0;t<n.length;){const e=p(i);if(e<16){n[t++]=e;continue}const[s,r]=16===e?[n[t-1],3+u(2)]:17===e?[0,3+u(3)]:[0,11+u(7)];if(16===e&&!t||t+r>n.length)throw new Error("Invalid data: Invalid code lengths.");n.fill(s,t,t+=r)}this.#w=buildHuffmanTable2(n.subarray(0,t)),this.#m=buildHuffmanTable2(n.subarray(t)),this.#i=2}}this.#u=t}else if(1===this.#i){const t=Math.min(this.#p,r.length-i);if(w(t),a.set(r.subarray(i,i+t),h),h+=t,i+=t,this.#p-=t,this.#p)throw needInput2;this.#i=this.#u?3:0}else{const t=p(this.#w);if(t<256)w(1),a[h++]=t;else if(256===t)this.#i=this.#u?3:0;else{const e=t-257;if(e>=lengthBase.length)throw new Error("Invalid data: Invalid length code.");const s=this.#c&&28===e?3+u(16):lengthBase[e]+u(lengthExtra[e]),r=p(this.#m);if(r>=(this.#c?32:30))throw new Error("Invalid data: Invalid distance code.");const i=distBase[r]+u(distExtra[r]);if(i>h)throw new Error("Invalid data: Distance is too far back.");w(s);for(let t=0;t<s;t++,h++)a[h]=a[h-i]}}i-=o>>>3,n=o=0}catch(t){if(t!==needInput2)throw t;if(e)throw new Error("Invalid data: Unexpected end of compressed data.");1!==this.#i&&(i=l,n=d,o=f)}this.#t=r,this.#e=i,this.#s=n,this.#r=o;const m=a.slice(c,h);return h>4*this.#l&&(a.copyWithin(0,h-this.#l,h),h=this.#l),this.#d=a,this.#f=h,m}},InflateStream=class extends TransformStream{constructor(t){const e=new Inflater(t);super({transform(t,s){if(e.finished)return;const r=e.push(t);r.length&&s.enqueue(r)},flush(t){if(e.finished)return;const s=e.push(new U2,!0);s.length&&t.enqueue(s)}})}},lengthCodeTable=new U2(259);lengthBase.forEach((t,e)=>lengthCodeTable.fill(e,t,t+(1<<lengthExtra[e])));var distCodeTable=new U2(32769);distBase.subarray(0,30).forEach((t,e)=>distCodeTable.fill(e,t,t+(1<<distExtra[e])));var levelParams={1:[4,0,8,4],2:[4,0,16,8],3:[4,0,32,32],4:[4,4,16,16],5:[8,16,32,32],6:[8,16,128,128],7:[8,32,128,256],8:[32,128,258,1024],9:[32,258,258,4096],best:[258,258,258,8192]},fixedLitLengths=U2.from({length:288},(t,e)=>e<144?8:e<256?9:e<280?7:8),fixedDistLengths=new U2(30).fill(5),buildCodeLengths=(t,e)=>{const s=new U2(t.length),r=[];t.forEach((t,e)=>t&&r.push(e));const i=r.length;if(i<2)return i&&(s[r[0]]=1),s;r.sort((e,s)=>t[e]-t[s]||e-s);const n=new Float64Array(2*i-1),o=new Int32Array(2*i-1);r.forEach((e,s)=>n[s]=t[e]);let a=0,h=i;for(let t=i;t<2*i-1;t++){const e=()=>a<i&&(h>=t||n[a]<=n[h])?a++:h++,s=e(),r=e();n[t]=n[s]+n[r],o[s]=o[r]=t}const c=new U2(2*i-1);for(let t=2*i-3;t>=0;t--)c[t]=c[o[t]]+1;const l=1<<e;let d=0;for(let t=0;t<i;t++)c[t]=Math.min(c[t],e),d+=1<<e-c[t];for(let t=0;d>l;t=(t+1)%i)c[t]<e&&(d-=1<<e-++c[t]);for(let t=i-1;t>=0;t--)for(;c[t]>1&&d+(1<<e-c[t])<=l;)d+=1<<e-c[t]--;return r.forEach((t,e)=>s[t]=c[e]),s},buildCodes=t=>{const e=new Uint16Array(16);for(const s of t)e[s]++;e[0]=0;const s=new Uint16Array(16);for(let t=1,r=0;t<16;t++)r=r+e[t-1]<<1,s[t]=r;return Uint16Array.from(t,t=>{if(!t)return 0;let e=s[t]++,r=0;for(let s=0;s<t;s++,e>>>=1)r=r<<1|1&e;return r})},fixedLitCodes=buildCodes(fixedLitLengths),fixedDistCodes=buildCodes(fixedDistLengths),BitWriter=class{#g=new U2(65536);#b=0;#s=0;#r=0;#y(t){if(this.#b+t<=this.#g.length)return;const e=new U2(Math.max(2*this.#g.length,this.#b+t));e.set(this.#g.subarray(0,this.#b)),this.#g=e}write(t,e){if(this.#s|=t<<this.#r,this.#r+=e,!(this.#r<8))for(this.#y(3);this.#r>=8;)this.#g[this.#b++]=this.#s,this.#s>>>=8,this.#r-=8}writeBytes(t){this.#r&&this.write(0,8-this.#r),this.#y(t.length),this.#g.set(t,this.#b),this.#b+=t.length}take(){const t=this.#g.slice(0,this.#b);return this.#b=0,t}},Deflater=class t{static#l=32768;static#U=16383;#S;#v;#x=t.#z(fixedLitLengths,fixedDistLengths);#E=new U2(131072);#b=0;#e=0;#B=0;#I=new Int32Array(32768).fill(-1);#D=new Int32Array(32768).fill(-1);#k=new Uint32Array(t.#U);#P=0;#C=new BitWriter;#M=0;#L=0;#A=!1;#T=!1;constructor(t){const e=t?.level??6;if(0!==e&&!(e in levelParams))throw new RangeError("Invalid compression level: "+e);this.#S=0===e?null:levelParams[e],this.#v="best"===e}static#z(t,e){const s=Float64Array.from({length:286},(e,s)=>t[s]),r=Float64Array.from({length:259},(t,e)=>e<3?0:s[257+lengthCodeTable[e]]+lengthExtra[lengthCodeTable[e]]),i=Float64Array.from({length:30},(t,s)=>e[s]+distExtra[s]);return{lit:s,len:r,dist:i}}push(t,e=!1){if(this.#T)throw new Error("Compression has already finished.");if(this.#O(t),this.#S){for(;this.#v?this.#R(e):this.#F(e);)this.#q(!1);e&&this.#q(!0)}else this.#e=this.#b,(e||this.#e-this.#B>=262144)&&this.#q(e);return e&&(this.#C.writeBytes(new U2),this.#T=!0),this.#C.take()}#O(e){const s=t.#l;if(this.#b+e.length>this.#E.length){const t=Math.max(Math.min(this.#B,this.#e-s),0)&~(s-1);if(t){this.#E.copyWithin(0,t,this.#b),this.#b-=t,this.#e-=t,this.#B-=t;for(const e of[this.#I,this.#D])for(let s=0;s<e.length;s++)e[s]=e[s]>=t?e[s]-t:-1}if(this.#b+e.length>this.#E.length){const t=new U2(Math.max(2*this.#E.length,this.#b+e.length));t.set(this.#E.subarray(0,this.#b)),this.#E=t}}this.#E.set(e,this.#b),this.#b+=e.length}#Z(t){const e=this.#E;if(t+2>=this.#b)return-1;const s=32767&(e[t]<<10^e[t+1]<<5^e[t+2]),r=this.#I[s];return this.#D[32767&t]=r,this.#I[s]=t,r}#N(e,s,r){const i=this.#E,[n,,o,a]=this.#S,h=Math.min(258,this.#b-e),c=e-t.#l;let l=r>=n?a>>2:a,d=Math.max(r,2),f=0;if(h<=d)return[0,0];for(let t=s;t>=0&&t>=c&&l--;){if(i[t+d]===i[e+d]&&i[t]===i[e]&&i[t+1]===i[e+1]){let s=2;for(;s<h&&i[t+s]===i[e+s];)s++;if(s>d&&(d=s,f=e-t,s>=o||s===h))break}const s=this.#D[32767&t];if(s>=t)break;t=s}return f?[d,f]:[0,0]}#V(e,s,r,i,n){const o=this.#E,a=Math.min(258,r),h=e-t.#l;let c=this.#S[3],l=2;if(!(a<=l))for(let t=s;t>=0&&t>=h&&c--;){if(o[t+l]===o[e+l]&&o[t]===o[e]&&o[t+1]===o[e+1]){let s=2;for(;s<a&&o[t+s]===o[e+s];)s++;if(s>l&&(l=s,i.push(s),n.push(e-t),s===a))break}const s=this.#D[32767&t];if(s>=t)break;t=s}}#R(e){const s=e?this.#b:this.#b-262;for(;this.#e<s;){const r=t.#U-1-this.#P;if(r<4096)return!0;const i=this.#e,n=Math.min(s-i,r);if(!e&&n<r)return!1;const o=new Uint32Array(n+1),a=[],h=[];for(let t=0;t<n;t++){o[t]=a.length;const e=this.#Z(i+t);e>=0&&this.#V(i+t,e,n-t,a,h)}let c;o[n]=a.length;for(let t=0;t<2;t++)c=this.#H(i,n,o,a,h),this.#W(c);for(const t of c)this.#k[this.#P++]=t;this.#e=i+n}return!1}#H(t,e,s,r,i){const n=this.#E,o=this.#x,a=new Float64Array(e+1).fill(1/0),h=new Uint16Array(e+1),c=new Uint16Array(e+1);a[0]=0;for(let l=0;l<e;l++){const e=a[l],d=e+o.lit[n[t+l]];d<a[l+1]&&(a[l+1]=d,h[l+1]=1,c[l+1]=0);for(let t=s[l],n=3;t<s[l+1];t++){const s=i[t],d=e+o.dist[distCodeTable[s]];for(const e=r[t];n<=e;n++){const t=d+o.len[n];t<a[l+n]&&(a[l+n]=t,h[l+n]=n,c[l+n]=s)}}}const l=[];for(let s=e;s>0;s-=h[s])l.push(c[s]?c[s]<<16|h[s]:n[t+s-1]);return l.reverse()}#W(e){const s=new Uint32Array(286),r=new Uint32Array(30);for(const t of e){const e=t>>>16;e?(s[257+lengthCodeTable[65535&t]]++,r[distCodeTable[e]]++):s[t]++}s[256]=1;const i=buildCodeLengths(s.map(t=>2*t||1),15),n=buildCodeLengths(r.map(t=>2*t||1),15);this.#x=t.#z(i,n)}#j(t,e){this.#k[this.#P++]=e<<16|t}#F(e){const[,s]=this.#S,r=this.#E,i=e?this.#b:this.#b-262;let n=this.#e;for(;n<i;){if(this.#P>=t.#U-1)return this.#e=n,!0;const e=this.#Z(n);if(!s){const[t,s]=e<0?[0,0]:this.#N(n,e,0);if(t){this.#j(t,s);for(let e=1;e<t;e++)this.#Z(n+e);n+=t}else this.#j(r[n++],0);continue}const i=this.#M;let[o,a]=e<0||i>=s?[0,0]:this.#N(n,e,i);if(i>=3&&o<=i){this.#j(i,this.#L);for(let t=1;t<i-1;t++)this.#Z(n+t);n+=i-1,this.#A=!1,this.#M=0}else this.#A&&this.#j(r[n-1],0),this.#A=!0,this.#M=o,this.#L=a,n++}return e&&n>=this.#b&&this.#A&&(this.#j(r[n-1],0),this.#A=!1),this.#e=n,!1}#q(t){const e=this.#A?this.#e-1:this.#e,s=this.#E.subarray(this.#B,e),r=this.#k.subarray(0,this.#P),i=this.#C,n=40*Math.ceil(s.length/65535||1)+8*s.length;if(this.#S){const e=new Uint32Array(286),o=new Uint32Array(30);let a=0;for(const t of r){const s=t>>>16;if(s){const r=lengthCodeTable[65535&t],i=distCodeTable[s];e[257+r]++,o[i]++,a+=lengthExtra[r]+distExtra[i]}else e[t]++}e[256]=1;const h=(t,e)=>e.reduce((e,s,r)=>e+s*t[r],0),c=3+h(fixedLitLengths,e)+h(fixedDistLengths,o)+a,l=buildCodeLengths(e,15),d=buildCodeLengths(o,15);o.some(t=>t)||(d[0]=1);const f=this.#G(l,d),u=f.bits+h(l,e)+h(d,o)+a;n<=Math.min(c,u)?this.#K(s,t):c<=u?(i.write(t?3:2,3),this.#X(r,fixedLitLengths,fixedLitCodes,fixedDistLengths,fixedDistCodes)):(i.write(t?5:4,3),f.write(),this.#X(r,l,buildCodes(l),d,buildCodes(d)))}else this.#K(s,t);this.#B=e,this.#P=0}#K(t,e){const s=this.#C;let r=0;do{const i=t.subarray(r,r+65535);r+=i.length,s.write(e&&r>=t.length?1:0,3),s.writeBytes(new U2),s.write(i.length,16),s.write(65535&~i.length,16),s.writeBytes(i)}while(r<t.length)}#G(t,e){let s=286,r=30;for(;s>257&&!t[s-1];)s--;for(;r>1&&!e[r-1];)r--;const i=new U2(s+r);i.set(t.subarray(0,s)),i.set(e.subarray(0,r),s);const n=[];for(let t=0;t<i.length;){const e=i[t];let s=1;for(;t+s<i.length&&i[t+s]===e;)s++;if(t+=s,e)for(n.push([e,0,0]),s--;s>=3;){const t=Math.min(s,6);n.push([16,t-3,2]),s-=t}else{for(;s>=11;){const t=Math.min(s,138);n.push([18,t-11,7]),s-=t}s>=3&&(n.push([17,s-3,3]),s=0)}for(;s-- >0;)n.push([e,0,0])}const o=new Uint32Array(19);for(const[t]of n)o[t]++;const a=buildCodeLengths(o,7),h=buildCodes(a);let c=19;for(;c>4&&!a[codeLengthOrder[c-1]];)c--;return{bits:14+3*c+n.reduce((t,[e,,s])=>t+a[e]+s,0),write:()=>{const t=this.#C;t.write(s-257,5),t.write(r-1,5),t.write(c-4,4);for(let e=0;e<c;e++)t.write(a[codeLengthOrder[e]],3);for(const[e,s,r]of n)t.write(h[e],a[e]),r&&t.write(s,r)}}}#X(t,e,s,r,i){const n=this.#C;for(const o of t){const t=65535&o,a=o>>>16;if(!a){n.write(s[t],e[t]);continue}const h=lengthCodeTable[t],c=distCodeTable[a];n.write(s[257+h],e[257+h]),lengthExtra[h]&&n.write(t-lengthBase[h],lengthExtra[h]),n.write(i[c],r[c]),distExtra[c]&&n.write(a-distBase[c],distExtra[c])}n.write(s[256],e[256])}},DeflateStream=class extends TransformStream{constructor(t){const e=new Deflater(t);super({transform(t,s){const r=e.push(t);r.length&&s.enqueue(r)},flush(t){t.enqueue(e.push(new U2,!0))}})}},U3=Uint8Array,BitReader2=class{#t=new U3;#e=0;#E=0;#$=0;get left(){return 8*(this.#t.length-this.#e)+this.#$}append(t){const e=this.#t.subarray(this.#e),s=new U3(e.length+t.length);s.set(e),s.set(t,e.length),this.#t=s,this.#e=0}peek(t){for(;this.#$<t&&this.#e<this.#t.length;)this.#E|=this.#t[this.#e++]<<this.#$,this.#$+=8;return this.#E&(1<<t)-1}skip(t){if(this.peek(t),t>this.#$)throw new Error("Invalid data: Unexpected end of compressed data.");this.#E>>>=t,this.#$-=t}read(t){const e=this.peek(t);return this.skip(t),e}},OutputWindow=class{#l;#d=new U3(65536);#f=0;#Y=0;total=0;constructor(t){this.#l=t}#y(t){if(this.#f+t<=this.#d.length)return;const e=Math.max(0,Math.min(this.#Y,this.#f-this.#l));if(e>=this.#d.length>>>1&&(this.#d.copyWithin(0,e,this.#f),this.#f-=e,this.#Y-=e),this.#f+t>this.#d.length){const e=new U3(Math.max(2*this.#d.length,this.#f+t));e.set(this.#d.subarray(0,this.#f)),this.#d=e}}write(t){this.#y(1),this.#d[this.#f++]=t,this.total++}copy(t,e){if(t>this.#l)throw new Error("Invalid data: Distance is too far back.");this.#y(e);const s=this.#d;for(let r=0;r<e;r++,this.#f++,this.total++)s[this.#f]=t>this.total?0:s[this.#f-t]}take(){const t=this.#d.slice(this.#Y,this.#f);return this.#Y=this.#f,t}},ShrinkDecoder=class t{static#J=8191;#Q=new BitReader2;#_=new OutputWindow(0);#tt;#et=9;#st=new Int16Array(t.#J+1).fill(-1);#rt=new U3(t.#J+1);#it=257;#nt=-1;#ot=new U3(t.#J+1);constructor(t=1/0){this.#tt=t;for(let t=0;t<256;t++)this.#rt[t]=t}setSize(t){this.#tt=t}get finished(){return this.#_.total>=this.#tt}#at(e){let s=e;for(;s<=t.#J&&this.#st[s]>=0;)s++;this.#it=s}#ht(){const e=t.#J,s=new U3(e+1);for(let t=257;t<=e;t++)this.#st[t]>=0&&(s[this.#st[t]]=1);for(let t=257;t<=e;t++)s[t]||(this.#st[t]=-1);this.#at(257)}push(e,s=!1){const r=this.#Q,i=this.#_,n=this.#st,o=this.#rt,a=this.#ot;for(r.append(e);!this.finished&&(s||r.left>=26);){const e=r.read(this.#et);if(256===e){const t=r.read(this.#et);if(1===t&&this.#et<13)this.#et++;else{if(2!==t)throw new Error("Invalid data: Invalid control code.");this.#ht()}continue}const s=this.#nt;if(s<0){if(e>255)throw new Error("Invalid data: Invalid first code.");i.write(e),this.#nt=e;continue}const h=e===this.#it;if(h){if(s>255&&n[s]<0)throw new Error("Invalid data: Invalid code.");n[e]=s}else if(e>256&&n[e]<0)throw new Error("Invalid data: Invalid code.");let c=0;for(let s=e;;s=n[s]){if(c>t.#J||s>256&&n[s]<0)throw new Error("Invalid data: Invalid code.");if(s<256){a[c++]=s;break}a[c++]=o[s]}const l=a[c-1];for(h&&(a[0]=o[e]=l);c;)i.write(a[--c]);!h&&this.#it<=t.#J&&(n[this.#it]=s,o[this.#it]=l),this.#at(this.#it),this.#nt=e}if(s&&!this.finished)throw new Error("Invalid data: Unexpected end of compressed data.");return i.take()}},maxFollowerSetsBits=67072,ReduceDecoder=class{#Q=new BitReader2;#_=new OutputWindow(4096);#ct;#tt;#lt=null;#dt=0;#i=0;#ft=0;#b=0;constructor(t,e=1/0){this.#ct=t,this.#tt=e}setSize(t){this.#tt=t}get finished(){return this.#_.total>=this.#tt}#ut(){const t=this.#Q,e=[];for(let s=255;s>=0;s--){const r=t.read(6);if(r>32)throw new Error("Invalid data: Invalid follower set.");const i=e[s]=new U3(r);for(let e=0;e<r;e++)i[e]=t.read(8)}this.#lt=e}push(t,e=!1){const s=this.#Q,r=this.#_;if(s.append(t),!this.#lt){if(!e&&s.left<maxFollowerSetsBits)return new U3;this.#ut()}const i=this.#lt,n=255>>>this.#ct;for(;!this.finished&&(e||s.left>=9);){const t=i[this.#dt];let e;if(!t.length||s.read(1))e=s.read(8);else{const r=t.length<=2?1:32-Math.clz32(t.length-1);if(e=t[s.read(r)],void 0===e)throw new Error("Invalid data: Invalid follower index.")}switch(this.#dt=e,this.#i){case 0:144===e?this.#i=1:r.write(e);break;case 1:e?(this.#ft=e,this.#b=e&n,this.#i=this.#b===n?2:3):(r.write(144),this.#i=0);break;case 2:this.#b+=e,this.#i=3;break;default:const t=256*(this.#ft>>>8-this.#ct)+e+1;r.copy(t,Math.min(this.#b+3,this.#tt-r.total)),this.#i=0}}if(e&&!this.finished)throw new Error("Invalid data: Unexpected end of compressed data.");return r.take()}},buildShannonFanoTable=t=>{const e=new Uint16Array(17);for(const s of t)e[s]++;e[0]=0;let s=16;for(;s>0&&!e[s];)s--;const r=new Uint32Array(17);for(let t=1,s=0;t<=16;t++)s=s+e[t-1]<<1,r[t]=s;const i=new Uint32Array(1<<s);return t.forEach((t,e)=>{if(!t)return;let s=~r[t]++&(1<<t)-1,n=0;for(let e=0;e<t;e++,s>>>=1)n=n<<1|1&s;for(let s=n;s<i.length;s+=1<<t)i[s]=e<<5|t}),{table:i,bits:s}},ImplodeDecoder=class{#Q=new BitReader2;#_;#pt;#wt;#tt;#mt=null;constructor({largeDictionary:t,literalTree:e},s=1/0){this.#pt=t,this.#wt=e,this.#_=new OutputWindow(t?8192:4096),this.#tt=s}setSize(t){this.#tt=t}get finished(){return this.#_.total>=this.#tt}#gt(t){const e=this.#Q,s=new U3(t);let r=0;for(let i=e.read(8)+1;i>0;i--){const i=e.read(8),n=1+(15&i),o=(i>>>4)+1;if(r+o>t)throw new Error("Invalid data: Invalid Shannon-Fano tree.");s.fill(n,r,r+=o)}if(r!==t)throw new Error("Invalid data: Invalid Shannon-Fano tree.");return buildShannonFanoTable(s)}#bt({table:t,bits:e}){const s=t[this.#Q.peek(e)],r=31&s;if(!r)throw new Error("Invalid data: Invalid Shannon-Fano code.");return this.#Q.skip(r),s>>>5}push(t,e=!1){const s=this.#Q,r=this.#_;if(s.append(t),!this.#mt){if(!e&&s.left<6168)return new U3;const t=this.#wt?this.#gt(256):void 0,r=this.#gt(64);this.#mt={literal:t,length:r,distance:this.#gt(64)}}const{literal:i,length:n,distance:o}=this.#mt,a=this.#pt?7:6,h=this.#wt?3:2;for(;!this.finished&&(e||s.left>=48);){if(s.read(1)){r.write(i?this.#bt(i):s.read(8));continue}const t=s.read(a),e=1+(this.#bt(o)<<a|t);let c=this.#bt(n);63===c&&(c+=s.read(8)),r.copy(e,Math.min(c+h,this.#tt-r.total))}if(e&&!this.finished)throw new Error("Invalid data: Unexpected end of compressed data.");return r.take()}},LegacyDecompressionStream=class extends TransformStream{constructor(t,e){"number"==typeof e&&t.setSize(e),super({transform(e,s){const r=t.push(e);r.length&&s.enqueue(r)},flush(s){"function"==typeof e&&t.setSize(e());const r=t.push(new U3,!0);r.length&&s.enqueue(r)}})}},ShrinkDecompressionStream=class extends LegacyDecompressionStream{constructor({size:t}){super(new ShrinkDecoder,t)}},ReduceDecompressionStream=class extends LegacyDecompressionStream{constructor({factor:t,size:e}){super(new ReduceDecoder(t),e)}},ImplodeDecompressionStream=class extends LegacyDecompressionStream{constructor({size:t,...e}){super(new ImplodeDecoder(e),t)}},U4=Uint8Array,minMatchLength=2,maxMatchLength=273,maxPacketBytes=64,decodePropertiesByte=t=>{if(t>=225)throw new Error("Invalid data: Invalid LZMA properties.");return{lc:t%9,lp:(t=t/9|0)%5,pb:t/5|0}},parseProperties=t=>{const e=(t[1]|t[2]<<8|t[3]<<16|t[4]<<24)>>>0;return{...decodePropertiesByte(t[0]),dictSize:Math.max(e,4096)}},createLengthProbs=()=>new Uint16Array(514).fill(1024),LzmaModel=class{props;state=0;reps=[0,0,0,0];literal;isMatch=new Uint16Array(192);isRep=new Uint16Array(12);isRepG0=new Uint16Array(12);isRepG1=new Uint16Array(12);isRepG2=new Uint16Array(12);isRep0Long=new Uint16Array(192);posSlot=new Uint16Array(256);posSpecial=new Uint16Array(115);align=new Uint16Array(16);length=createLengthProbs();repLength=createLengthProbs();constructor(t){this.props=t,this.literal=new Uint16Array(768<<t.lc+t.lp),this.reset()}reset(){this.state=0,this.reps=[0,0,0,0];for(const t of[this.literal,this.isMatch,this.isRep,this.isRepG0,this.isRepG1,this.isRepG2,this.isRep0Long,this.posSlot,this.posSpecial,this.align,this.length,this.repLength])t.fill(1024)}},LzmaDecoder=class{#yt;#t=new U4;#Ut=0;#St=4294967295;#vt=0;#xt=!1;#d;#f=0;#Y=0;#l;#zt=0;#tt;#T=!1;constructor(t,e=-1){this.#yt=new LzmaModel(t),this.#tt=e,this.#l=e>=0?Math.min(t.dictSize,e):t.dictSize,this.#d=new U4(Math.min(this.#l,1048576)||1)}setSize(t){this.#tt=t}get finished(){return this.#T}#Et(){if(this.#Ut>=this.#t.length)throw new Error("Invalid data: Unexpected end of compressed data.");return this.#t[this.#Ut++]}#Bt(){if(this.#Et())throw new Error("Invalid data: Invalid LZMA stream.");this.#St=4294967295,this.#vt=0;for(let t=0;t<4;t++)this.#vt=256*this.#vt+this.#Et()}#It(t,e){const s=t[e],r=(this.#St>>>11)*s;let i=0;return this.#vt<r?(this.#St=r,t[e]=s+(2048-s>>>5)):(this.#St-=r,this.#vt-=r,t[e]=s-(s>>>5),i=1),this.#St<16777216&&(this.#St=256*this.#St,this.#vt=256*this.#vt+this.#Et()),i}#Dt(t){let e=0;for(let s=0;s<t;s++){this.#St=this.#St>>>1;let t=0;this.#vt>=this.#St&&(this.#vt-=this.#St,t=1),e=2*e+t,this.#St<16777216&&(this.#St=256*this.#St,this.#vt=256*this.#vt+this.#Et())}return e}#kt(t,e,s){let r=1;for(let i=0;i<s;i++)r=r<<1|this.#It(t,e+r);return r-(1<<s)}#Pt(t,e,s){let r=1,i=0;for(let n=0;n<s;n++){const s=this.#It(t,e+r);r=r<<1|s,i|=s<<n}return i}#b(t,e){return this.#It(t,0)?this.#It(t,1)?16+this.#kt(t,257,8):8+this.#kt(t,130+(e<<3)-1,3):this.#kt(t,2+(e<<3)-1,3)}#Ct(t){const e=this.#yt,s=this.#kt(e.posSlot,(Math.min(t,3)<<6)-1,6);if(s<4)return s;const r=(s>>>1)-1,i=(2|1&s)*2**r;return s<14?i+this.#Pt(e.posSpecial,i-s-1,r):i+16*this.#Dt(r-4)+this.#Pt(e.align,-1,4)}#y(t){if(this.#f+t<=this.#d.length)return;const e=Math.max(0,Math.min(this.#Y,this.#f-this.#l));if(e>=this.#d.length>>>1&&(this.#d.copyWithin(0,e,this.#f),this.#f-=e,this.#Y-=e),this.#f+t>this.#d.length){const e=new U4(Math.max(2*this.#d.length,this.#f+t));e.set(this.#d.subarray(0,this.#f)),this.#d=e}}#Mt(t,e){const s=this.#t,r=this.#yt,{lc:i,lp:n,pb:o}=r.props,a=r.reps;for(;this.#zt!==t&&(e||this.#Ut+maxPacketBytes<=s.length);){const e=this.#d,s=this.#zt&(1<<o)-1,h=r.state;if(!this.#It(r.isMatch,h<<4|s)){const t=this.#zt?e[this.#f-1]:0,s=768*(((this.#zt&(1<<n)-1)<<i)+(t>>>8-i));let o=1;if(h>=7){let t=e[this.#f-a[0]-1];do{const e=t>>>7&1;t<<=1;const i=this.#It(r.literal,s+(1+e<<8)+o);if(o=o<<1|i,e!==i)break}while(o<256)}for(;o<256;)o=o<<1|this.#It(r.literal,s+o);this.#y(1),this.#d[this.#f++]=o,this.#zt++,r.state=h<4?0:h<10?h-3:h-6;continue}let c;if(this.#It(r.isRep,h)){if(this.#It(r.isRepG0,h)){const t=this.#It(r.isRepG1,h)?this.#It(r.isRepG2,h)?3:2:1;a.unshift(...a.splice(t,1))}else if(!this.#It(r.isRep0Long,h<<4|s)){if(r.state=h<7?9:11,a[0]>=Math.min(this.#zt,this.#l))throw new Error("Invalid data: Distance is too far back.");this.#y(1),this.#d[this.#f]=this.#d[this.#f-a[0]-1],this.#f++,this.#zt++;continue}c=this.#b(r.repLength,s),r.state=h<7?8:11}else{c=this.#b(r.length,s),r.state=h<7?7:10;const t=this.#Ct(c);if(4294967295===t)return!0;a.unshift(t),a.pop()}c+=minMatchLength;const l=a[0]+1;if(l>Math.min(this.#zt,this.#l))throw new Error("Invalid data: Distance is too far back.");if(t>=0&&this.#zt+c>t)throw new Error("Invalid data: Data is longer than the size.");this.#y(c);const d=this.#d;for(let t=0,e=this.#f;t<c;t++,e++)d[e]=d[e-l];this.#f+=c,this.#zt+=c}return!1}push(t,e=!1){const s=this.#t.subarray(this.#Ut),r=new U4(s.length+t.length);if(r.set(s),r.set(t,s.length),this.#t=r,this.#Ut=0,!this.#xt){if(r.length<5&&!e)return new U4;this.#Bt(),this.#xt=!0}if(!this.#T)if(this.#Mt(this.#tt,e)){if(this.#tt>=0&&this.#zt!==this.#tt)throw new Error("Invalid data: Unexpected end marker.");this.#T=!0}else this.#zt===this.#tt&&(this.#T=!0);if(e&&!this.#T)throw new Error("Invalid data: Unexpected end of compressed data.");return this.take()}reset(t){t?this.#yt=new LzmaModel({...t,dictSize:this.#yt.props.dictSize}):this.#yt.reset()}resetDictionary(){this.#zt=0}decodeChunk(t,e){this.#t=t,this.#Ut=0,this.#Bt();const s=this.#zt+e;if(this.#Mt(s,!0)||this.#Ut!==t.length)throw new Error("Invalid data: Invalid LZMA2 chunk.")}write(t){this.#y(t.length),this.#d.set(t,this.#f),this.#f+=t.length,this.#zt+=t.length}take(){const t=this.#d.slice(this.#Y,this.#f);return this.#Y=this.#f,t}},Lzma2Decoder=class{#Lt;#t=new U4;#Ut=0;#At=!0;#Tt=!0;#T=!1;constructor(t){this.#Lt=new LzmaDecoder({lc:0,lp:0,pb:0,dictSize:t})}get finished(){return this.#T}get remaining(){return this.#t.subarray(this.#Ut)}push(t,e=!1){const s=this.#t.subarray(this.#Ut),r=new U4(s.length+t.length);r.set(s),r.set(t,s.length),this.#t=r,this.#Ut=0;const i=this.#Lt;for(;!this.#T&&this.#Ut<r.length;){const t=this.#Ut,e=r[t];if(!e){this.#Ut++,this.#T=!0;break}if(1===e||e>=224)i.resetDictionary(),this.#At=!1;else if(this.#At)throw new Error("Invalid data: Dictionary is not reset.");if(e<128){if(e>2)throw new Error("Invalid data: Invalid LZMA2 chunk.");if(t+3>r.length)break;const s=1+(r[t+1]<<8|r[t+2]);if(t+3+s>r.length)break;i.write(r.subarray(t+3,t+3+s)),this.#Ut=t+3+s,1===e&&(this.#Tt=!0);continue}const s=e>=192?6:5;if(t+s>r.length)break;const n=1+((31&e)<<16|r[t+1]<<8|r[t+2]),o=1+(r[t+3]<<8|r[t+4]);if(t+s+o>r.length)break;if(e>=192){const e=decodePropertiesByte(r[t+5]);if(e.lc+e.lp>4)throw new Error("Invalid data: Invalid LZMA properties.");i.reset(e),this.#Tt=!1}else{if(this.#Tt)throw new Error("Invalid data: LZMA properties are not set.");e>=160&&i.reset()}i.decodeChunk(r.subarray(t+s,t+s+o),n),this.#Ut=t+s+o}if(e&&!this.#T)throw new Error("Invalid data: Unexpected end of compressed data.");return i.take()}},LzmaDecompressionStream=class extends TransformStream{constructor(t){let e=null,s=new U4;const r=(r,i)=>{if(!e){const n=new U4(s.length+r.length);n.set(s),n.set(r,s.length);const o=n.length>=4?n[2]|n[3]<<8:5;if(n.length<4+o){if(i)throw new Error("Invalid data: Unexpected end of compressed data.");return s=n,new U4}if(5!==o)throw new Error("Invalid data: Invalid LZMA properties.");const a=t?.size;e=new LzmaDecoder(parseProperties(n.subarray(4,9)),"number"==typeof a?a:-1),r=n.subarray(9)}return i&&"function"==typeof t?.size&&e.setSize(t.size()),e.push(r,i)};super({transform(t,e){const s=r(t,!1);s.length&&e.enqueue(s)},flush(t){const e=r(new U4,!0);e.length&&t.enqueue(e)}})}},bitPrices=Float64Array.from({length:2049},(t,e)=>-Math.log2(e/2048)),bitPrice=(t,e)=>bitPrices[e?2048-t:t],treePrice=(t,e,s,r,i=!1)=>{let n=0,o=1;for(let a=0;a<s;a++){const h=r>>>(i?a:s-1-a)&1;n+=bitPrice(t[e+o],h),o=o<<1|h}return n},matchPriceDiscount=5,isMuchCloser=(t,e)=>t<e>>>7,levelParams2={1:[16,4,16],2:[18,8,32],3:[20,16,32],4:[20,32,64],5:[22,32,64],6:[22,64,128],7:[23,128,128],8:[24,256,273],9:[24,1024,273],best:[24,4096,273]},LzmaEncoder=class{#yt;#Ot;#Rt;#Ft;#qt;#E=new U4(131072);#b=0;#e=0;#Zt=0;#I=new Int32Array(65536).fill(-1);#D;#Nt=0;#St=4294967295;#Vt=0;#Ht=1;#d=new U4(65536);#Wt=0;#T=!1;constructor(t){const e=t?.level??6;if(!(e in levelParams2))throw new RangeError("Invalid compression level: "+e);const[s,r,i]=levelParams2[e];this.#Ot=1<<s,this.#Rt=r,this.#Ft=i,this.#qt=t?.endMarker??!0,this.#D=new Int32Array(this.#Ot).fill(-1),this.#yt=new LzmaModel({lc:3,lp:0,pb:2,dictSize:this.#Ot})}get properties(){const{lc:t,lp:e,pb:s}=this.#yt.props,r=this.#Ot;return U4.of(9*(5*s+e)+t,255&r,r>>>8&255,r>>>16&255,r>>>24&255)}push(t,e=!1){if(this.#T)throw new Error("Compression has already finished.");if(this.#O(t),this.#jt(e),e){this.#qt&&this.#Gt(4294967295,minMatchLength,this.#Zt+this.#e&3);for(let t=0;t<5;t++)this.#Kt();this.#T=!0}const s=this.#d.slice(0,this.#Wt);return this.#Wt=0,s}#O(t){const e=this.#Ot;if(this.#b+t.length>this.#E.length){const s=Math.max(this.#e-e,0)&~(e-1);if(s){this.#E.copyWithin(0,s,this.#b),this.#b-=s,this.#e-=s,this.#Zt+=s;for(const t of[this.#I,this.#D])for(let e=0;e<t.length;e++)t[e]=t[e]>=s?t[e]-s:-1}if(this.#b+t.length>this.#E.length){const e=new U4(Math.max(2*this.#E.length,this.#b+t.length));e.set(this.#E.subarray(0,this.#b)),this.#E=e}}this.#E.set(t,this.#b),this.#b+=t.length}#Xt(t){if(this.#Wt>=this.#d.length){const t=new U4(2*this.#d.length);t.set(this.#d),this.#d=t}this.#d[this.#Wt++]=t}#Kt(){if(this.#Nt<4278190080||this.#Nt>=4294967296){const t=this.#Nt>=4294967296?1:0;let e=this.#Vt;do{this.#Xt(e+t&255),e=255}while(--this.#Ht);this.#Vt=this.#Nt>>>24&255}this.#Ht++,this.#Nt=256*(16777215&this.#Nt)}#It(t,e,s){const r=t[e],i=(this.#St>>>11)*r;for(s?(this.#Nt+=i,this.#St-=i,t[e]=r-(r>>>5)):(this.#St=i,t[e]=r+(2048-r>>>5));this.#St<16777216;)this.#St*=256,this.#Kt()}#Dt(t,e){for(let s=e-1;s>=0;s--)for(this.#St=this.#St>>>1,t>>>s&1&&(this.#Nt+=this.#St);this.#St<16777216;)this.#St*=256,this.#Kt()}#kt(t,e,s,r){let i=1;for(let n=s-1;n>=0;n--){const s=r>>>n&1;this.#It(t,e+i,s),i=i<<1|s}}#Pt(t,e,s,r){let i=1;for(let n=0;n<s;n++){const s=r>>>n&1;this.#It(t,e+i,s),i=i<<1|s}}#$t(t,e,s){e<8?(this.#It(t,0,0),this.#kt(t,2+(s<<3)-1,3,e)):e<16?(this.#It(t,0,1),this.#It(t,1,0),this.#kt(t,130+(s<<3)-1,3,e-8)):(this.#It(t,0,1),this.#It(t,1,1),this.#kt(t,257,8,e-16))}#Yt(t,e){const s=this.#yt,r=this.#E,{lc:i,lp:n}=s.props,o=s.state;this.#It(s.isMatch,o<<4|e,0);const a=this.#Zt+t,h=768*(((a&(1<<n)-1)<<i)+((a?r[t-1]:0)>>>8-i)),c=r[t];let l=1,d=o>=7;const f=d?r[t-s.reps[0]-1]:0;for(let t=7;t>=0;t--){const e=c>>>t&1;if(d){const r=f>>>t&1;this.#It(s.literal,h+(1+r<<8)+l,e),d=r===e}else this.#It(s.literal,h+l,e);l=l<<1|e}s.state=o<4?0:o<10?o-3:o-6}#Gt(t,e,s){const r=this.#yt,i=r.state;this.#It(r.isMatch,i<<4|s,1),this.#It(r.isRep,i,0),e-=minMatchLength,this.#$t(r.length,e,s),r.state=i<7?7:10;let n=t;if(t>=4){const e=31-Math.clz32(t);n=e<<1|t>>>e-1&1}if(this.#kt(r.posSlot,(Math.min(e,3)<<6)-1,6,n),n>=4){const e=(n>>>1)-1,s=(2|1&n)*2**e,i=t-s;n<14?this.#Pt(r.posSpecial,s-n-1,e,i):(this.#Dt(i>>>4,e-4),this.#Pt(r.align,-1,4,15&i))}r.reps.unshift(t),r.reps.pop()}#Jt(t,e,s){const r=this.#yt,i=r.state;if(this.#It(r.isMatch,i<<4|s,1),this.#It(r.isRep,i,1),t)this.#It(r.isRepG0,i,1),this.#It(r.isRepG1,i,1===t?0:1),t>1&&this.#It(r.isRepG2,i,2===t?0:1),r.reps.unshift(...r.reps.splice(t,1));else if(this.#It(r.isRepG0,i,0),this.#It(r.isRep0Long,i<<4|s,1===e?0:1),1===e)return void(r.state=i<7?9:11);this.#$t(r.repLength,e-minMatchLength,s),r.state=i<7?8:11}#Z(t){const e=this.#E;if(t+2>=this.#b)return-1;const s=Math.imul(e[t]|e[t+1]<<8|e[t+2]<<16,2654435761)>>>16,r=this.#I[s];return this.#D[t&this.#Ot-1]=r,this.#I[s]=t,r}#Qt(t,e,s){const r=this.#yt,i=r.state;let n=bitPrice(r.isMatch[i<<4|s],1)+bitPrice(r.isRep[i],0);const o=r.length,a=e-minMatchLength;n+=a<8?bitPrice(o[0],0)+treePrice(o,2+(s<<3)-1,3,a):a<16?bitPrice(o[0],1)+bitPrice(o[1],0)+treePrice(o,130+(s<<3)-1,3,a-8):bitPrice(o[0],1)+bitPrice(o[1],1)+treePrice(o,257,8,a-16);let h=t;if(t>=4){const e=31-Math.clz32(t);h=e<<1|t>>>e-1&1}if(n+=treePrice(r.posSlot,(Math.min(a,3)<<6)-1,6,h),h>=4){const e=(h>>>1)-1,s=(2|1&h)*2**e,i=t-s;n+=h<14?treePrice(r.posSpecial,s-h-1,e,i,!0):e-4+treePrice(r.align,-1,4,15&i,!0)}return n}#_t(t,e){const s=this.#yt,r=this.#E,{lc:i,lp:n}=s.props;let o=0,a=s.state;for(let h=0;h<e;h++){const e=t+h,c=this.#Zt+e;o+=bitPrice(s.isMatch[a<<4|3&c],0);const l=768*(((c&(1<<n)-1)<<i)+((c?r[e-1]:0)>>>8-i)),d=r[e];let f=1,u=a>=7;const p=u?r[e-s.reps[0]-1]:0;for(let t=7;t>=0;t--){const e=d>>>t&1;if(u){const r=p>>>t&1;o+=bitPrice(s.literal[l+(1+r<<8)+f],e),u=r===e}else o+=bitPrice(s.literal[l+f],e);f=f<<1|e}a=a<4?0:a<10?a-3:a-6}return o}#V(t){const e=this.#E,s=Math.min(maxMatchLength,this.#b-t),r=this.#Z(t),i=[];if(r<0||s<3)return i;const n=t-this.#Ot;let o=this.#Rt,a=minMatchLength;for(let h=r;h>=0&&h>=n&&o--;){if(e[h+a]===e[t+a]&&e[h]===e[t]&&e[h+1]===e[t+1]){let r=2;for(;r<s&&e[h+r]===e[t+r];)r++;if(r>a&&(a=r,i.push(r,t-h),r>=this.#Ft||r===s))break}const r=this.#D[h&this.#Ot-1];if(r>=h)break;h=r}return i}#te(t){const e=this.#E,s=this.#yt.reps,r=this.#Zt+t,i=Math.min(maxMatchLength,this.#b-t);let n=0,o=0;for(let a=0;a<4;a++){const h=s[a]+1;if(h>Math.min(r,this.#Ot))continue;let c=0;for(;c<i&&e[t+c]===e[t+c-h];)c++;c>n&&(n=c,o=a)}return[n,o]}#jt(t){const e=this.#E,s=this.#yt.reps,r=t?this.#b:this.#b-maxMatchLength;let i=this.#e,n=null;for(;i<r;){const t=this.#Zt+i,o=3&t,a=n??this.#V(i);n=null;let[h,c]=this.#ee(a,o);h&&h<8&&this.#Qt(c-1,h,o)>=this.#_t(i,h)&&(h=0);const[l,d]=this.#te(i);let f=1;if(l>=minMatchLength&&(l>=this.#Ft||l+1>=h||l+2>=h&&c>512||l+3>=h&&c>32768)?(this.#Jt(d,l,o),f=l):h&&(h>=this.#Ft||i+1>=r||!this.#se(i,h,c,n=this.#V(i+1)))?(this.#Gt(c-1,h,o),f=h):t>s[0]&&e[i]===e[i-s[0]-1]?this.#Jt(0,1,o):this.#Yt(i,o),f>1){for(let t=n?2:1;t<f;t++)this.#Z(i+t);n=null}i+=f}this.#e=i}#ee(t,e){let s=0,r=0,i=1/0;for(let n=t.length-2;n>=0;n-=2){const o=(this.#Qt(t[n+1]-1,t[n],e)-matchPriceDiscount)/t[n];o<i&&(i=o,s=t[n],r=t[n+1])}return[s,r]}#se(t,e,s,r){if(r.length){const[i,n]=this.#ee(r,this.#Zt+t+1&3);if(i>=e&&n<s||i===e+1&&!isMuchCloser(s,n)||i>e+1||i+1>=e&&e>=3&&isMuchCloser(n,s))return!0}const[i]=this.#te(t+1);return i>=Math.max(e-1,minMatchLength)}},LzmaCompressionStream=class extends TransformStream{constructor(t){const e=new LzmaEncoder(t);super({start(t){const s=new U4(9);s.set([9,20,5,0]),s.set(e.properties,4),t.enqueue(s)},transform(t,s){const r=e.push(t);r.length&&s.enqueue(r)},flush(t){t.enqueue(e.push(new U4,!0))}})}},U5=Uint8Array,headerMagic=U5.of(253,55,122,88,90,0),checkSizes=U5.of(0,4,4,4,8,8,8,16,16,16,32,32,32,64,64,64),crc32Table=Uint32Array.from({length:256},(t,e)=>{let s=e;for(let t=0;t<8;t++)s=1&s?3988292384^s>>>1:s>>>1;return s}),crc32=t=>{let e=4294967295;for(const s of t)e=crc32Table[255&(e^s)]^e>>>8;return~e>>>0},crc64Low=new Uint32Array(256),crc64High=new Uint32Array(256);for(let t=0;t<256;t++){let e=t,s=0;for(let t=0;t<8;t++){const t=1&e;e=(e>>>1|s<<31)^(t?3615952706:0),s=s>>>1^(t?3379320725:0)}crc64Low[t]=e,crc64High[t]=s}var sha256K=Uint32Array.of(1116352408,1899447441,3049323471,3921009573,961987163,1508970993,2453635748,2870763221,3624381080,310598401,607225278,1426881987,1925078388,2162078206,2614888103,3248222580,3835390401,4022224774,264347078,604807628,770255983,1249150122,1555081692,1996064986,2554220882,2821834349,2952996808,3210313671,3336571891,3584528711,113926993,338241895,666307205,773529912,1294757372,1396182291,1695183700,1986661051,2177026350,2456956037,2730485921,2820302411,3259730800,3345764771,3516065817,3600352804,4094571909,275423344,430227734,506948616,659060556,883997877,958139571,1322822218,1537002063,1747873779,1955562222,2024104815,2227730452,2361852424,2428436474,2756734187,3204031479,3329325298),createCrc32Check=()=>{let t=4294967295;return{update:e=>{for(const s of e)t=crc32Table[255&(t^s)]^t>>>8},digest:()=>{const e=~t>>>0;return U5.of(e,e>>>8,e>>>16,e>>>24)}}},createCrc64Check=()=>{let t=4294967295,e=4294967295;return{update:s=>{for(const r of s){const s=255&(t^r);t=(t>>>8|e<<24)^crc64Low[s],e=e>>>8^crc64High[s]}},digest:()=>{const s=~t,r=~e;return U5.of(s,s>>>8,s>>>16,s>>>24,r,r>>>8,r>>>16,r>>>24)}}},createSha256Check=()=>{const t=Uint32Array.of(1779033703,3144134277,1013904242,2773480762,1359893119,2600822924,528734635,1541459225),e=new Uint32Array(64),s=new U5(64);let r=0,i=0;const n=()=>{for(let t=0;t<16;t++)e[t]=s[4*t]<<24|s[4*t+1]<<16|s[4*t+2]<<8|s[4*t+3];for(let t=16;t<64;t++){const s=e[t-15],r=e[t-2],i=(s>>>7|s<<25)^(s>>>18|s<<14)^s>>>3,n=(r>>>17|r<<15)^(r>>>19|r<<13)^r>>>10;e[t]=e[t-16]+i+e[t-7]+n}let[r,i,n,o,a,h,c,l]=t;for(let t=0;t<64;t++){const s=l+((a>>>6|a<<26)^(a>>>11|a<<21)^(a>>>25|a<<7))+(a&h^~a&c)+sha256K[t]+e[t]|0,d=((r>>>2|r<<30)^(r>>>13|r<<19)^(r>>>22|r<<10))+(r&i^r&n^i&n)|0;l=c,c=h,h=a,a=o+s|0,o=n,n=i,i=r,r=s+d|0}t[0]+=r,t[1]+=i,t[2]+=n,t[3]+=o,t[4]+=a,t[5]+=h,t[6]+=c,t[7]+=l},o=t=>{i+=t.length;for(let e=0;e<t.length;){const i=Math.min(64-r,t.length-e);s.set(t.subarray(e,e+i),r),r+=i,e+=i,64===r&&(n(),r=0)}};return{update:o,digest:()=>{const e=8*i,s=new U5((r<56?56:120)-r+8);s[0]=128;const n=new DataView(s.buffer);n.setUint32(s.length-8,e/4294967296),n.setUint32(s.length-4,e>>>0),o(s);const a=new U5(32),h=new DataView(a.buffer);return t.forEach((t,e)=>h.setUint32(4*e,t)),a}}},createCheck=t=>{switch(t){case 1:return createCrc32Check();case 4:return createCrc64Check();case 10:return createSha256Check();default:return null}},readVli=(t,e,s)=>{let r=0;for(let i=0;i<9;i++){if(e+i>=s)return[0,-1];const n=t[e+i];if(r+=(127&n)*2**(7*i),!(128&n)){if(!n&&i)throw new Error("Invalid data: Invalid variable-length integer.");return[r,e+i+1]}}throw new Error("Invalid data: Invalid variable-length integer.")},XzDecoder=class{#t=new U5;#Ut=0;#re=0;#ie=0;#ne=new U5(2);#oe=null;#ae=[];#he=0;get finished(){return this.#ie>0&&6===this.#re&&this.#Ut>=this.#t.length}push(t,e=!1){const s=this.#t.subarray(this.#Ut);let r=new U5(s.length+t.length);r.set(s),r.set(t,s.length),this.#t=r,this.#Ut=0;const i=[];for(;;){const t=this.#Ut,e=r.length-t,s=new DataView(r.buffer,r.byteOffset,r.length);if(0===this.#re){if(e<12)break;if(headerMagic.some((e,s)=>r[t+s]!==e))throw new Error("Invalid data: XZ stream header is not found.");const i=r.subarray(t+6,t+8);if(crc32(i)!==s.getUint32(t+8,!0))throw new Error("Invalid data: Stream header CRC does not match.");if(i[0]||240&i[1])throw new Error("Invalid data: Unsupported stream flags.");this.#ne=i.slice(),this.#ae=[],this.#Ut+=12,this.#re=1}else if(1===this.#re){if(e<1)break;if(!r[t]){this.#re=4;continue}const s=4*(r[t]+1);if(e<s)break;this.#oe=this.#ce(r.subarray(t,t+s)),this.#Ut+=s,this.#re=2}else if(2===this.#re){const s=this.#oe,n=s.decoder.push(r.subarray(t));if(s.check?.update(n),s.produced+=n.length,i.push(n),!s.decoder.finished){s.consumed+=e,this.#t=new U5,this.#Ut=0;break}const o=s.decoder.remaining;if(s.consumed+=e-o.length,r=this.#t=o.slice(),this.#Ut=0,s.compressedSize>=0&&s.consumed!==s.compressedSize||s.uncompressedSize>=0&&s.produced!==s.uncompressedSize)throw new Error("Invalid data: Block size does not match.");this.#re=3}else if(3===this.#re){const s=this.#oe,i=3&-s.consumed,n=checkSizes[this.#ne[1]];if(e<i+n)break;if(r.subarray(t,t+i).some(t=>t))throw new Error("Invalid data: Block padding is not zero.");const o=r.subarray(t+i,t+i+n);if(s.check?.digest().some((t,e)=>t!==o[e]))throw new Error("Invalid data: Block check does not match.");this.#ae.push([s.headerSize+s.consumed+n,s.produced]),this.#oe=null,this.#Ut+=i+n,this.#re=1}else if(4===this.#re){const e=this.#le(r,t);if(e<0)break;this.#he=e,this.#Ut+=e,this.#re=5}else if(5===this.#re){if(e<12)break;if(crc32(r.subarray(t+4,t+10))!==s.getUint32(t,!0))throw new Error("Invalid data: Stream footer CRC does not match.");if(4*(s.getUint32(t+4,!0)+1)!==this.#he)throw new Error("Invalid data: Backward size does not match.");if(r[t+8]!==this.#ne[0]||r[t+9]!==this.#ne[1]||89!==r[t+10]||90!==r[t+11])throw new Error("Invalid data: Invalid stream footer.");this.#Ut+=12,this.#ie++,this.#re=6}else{if(e<4)break;if(r[t])this.#re=0;else{if(s.getUint32(t))throw new Error("Invalid data: Stream padding is not zero.");this.#Ut+=4}}}if(e&&!this.finished)throw new Error("Invalid data: Unexpected end of compressed data.");const n=new U5(i.reduce((t,e)=>t+e.length,0));let o=0;for(const t of i)n.set(t,o),o+=t.length;return n}#ce(t){const e=()=>new Error("Invalid data: Invalid block header."),s=t.length-4;if(crc32(t.subarray(0,s))!==new DataView(t.buffer,t.byteOffset).getUint32(s,!0))throw new Error("Invalid data: Block header CRC does not match.");const r=t[1];if(60&r)throw e();let i=2,n=-1,o=-1;if(64&r&&([n,i]=readVli(t,i,s),i<0||!n))throw e();if(128&r&&([o,i]=readVli(t,i,s),i<0))throw e();const a=[];let h=0;for(let n=0;n<=(3&r);n++){let r,n;if([r,i]=readVli(t,i,s),i<0)throw e();if([n,i]=readVli(t,i,s),i<0||i+n>s)throw e();if(33===r){const s=63&t[i];if(1!==n||s>40)throw e();h=40===s?4294967295:(2|1&s)*2**((s>>>1)+11)}a.push(r),i+=n}if(1!==a.length||33!==a[0])throw new Error("Unsupported XZ filters: "+a.map(t=>"0x"+t.toString(16).padStart(2,"0")).join(", "));if(t.subarray(i,s).some(t=>t))throw e();return{headerSize:t.length,compressedSize:n,uncompressedSize:o,decoder:new Lzma2Decoder(h),check:createCheck(this.#ne[1]),consumed:0,produced:0}}#le(t,e){const s=()=>new Error("Invalid data: Invalid index."),r=t.length;let[i,n]=readVli(t,e+1,r);if(n<0)return-1;const o=this.#ae;if(i!==o.length)throw s();for(const[e,i]of o){let o;if([o,n]=readVli(t,n,r),n<0)return-1;if(o!==e)throw s();if([o,n]=readVli(t,n,r),n<0)return-1;if(o!==i)throw s()}const a=3&-(n-e);if(n+a+4>r)return-1;if(t.subarray(n,n+a).some(t=>t))throw s();if(n+=a,crc32(t.subarray(e,n))!==new DataView(t.buffer,t.byteOffset).getUint32(n,!0))throw new Error("Invalid data: Index CRC does not match.");return n+4-e}},XzDecompressionStream=class extends TransformStream{constructor(){const t=new XzDecoder;super({transform(e,s){const r=t.push(e);r.length&&s.enqueue(r)},flush(e){const s=t.push(new U5,!0);s.length&&e.enqueue(s)}})}},U6=Uint8Array,llBase=Uint32Array.of(0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,18,20,22,24,28,32,40,48,64,128,256,512,1024,2048,4096,8192,16384,32768,65536),llBits=U6.of(0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,2,2,3,3,4,6,7,8,9,10,11,12,13,14,15,16),mlBase=Uint32Array.of(3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29,30,31,32,33,34,35,37,39,41,43,47,51,59,67,83,99,131,259,515,1027,2051,4099,8195,16387,32771,65539),mlBits=U6.of(0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,2,2,3,3,4,4,5,7,8,9,10,11,12,13,14,15,16),maxBlockSize=131072,highBit=t=>31-Math.clz32(t),buildFseTable=(t,e)=>{const s=1<<e,r=new U6(s),i=new U6(s),n=new Uint16Array(s),o=new Uint16Array(t.length);let a=s-1;for(let e=0;e<t.length;e++)-1===t[e]?(r[a--]=e,o[e]=1):o[e]=t[e];const h=(s>>>1)+(s>>>3)+3;let c=0;for(let e=0;e<t.length;e++)for(let i=0;i<t[e];i++){r[c]=e;do{c=c+h&s-1}while(c>a)}if(c)throw new Error("Invalid data: Invalid FSE table.");for(let t=0;t<s;t++){const a=o[r[t]]++;i[t]=e-highBit(a),n[t]=(a<<i[t])-s}return{log:e,symbols:r,bits:i,base:n}},rleFseTable=t=>({log:0,symbols:U6.of(t),bits:new U6(1),base:new Uint16Array(1)}),llDefault=buildFseTable([4,3,2,2,2,2,2,2,2,2,2,2,2,1,1,1,2,2,2,2,2,2,2,2,2,3,2,1,1,1,1,1,-1,-1,-1,-1],6),mlDefault=buildFseTable([1,4,3,2,2,2,2,2,2,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,-1,-1,-1,-1,-1,-1,-1],6),ofDefault=buildFseTable([1,1,1,1,1,1,2,2,2,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,-1,-1,-1,-1,-1],5),readFseTable=(t,e,s,r,i)=>{let n=8*e;const o=e=>{let s=0;for(let r=0;r<e;r++,n++)s|=(t[n>>>3]>>>(7&n)&1)<<r;return s},a=o(4)+5;if(a>i)throw new Error("Invalid data: Too large accuracy log.");const h=[];let c=1<<a;for(;c>0&&h.length<=r;){const t=highBit(c+1)+1;let e=o(t);const s=(1<<t-1)-1,i=(1<<t)-1-(c+1);(e&s)<i?(n--,e&=s):e>s&&(e-=i);const a=e-1;if(c-=Math.abs(a),h.push(a),!a){let t;do{t=o(2);for(let e=0;e<t&&h.length<=r;e++)h.push(0)}while(3===t)}}const l=(n+7>>>3)-e;if(c||e+l>s)throw new Error("Invalid data: Invalid FSE table.");return[buildFseTable(h,a),l]},BackwardBitReader=class{#g;#Y;pos;constructor(t,e,s){const r=t[s-1];if(s<=e||!r)throw new Error("Invalid data: Invalid bitstream.");this.#g=t,this.#Y=e,this.pos=8*(s-e-1)+highBit(r)}bits(t,e){if(t<0)return t+e>0?this.bits(0,e+t)<<-t:0;const s=this.#g,r=this.#Y+(t>>>3),i=7&t;let n=(s[r]|s[r+1]<<8|s[r+2]<<16|s[r+3]<<24)>>>i;return e>32-i&&(n=(n|s[r+4]<<32-i)>>>0),n&(1<<e)-1}read(t){return t?(this.pos-=t,this.bits(this.pos,t)):0}},readHuffmanTable=(t,e,s)=>{const r=t[e],i=[];let n;if(r<128){if(n=1+r,e+n>s)throw new Error("Invalid data: Invalid Huffman tree.");const[o,a]=readFseTable(t,e+1,e+n,255,6),h=new BackwardBitReader(t,e+1+a,e+n),c=[h.read(o.log),h.read(o.log)];for(let t=0;;t^=1){const e=c[t];if(i.push(o.symbols[e]),c[t]=o.base[e]+h.read(o.bits[e]),h.pos<0){i.push(o.symbols[c[1^t]]);break}if(i.length>255)throw new Error("Invalid data: Invalid Huffman tree.")}}else{const o=r-127;if(n=1+(o+1>>>1),e+n>s)throw new Error("Invalid data: Invalid Huffman tree.");for(let s=0;s<o;s++)i.push(1&s?15&t[e+1+(s>>>1)]:t[e+1+(s>>>1)]>>>4)}let o=0;for(const t of i){if(t>11)throw new Error("Invalid data: Invalid Huffman tree.");t&&(o+=1<<t-1)}if(!o)throw new Error("Invalid data: Invalid Huffman tree.");const a=highBit(o)+1,h=(1<<a)-o;if(a>11||h&h-1)throw new Error("Invalid data: Invalid Huffman tree.");i.push(highBit(h)+1);const c=new U6(1<<a),l=new U6(1<<a),d=new Uint16Array(a+2);for(const t of i)t&&(d[t+1]+=1<<t-1);for(let t=1;t<=a;t++)d[t+1]+=d[t];return i.forEach((t,e)=>{if(!t)return;const s=d[t],r=s+(1<<t-1);c.fill(e,s,r),l.fill(a+1-t,s,r),d[t]=r}),[{maxBits:a,symbols:c,bits:l},n]},decodeHuffmanStream=({maxBits:t,symbols:e,bits:s},r,i,n,o,a,h)=>{const c=new BackwardBitReader(r,i,n);let l=c.pos;for(let r=a;r<h;r++){const i=c.bits(l-t,t);o[r]=e[i],l-=s[i]}if(l)throw new Error("Invalid data: Invalid Huffman stream.")},ZstdDecoder=class{#t=new U6;#Ut=0;#d=new U6(262144);#f=0;#re=0;#de=0;#fe=0;#l=0;#ue=!1;#pe=-1;#we=0;#me=!1;#ge=null;#be=null;#ye=null;#Ue=null;#Se=[1,4,8];get finished(){return this.#fe>0&&0===this.#re&&!this.#de&&this.#Ut>=this.#t.length}#y(t,e){if(this.#f+t<=this.#d.length)return e;const s=Math.max(0,Math.min(e,this.#f-this.#l));if(s>=this.#d.length>>>1&&(this.#d.copyWithin(0,s,this.#f),this.#f-=s,e-=s),this.#f+t>this.#d.length){const e=new U6(Math.max(2*this.#d.length,this.#f+t));e.set(this.#d.subarray(0,this.#f)),this.#d=e}return e}push(t,e=!1){const s=this.#t.subarray(this.#Ut),r=new U6(s.length+t.length);r.set(s),r.set(t,s.length),this.#t=r,this.#Ut=0;const i=new DataView(r.buffer);let n=this.#f;for(;;){const t=this.#Ut,e=r.length-t;if(this.#de){const t=Math.min(this.#de,e);if(this.#de-=t,this.#Ut+=t,this.#de)break}else if(0===this.#re){if(e<4)break;const s=i.getUint32(t,!0);if(407710288==(4294967280&s)){if(e<8)break;this.#de=i.getUint32(t+4,!0),this.#Ut+=8;continue}if(4247762216!==s)throw new Error("Invalid data: Zstandard frame is not found.");if(e<5)break;const n=r[t+4];if(8&n)throw new Error("Invalid data: Reserved bit is set.");const o=32&n,a=[0,1,2,4][3&n],h=[o?1:0,2,4,8][n>>>6],c=5+(o?0:1)+a+h;if(e<c)break;let l=t+5,d=0;if(!o){const t=r[l++],e=2**(10+(t>>>3));d=e+e/8*(7&t)}if(a){let t=0;for(let e=a-1;e>=0;e--)t=256*t+r[l+e];if(t)throw new Error("Zstandard dictionaries are not supported.");l+=a}let f=-1;if(h){f=0;for(let t=h-1;t>=0;t--)f=256*f+r[l+t];2===h&&(f+=256)}if(o&&(d=f),d>2147483648)throw new Error("Invalid data: Too large window size.");this.#l=d,this.#ue=!!(4&n),this.#pe=f,this.#we=0,this.#ge=this.#be=this.#ye=this.#Ue=null,this.#Se=[1,4,8],this.#Ut+=c,this.#re=1}else if(1===this.#re){if(e<3)break;const s=r[t]|r[t+1]<<8|r[t+2]<<16,i=s>>>1&3,o=s>>>3;if(3===i)throw new Error("Invalid data: Reserved block type.");if(o>maxBlockSize)throw new Error("Invalid data: Too large block.");const a=1===i?1:o;if(e<3+a)break;const h=t+3,c=2===i?maxBlockSize:o;n=this.#y(c,n);const l=this.#f;switch(i){case 0:this.#d.set(r.subarray(h,h+o),this.#f),this.#f+=o;break;case 1:this.#d.fill(r[h],this.#f,this.#f+o),this.#f+=o;break;case 2:this.#h(r,h,h+o)}if(this.#we+=this.#f-l,this.#Ut=h+a,1&s){if(this.#pe>=0&&this.#we!==this.#pe)throw new Error("Invalid data: Frame size does not match.");this.#re=this.#ue?2:0,this.#ue||this.#fe++}}else{if(e<4)break;this.#Ut+=4,this.#re=0,this.#fe++}}if(e&&!this.finished)throw new Error("Invalid data: Unexpected end of compressed data.");return this.#d.slice(n,this.#f)}#h(t,e,s){const r=()=>new Error("Invalid data: Invalid compressed block.");let i=e;const n=t[i],o=3&n,a=n>>>2&3;let h;if(o<2){let e;if(1&a?1===a?(e=(n>>>4)+(t[i+1]<<4),i+=2):(e=(n>>>4)+(t[i+1]<<4)+(t[i+2]<<12),i+=3):(e=n>>>3,i+=1),0===o){if(i+e>s)throw r();h=t.subarray(i,i+=e)}else{if(i>=s)throw r();h=new U6(e).fill(t[i++])}}else{const e=a<2?3:a+2,n=a<2?10:2===a?14:18;let c=0;for(let s=e-1;s>=0;s--)c=256*c+t[i+s];const l=Math.floor(c/16)%2**n,d=Math.floor(c/2**(4+n))%2**n;i+=e;const f=i+d;if(f>s||l>maxBlockSize)throw r();if(2===o){const[e,s]=readHuffmanTable(t,i,f);this.#ge=e,i+=s}const u=this.#ge;if(!u)throw r();if(h=new U6(l),a){if(i+6>f)throw r();const e=l+3>>>2;let s=i+6;for(let n=0;n<4;n++){const o=n<3?s+(t[i+2*n]|t[i+2*n+1]<<8):f;if(o>f)throw r();decodeHuffmanStream(u,t,s,o,h,Math.min(e*n,l),Math.min(e*(n+1),l)),s=o}}else decodeHuffmanStream(u,t,i,f,h,0,l);i=f}if(i>=s)throw r();let c=t[i++];c>=128&&(255===c?(c=t[i]+(t[i+1]<<8)+32512,i+=2):c=(c-128<<8)+t[i++]);const l=this.#d;let d=this.#f;const f=d+maxBlockSize;let u=0;if(c){const e=t[i++],n=(e,n,o,a,h)=>{switch(e){case 0:return n;case 1:if(t[i]>a)throw r();return rleFseTable(t[i++]);case 2:const[e,c]=readFseTable(t,i,s,a,h);return i+=c,e;default:if(!o)throw r();return o}},o=this.#be=n(e>>>6,llDefault,this.#be,35,9),a=this.#ye=n(e>>>4&3,ofDefault,this.#ye,31,8),p=this.#Ue=n(e>>>2&3,mlDefault,this.#Ue,52,9),w=new BackwardBitReader(t,i,s);let m=w.read(o.log),g=w.read(a.log),b=w.read(p.log);const y=this.#Se,U=this.#l;for(let t=0;t<c;t++){const e=a.symbols[g],s=o.symbols[m],i=p.symbols[b],n=2**e+w.read(e),S=mlBase[i]+w.read(mlBits[i]),v=llBase[s]+w.read(llBits[s]);let x;if(n>3)x=n-3,y.unshift(x),y.pop();else{const t=n-(v?1:0);t?3===t?(x=y[0]-1,y.unshift(x),y.pop()):(x=y[t],y.unshift(...y.splice(t,1))):x=y[0]}if(t<c-1&&(m=o.base[m]+w.read(o.bits[m]),b=p.base[b]+w.read(p.bits[b]),g=a.base[g]+w.read(a.bits[g])),w.pos<0)throw r();if(u+v>h.length||d+v+S>f)throw r();l.set(h.subarray(u,u+=v),d),d+=v;const z=this.#we+d-this.#f;if(!x||x>z||U&&x>U)throw new Error("Invalid data: Distance is too far back.");for(let t=0,e=d;t<S;t++,e++)l[e]=l[e-x];d+=S}if(w.pos)throw r()}else if(i!==s)throw r();const p=h.length-u;if(d+p>f)throw r();l.set(h.subarray(u),d),this.#f=d+p}},ZstdDecompressionStream=class extends TransformStream{constructor(){const t=new ZstdDecoder;super({transform(e,s){const r=t.push(e);r.length&&s.enqueue(r)},flush(e){const s=t.push(new U6,!0);s.length&&e.enqueue(s)}})}},U7=Uint8Array,V=DataView,crc32table=Uint32Array.from({length:256},(t,e)=>{let s=e,r=8;for(;r--;)s=1&s?3988292384^s>>>1:s>>>1;return s}),calcCrc32=(t,e=4294967295)=>{let s=e;for(const e of t)s=crc32table[255&(s^e)]^s>>>8;return 4294967295^s},fmtCrc32=t=>{const e=Uint8Array.from([24,16,8,0],e=>t>>>e&255);return Array.from(e,t=>t.toString(16).padStart(2,"0")).join("").toUpperCase()},getUint64=(t,e)=>Number(t.getBigUint64(e,!0)),parseExtraField=t=>{const e=new Map,s=new V(t.buffer,t.byteOffset,t.length);for(let r=0;r+4<=t.length;){const i=s.getUint16(r,!0),n=s.getUint16(r+2,!0);e.set(i,t.subarray(r+4,r+4+n)),r+=4+n}return e},setExtraField=(t,e,s)=>{const r=parseExtraField(t);s?r.set(e,s):r.delete(e);let i=0;for(const t of r.values())i+=4+t.length;const n=new U7(i),o=new V(n.buffer);let a=0;for(const[t,e]of r)o.setUint16(a,t,!0),o.setUint16(a+2,e.length,!0),n.set(e,a+4),a+=4+e.length;return n},packUint64=t=>{const e=new V(new ArrayBuffer(8*t.length));return t.forEach((t,s)=>e.setBigUint64(8*s,BigInt(t),!0)),new U7(e.buffer)},findEocdOffset=t=>{const e=Math.max(t.length-65535-22,0),s=t.subarray(e).findLastIndex((t,e,s)=>[80,75,5,6].every((t,r)=>t===s[e+r]));return s<0?s:e+s},readCentralDirectory=(t,e)=>{let s=0;return Array.from({length:e},()=>{const e=CentralDirectoryEntry.from(new V(t.buffer,t.byteOffset+s,t.byteLength-s));return s+=e.length,e})},PasswordError=class extends Error{name="PasswordError"},IntegrityError=class extends Error{name="IntegrityError"},ZipCrypto=class{keys=Uint32Array.of(305419896,591751049,878082192);constructor(t){for(const e of(new TextEncoder).encode(t))this.update(e)}update(t){const e=this.keys;e[0]=crc32table[255&(e[0]^t)]^e[0]>>>8,e[1]=Math.imul(e[1]+(255&e[0]),134775813)+1,e[2]=crc32table[255&(e[2]^e[1]>>>24)]^e[2]>>>8}get#ve(){const t=2|this.keys[2];return Math.imul(t,1^t)>>>8&255}encrypt(t){return U7.from(t,t=>{const e=t^this.#ve;return this.update(t),e})}decrypt(t){return U7.from(t,t=>{const e=t^this.#ve;return this.update(e),e})}},createZipCryptoDecryptionStream=(t,e)=>{const s=new ZipCrypto(t),r=new U7(12);let i=0;return new TransformStream({transform(t,n){let o=t;if(i<12){const t=Math.min(12-i,o.length);if(r.set(o.subarray(0,t),i),i+=t,o=o.subarray(t),i<12)return;if(s.decrypt(r)[11]!==e)throw new PasswordError("Wrong password.")}o.length&&n.enqueue(s.decrypt(o))},flush(){if(i<12)throw new Error("Invalid format: Encryption header is truncated.")}})},encryptZipCrypto=(t,e,s)=>{const r=new ZipCrypto(e),i=crypto.getRandomValues(new U7(12));i[11]=s;const n=new U7(12+t.length);return n.set(r.encrypt(i)),n.set(r.encrypt(t),12),n},createZipCryptoEncryptionStream=(t,e)=>{const s=new ZipCrypto(t);return new TransformStream({start(t){const r=crypto.getRandomValues(new U7(12));r[11]=e,t.enqueue(s.encrypt(r))},transform(t,e){e.enqueue(s.encrypt(t))}})},aesSbox=new U7(256),aesTables=Array.from({length:4},()=>new Uint32Array(256));{const t=new U7(255),e=new U7(256);for(let s=0,r=1;s<255;s++)t[s]=r,e[r]=s,r^=r<<1^(128&r?283:0);for(let s=0;s<256;s++){const r=s?t[(255-e[s])%255]:0;let i=99^r;for(let t=1;t<5;t++)i^=255&(r<<t|r>>>8-t);aesSbox[s]=i;const n=i<<1^(128&i?283:0),o=n<<24|i<<16|i<<8|n^i;aesTables.forEach((t,e)=>t[s]=o>>>8*e|o<<32-8*e)}}var AesCtr=class{#xe;#ze;#Ee=new U7(16);#Be=new U7(16);#Ie=16;constructor(t){const e=t.length>>2;this.#ze=e+6;const s=this.#xe=new Uint32Array(4*(this.#ze+1)),r=t=>aesSbox[t>>>24]<<24|aesSbox[t>>>16&255]<<16|aesSbox[t>>>8&255]<<8|aesSbox[255&t],i=new V(t.buffer,t.byteOffset,t.length);for(let t=0;t<e;t++)s[t]=i.getUint32(4*t);for(let t=e,i=1;t<s.length;t++){let n=s[t-1];t%e===0?(n=r(n<<8|n>>>24)^i<<24,i=i<<1^(128&i?283:0)):e>6&&t%e===4&&(n=r(n)),s[t]=s[t-e]^n}}encryptBlock(t,e){const s=this.#xe,[r,i,n,o]=aesTables,a=aesSbox;let h=(t[0]<<24|t[1]<<16|t[2]<<8|t[3])^s[0],c=(t[4]<<24|t[5]<<16|t[6]<<8|t[7])^s[1],l=(t[8]<<24|t[9]<<16|t[10]<<8|t[11])^s[2],d=(t[12]<<24|t[13]<<16|t[14]<<8|t[15])^s[3],f=4;for(let t=1;t<this.#ze;t++){const t=r[h>>>24]^i[c>>>16&255]^n[l>>>8&255]^o[255&d]^s[f++],e=r[c>>>24]^i[l>>>16&255]^n[d>>>8&255]^o[255&h]^s[f++],a=r[l>>>24]^i[d>>>16&255]^n[h>>>8&255]^o[255&c]^s[f++],u=r[d>>>24]^i[h>>>16&255]^n[c>>>8&255]^o[255&l]^s[f++];h=t,c=e,l=a,d=u}[[h,c,l,d],[c,l,d,h],[l,d,h,c],[d,h,c,l]].forEach(([t,r,i,n],o)=>{const h=(a[t>>>24]<<24|a[r>>>16&255]<<16|a[i>>>8&255]<<8|a[255&n])^s[f+o];e.set([h>>>24,h>>>16&255,h>>>8&255,255&h],4*o)})}process(t){const e=new U7(t.length),s=this.#Ee,r=this.#Be;for(let i=0;i<t.length;i++){if(16===this.#Ie){for(let t=0;t<16&&!(255&++s[t]);t++);this.encryptBlock(s,r),this.#Ie=0}e[i]=t[i]^r[this.#Ie++]}return e}},Sha1=class{#De=Uint32Array.of(1732584193,4023233417,2562383102,271733878,3285377520);#oe=new U7(64);#ke=new Uint32Array(80);#b=0;update(t){let e=this.#b%64;this.#b+=t.length;for(let s=0;s<t.length;){const r=Math.min(64-e,t.length-s);this.#oe.set(t.subarray(s,s+r),e),e+=r,s+=r,64===e&&(this.#Pe(),e=0)}return this}digest(){const t=8*this.#b,e=64-(this.#b+8)%64,s=new V(new ArrayBuffer(e+8));s.setUint8(0,128),s.setUint32(e,t/4294967296),s.setUint32(e+4,t>>>0),this.update(new U7(s.buffer));const r=new V(new ArrayBuffer(20));return this.#De.forEach((t,e)=>r.setUint32(4*e,t)),new U7(r.buffer)}#Pe(){const t=this.#ke,e=this.#oe;for(let s=0;s<16;s++)t[s]=e[4*s]<<24|e[4*s+1]<<16|e[4*s+2]<<8|e[4*s+3];for(let e=16;e<80;e++){const s=t[e-3]^t[e-8]^t[e-14]^t[e-16];t[e]=s<<1|s>>>31}let[s,r,i,n,o]=this.#De;for(let e=0;e<80;e++){const a=(s<<5|s>>>27)+(e<20?1518500249+(r&i|~r&n):e<40?1859775393+(r^i^n):e<60?2400959708+(r&i|r&n|i&n):3395469782+(r^i^n))+o+t[e]|0;o=n,n=i,i=r<<30|r>>>2,r=s,s=a}const a=this.#De;a[0]+=s,a[1]+=r,a[2]+=i,a[3]+=n,a[4]+=o}},HmacSha1=class{#Ce;#Me;constructor(t){const e=new U7(64);e.set(t.length>64?(new Sha1).update(t).digest():t),this.#Ce=(new Sha1).update(e.map(t=>54^t)),this.#Me=e.map(t=>92^t)}update(t){return this.#Ce.update(t),this}digest(){return(new Sha1).update(this.#Me).update(this.#Ce.digest()).digest()}},deriveWinZipAesKeys=async(t,e,s)=>{const r=8*(s+1),i=await crypto.subtle.importKey("raw",(new TextEncoder).encode(t),"PBKDF2",!1,["deriveBits"]),n={name:"PBKDF2",hash:"SHA-1",salt:e,iterations:1e3},o=new U7(await crypto.subtle.deriveBits(n,i,8*(2*r+2)));return{cipher:new AesCtr(o.subarray(0,r)),hmac:new HmacSha1(o.subarray(r,2*r)),verifier:o.subarray(2*r)}},encryptWinZipAes=async(t,e,s)=>{const r=crypto.getRandomValues(new U7(4*(s+1))),{cipher:i,hmac:n,verifier:o}=await deriveWinZipAesKeys(e,r,s),a=i.process(t),h=n.update(a).digest().subarray(0,10),c=new U7(r.length+2+a.length+10);return c.set(r),c.set(o,r.length),c.set(a,r.length+2),c.set(h,c.length-10),c},createWinZipAesEncryptionStream=(t,e)=>{let s;return new TransformStream({async start(r){const i=crypto.getRandomValues(new U7(4*(e+1))),{verifier:n,...o}=await deriveWinZipAesKeys(t,i,e);s=o,r.enqueue(i),r.enqueue(n.slice())},transform(t,e){const r=s.cipher.process(t);s.hmac.update(r),e.enqueue(r)},flush(t){t.enqueue(s.hmac.digest().slice(0,10))}})},createWinZipAesDecryptionStream=(t,e)=>{const s=new U7(4*(e+1)+2);let r,i=0,n=new U7;return new TransformStream({async transform(o,a){let h=o;if(i<s.length){const n=Math.min(s.length-i,h.length);if(s.set(h.subarray(0,n),i),i+=n,h=h.subarray(n),i<s.length)return;const o=s.subarray(0,-2),{verifier:a,...c}=await deriveWinZipAesKeys(t,o,e);if(a[0]!==s.at(-2)||a[1]!==s.at(-1))throw new PasswordError("Wrong password.");r=c}const c=new U7(n.length+h.length);c.set(n),c.set(h,n.length);const l=Math.max(c.length-10,0);if(n=c.subarray(l),l){const t=c.subarray(0,l);r.hmac.update(t),a.enqueue(r.cipher.process(t))}},flush(){if(n.length<10)throw new Error("Invalid format: Encrypted data is truncated.");const t=r.hmac.digest();if(n.some((e,s)=>e!==t[s]))throw new IntegrityError("Authentication code does not match.")}})},createVerificationStream=(t,e=!1)=>{let s=0,r=0;return new TransformStream({transform(t,e){s=calcCrc32(t,4294967295^s),r+=t.length,e.enqueue(t)},flush(){const{crc32:i,uncompressedSize:n}=t;if(r!==n)throw new IntegrityError(`Size does not match: ${r} bytes (expected ${n} bytes)`);if(!e&&s>>>0!=i>>>0)throw new IntegrityError(`CRC-32 does not match: ${fmtCrc32(s)} (expected ${fmtCrc32(i)})`)}})},createMeasurementStream=(t,e=!0)=>{let s=0,r=0;return new TransformStream({transform(t,i){e&&(s=calcCrc32(t,4294967295^s)),r+=t.length,i.enqueue(t)},flush(){t(s>>>0,r)}})},createProgressStream=({onProgress:t,signal:e},s)=>{let r,i=0;return new TransformStream({start(t){e?.throwIfAborted(),r=()=>t.error(e?.reason),e?.addEventListener("abort",r,{once:!0})},transform(e,r){i+=e.length,r.enqueue(e),t?.(s(i))},flush(){e?.removeEventListener("abort",r)}})},compressionMethods=new Map,registerMethod=(t,e)=>{if(!Number.isInteger(t)||t<0||t>65535)throw new RangeError("Invalid compression method ID: "+t);compressionMethods.set(t,e)},validateLevel=(t,e)=>{if(void 0!==t&&"best"!==t&&!(Number.isInteger(t)&&t>=e&&t<=9))throw new RangeError("Invalid compression level: "+t)},supportsDeflateRaw=t=>{try{return new t("deflate-raw"),!0}catch{return!1}},nativeCompression="function"==typeof CompressionStream&&supportsDeflateRaw(CompressionStream),nativeDecompression="function"==typeof DecompressionStream&&supportsDeflateRaw(DecompressionStream),getDecodingSize=t=>t.hasDataDescriptor?()=>t.uncompressedSize:t.uncompressedSize;registerMethod(0,{decompress:()=>new TransformStream,compress:()=>new TransformStream,versionNeeded:10}),registerMethod(1,{decompress:t=>new ShrinkDecompressionStream({size:getDecodingSize(t)})});for(const t of[1,2,3,4])registerMethod(1+t,{decompress:e=>new ReduceDecompressionStream({factor:t,size:getDecodingSize(e)})});registerMethod(6,{decompress:t=>new ImplodeDecompressionStream({largeDictionary:!!(2&t.flags),literalTree:!!(4&t.flags),size:getDecodingSize(t)})}),registerMethod(8,{decompress:()=>nativeDecompression?new DecompressionStream("deflate-raw"):new InflateStream,compress:({level:t})=>void 0===t&&nativeCompression?new CompressionStream("deflate-raw"):new DeflateStream({level:t}),flags:({level:t})=>(validateLevel(t,0),"best"===t||t&&t>=8?2:1===t?6:2===t||3===t?4:0)}),registerMethod(9,{decompress:()=>new InflateStream({deflate64:!0})}),registerMethod(12,{decompress:()=>new Bzip2DecompressionStream}),registerMethod(14,{decompress:t=>new LzmaDecompressionStream({size:2&t.flags?void 0:getDecodingSize(t)}),compress:({level:t})=>new LzmaCompressionStream({level:t}),versionNeeded:63,flags:({level:t})=>(validateLevel(t,1),2)}),registerMethod(93,{decompress:()=>new ZstdDecompressionStream}),registerMethod(95,{decompress:()=>new XzDecompressionStream});var createErrorResponse=t=>new Response(new ReadableStream({start:e=>e.error(t)})),getDecodingTransforms=(t,e)=>{const s=[],r=e?.password;let i=t.method,n=!1;switch(t.encryption){case!1:break;case"traditional":if(!r)return createErrorResponse(new PasswordError("Password is required."));const e=t.hasDataDescriptor?t.lastModified.toInt()>>>8&255:t.crc32>>>24;s.push(()=>createZipCryptoDecryptionStream(r,e));break;case"wzAES":const o=t.extraFields.get(39169);if(!o||o.length<7)return new Response(null,{status:418,statusText:"AES extra field is not found."});if(!r)return createErrorResponse(new PasswordError("Password is required."));i=o[5]|o[6]<<8,n=2===o[0],s.push(()=>createWinZipAesDecryptionStream(r,o[4]));break;default:const a="Unsupported encryption method: "+t.encryption;return new Response(null,{status:418,statusText:a})}const o=compressionMethods.get(i)?.decompress;if(!o){return new Response(null,{status:418,statusText:"Unsupported compression method: "+i})}if(s.push(()=>o(t)),(e?.verify??!0)&&s.push(()=>createVerificationStream(t,n)),e?.onProgress||e?.signal){const r=t.uncompressedSize;s.push(()=>createProgressStream(e,e=>({entry:t,bytesProcessed:e,totalBytes:r})))}return s},iteratorStream=t=>new ReadableStream({async pull(e){const{done:s,value:r}=await t.next();s?e.close():e.enqueue(r)}},{highWaterMark:0}),lazyStream=t=>{let e;return new ReadableStream({async pull(s){e??=(await t()).getReader();const{done:r,value:i}=await e.read();r?s.close():s.enqueue(i)},cancel:t=>e?.cancel(t)},{highWaterMark:0})},completeHeader=(t,e,s)=>{const r=DataDescriptor.from(s,t.extraFields.has(1),e.crc32),i=r&&r.compressedSize===e.compressedSize,{crc32:n,compressedSize:o,uncompressedSize:a}=i?r:e;t.crc32=n,t.compressedSize=o,t.uncompressedSize=a},readContent=async(t,e)=>{const s=e.headerOffset;let r=await t.slice(s,s+30+e.fileNameBytes.length+e.extraFieldBytes.length).arrayBuffer();const i=new V(r);if(r.byteLength<30||67324752!==i.getUint32(0,!0))throw new Error("Invalid format: Local file header is not found at "+s);const n=30+i.getUint16(26,!0)+i.getUint16(28,!0);r.byteLength<n&&(r=await t.slice(s,s+n).arrayBuffer());const o=LocalFileHeader.from(new V(r)),a=s+n+e.compressedSize,h=t.slice(s+n,a);return o.hasDataDescriptor&&completeHeader(o,e,new V(await t.slice(a,a+24).arrayBuffer())),{header:o,body:h}},Extractor=class t{eocd;eocd64=null;cd=[];contents=[];#Le=null;constructor(t){if(!t)return;const e=new U7(t),s=findEocdOffset(e);if(s<0)throw new Error("Invalid format: End of central directory record is not found.");this.eocd=EndOfCentralDirectoryRecord.from(new V(t,s));let r=s;const i=s-20;if(i>=0&&117853008===new V(t,i,4).getUint32(0,!0)){const e=Zip64EndOfCentralDirectoryLocator.from(new V(t,i));if(this.eocd64=Zip64EndOfCentralDirectoryRecord.from(new V(t,e.eocdOffset)),101075792!==this.eocd64.signature)throw new Error("Invalid format: Zip64 end of central directory record is not found.");r=e.eocdOffset}const{numOfFiles:n,cdOffset:o}=this.eocd64??this.eocd;this.cd=readCentralDirectory(new V(t,o,r-o),n);for(const e of this.cd){const s=LocalFileHeader.from(new V(t,e.headerOffset)),r=e.headerOffset+s.length,i=new U7(t,r,e.compressedSize);if(s.hasDataDescriptor){const i=r+e.compressedSize,n=new V(t,i,Math.min(t.byteLength-i,24));completeHeader(s,e,n)}this.contents.push({header:s,body:i})}}static async fromBlob(e){const s=new t;s.#Le=e;const r=Math.max(e.size-65535-22-20,0),i=await e.slice(r).arrayBuffer(),n=findEocdOffset(new U7(i));if(n<0)throw new Error("Invalid format: End of central directory record is not found.");s.eocd=EndOfCentralDirectoryRecord.from(new V(i,n));const o=n-20;if(o>=0&&117853008===new V(i,o,4).getUint32(0,!0)){const t=Zip64EndOfCentralDirectoryLocator.from(new V(i,o)),r=await e.slice(t.eocdOffset,t.eocdOffset+56).arrayBuffer();if(s.eocd64=Zip64EndOfCentralDirectoryRecord.from(new V(r)),101075792!==s.eocd64.signature)throw new Error("Invalid format: Zip64 end of central directory record is not found.")}const{numOfFiles:a,cdOffset:h,cdSize:c}=s.eocd64??s.eocd,l=await e.slice(h,h+c).arrayBuffer();return s.cd=readCentralDirectory(new V(l),a),s}async loadContent(t){if(!this.cd[t])throw new Error("No content at the index: "+t);const e=this.contents[t];return e||!this.#Le?e:this.contents[t]=await readContent(this.#Le,this.cd[t])}pick(t,e){const s=t<0?t+this.cd.length:t,r=this.cd[s];if(!r){throw new Error("No content at the index: "+t)}const i=getDecodingTransforms(r,e);return i instanceof Response?i:new Response(lazyStream(async()=>{const t=await this.loadContent(s),e=new Blob([t.body]).stream();return i.reduce((t,e)=>t.pipeThrough(e()),e)}))}getNames(t){const e=new TextDecoder(t);return this.cd.map(t=>e.decode(t.fileNameBytes))}*[Symbol.iterator](){for(let t=0;t<this.cd.length;t++)yield{entry:this.cd[t],header:this.contents[t]?.header,body:this.pick(t),decrypt:e=>this.pick(t,{password:e})}}},ByteReader=class{#Q;#Ae=[];constructor(t){this.#Q=t.getReader()}async next(){const t=this.#Ae.shift();if(t)return t;const{done:e,value:s}=await this.#Q.read();return e?null:s}async read(t){const e=new U7(t);let s=0;for(;s<t;){const r=await this.next();if(!r)break;const i=Math.min(t-s,r.length);e.set(r.subarray(0,i),s),this.unshift(r.subarray(i)),s+=i}return e.subarray(0,s)}unshift(t){t.length&&this.#Ae.unshift(t)}cancel(t){return this.#Ae=[],this.#Q.cancel(t)}},StreamExtractor=class t{#Q;#Te=null;constructor(t,e){if(e?.onProgress||e?.signal){const s=e.totalBytes??null;t=t.pipeThrough(createProgressStream(e,t=>({entry:this.#Te,bytesProcessed:t,totalBytes:s})))}this.#Q=new ByteReader(t)}static#Oe(t){return t.hasDataDescriptor&&(8===t.method||9===t.method)&&!t.encryption}async*#Re(t){const e=this.#Q;if(!t.hasDataDescriptor){for(let s=t.compressedSize;s>0;){const t=await e.next();if(!t)throw new Error("Invalid format: Unexpected end of stream.");e.unshift(t.subarray(s));const r=t.subarray(0,s);s-=r.length,yield r}return}const s=t.extraFields.has(1),r=s?24:16;let i=new U7,n=0;for(;;){const o=await e.next();if(!o)throw new Error("Invalid format: Data descriptor is not found.");const a=new U7(i.length+o.length);a.set(i),a.set(o,i.length);const h=new V(a.buffer);for(let i=a.indexOf(80);0<=i&&i+r<=a.length;i=a.indexOf(80,i+1)){if(134695760!==h.getUint32(i,!0))continue;const r=DataDescriptor.from(new V(a.buffer,i),s);if(r?.compressedSize===n+i)return i&&(yield a.subarray(0,i)),e.unshift(a.subarray(i+r.length)),t.crc32=r.crc32,t.compressedSize=r.compressedSize,void(t.uncompressedSize=r.uncompressedSize)}const c=Math.max(a.length-r+1,0);i=a.subarray(c),n+=c,c&&(yield a.subarray(0,c))}}async*#Fe(t){const e=this.#Q,s=new Inflater({deflate64:9===t.method});let r=0;for(;!s.finished;){const t=await e.next();if(!t)throw new Error("Invalid format: Unexpected end of stream.");r+=t.length;const i=s.push(t);i.length&&(yield i)}const i=s.remaining.slice();r-=i.length,e.unshift(i);const n=await e.read(24),o=new V(n.buffer,n.byteOffset,n.length),a=t.extraFields.has(1),h=[a,!a].map(t=>DataDescriptor.from(o,t)).find(t=>t?.compressedSize===r);if(!h)throw new Error("Invalid format: Data descriptor is not found.");e.unshift(n.subarray(h.length)),t.crc32=h.crc32,t.compressedSize=h.compressedSize,t.uncompressedSize=h.uncompressedSize}#qe(e,s){const r=e.header,i=t.#Oe(r),n=i?s?.verify??!0?[()=>createVerificationStream(r)]:[]:getDecodingTransforms(r,s);return n instanceof Response?n:new Response(lazyStream(async()=>{if(e.skipped)throw new Error("The content has already been skipped.");if(e.data)throw new Error("The content has already been read.");return e.data=i?this.#Fe(r):this.#Re(r),n.reduce((t,e)=>t.pipeThrough(e()),iteratorStream(e.data))}))}async*[Symbol.asyncIterator](){const e=this.#Q;try{for(let s=!0;;s=!1){const r=await e.read(4);if(r.length<4)return;const i=new V(r.buffer,r.byteOffset).getUint32(0,!0);if(s&&134695760===i)continue;if(67324752!==i){if([33639248,101010256,101075792].includes(i))return;throw new Error("Invalid format: Local file header is not found.")}const n=await e.read(26);if(n.length<26)throw new Error("Invalid format: Unexpected end of stream.");const o=new V(n.buffer,n.byteOffset,n.length),a=await e.read(o.getUint16(22,!0)+o.getUint16(24,!0)),h=new U7(30+a.length);h.set(r),h.set(n,4),h.set(a,30);const c=this.#Te=LocalFileHeader.from(new V(h.buffer)),l={header:c,data:null,skipped:!1};if(yield{header:c,body:this.#qe(l),decrypt:t=>this.#qe(l,{password:t})},!l.data){l.skipped=!0;const e=t.#Oe(c);l.data=e?this.#Fe(c):this.#Re(c)}for await(const t of l.data);}}finally{await e.cancel()}}},resolveAppendOptions=(t,e)=>{const s="string"==typeof e?{filepath:e}:{...e};if(t instanceof File&&(s.filepath??=t.name,s.lastModified??=t.lastModified),!s.filepath)throw new Error("File path is required.");return s},openSource=t=>t instanceof ReadableStream?t:t instanceof Blob?t.stream():new Blob([t]).stream(),getSourceSize=t=>t instanceof Blob?t.size:t instanceof ArrayBuffer||ArrayBuffer.isView(t)?t.byteLength:null,openSourceWithProgress=(t,e,s)=>{const r=openSource(t);if(!s.onProgress&&!s.signal)return r;const i=getSourceSize(t);return r.pipeThrough(createProgressStream(s,t=>({entry:e,bytesProcessed:t,totalBytes:i})))},createCompressionStream=t=>{const e=t.method??8,s=compressionMethods.get(e)?.compress;if(!s)throw new Error("Unsupported compression method: "+e);return s(t)},createItemRecords=t=>{const e=new CentralDirectoryEntry,s=new LocalFileHeader,r=t.method??8,i=compressionMethods.get(r);if(!i?.compress)throw new Error("Unsupported compression method: "+r);e.versionNeeded=s.versionNeeded=i.versionNeeded??20,e.zip64=s.zip64=!!t.zip64,e.versionMadeBy=20,e.method=s.method=r,e.flags=s.flags|=i.flags?.(t)??0,e.lastModified=s.lastModified=ZipDateTime.fromDate(t.lastModified?new Date(t.lastModified):new Date),e.isUtf8=s.isUtf8=!0;const n=Builder.textEncoder.encode(t.filepath);return e.fileNameBytes=s.fileNameBytes=n,e.extraFieldBytes=s.extraFieldBytes=t.extraField??new U7,e.commentBytes=Builder.textEncoder.encode(t.comment),{header:s,cd:e}},setItemEncryption=({header:t,cd:e},s="traditional")=>{if("traditional"===s)return e.encryption=t.encryption="traditional",0;const r=["aes-128","aes-192","aes-256"].indexOf(s)+1;if(!r)throw new Error("Unsupported encryption method: "+s);const i=t.method,n=U7.of(2,0,65,69,r,255&i,i>>>8);return e.extraFieldBytes=t.extraFieldBytes=setExtraField(t.extraFieldBytes,39169,n),e.encryption=t.encryption="wzAES",e.crc32=t.crc32=0,e.versionNeeded=t.versionNeeded=51,r},createCentralDirectoryParts=(t,e,s)=>{const r=[];for(const e of t)for(const t of e.toBlobParts())r.push(t);const i=t.length,n=new EndOfCentralDirectoryRecord;if(n.numOfFiles=i,n.totalNumOfFiles=i,n.cdSize=r.reduce((t,e)=>t+e.byteLength,0),n.cdOffset=e,n.commentBytes=Builder.textEncoder.encode(s?.comment),s?.zip64||n.requiresZip64){const t=new Zip64EndOfCentralDirectoryRecord;t.numOfFiles=t.totalNumOfFiles=i,t.cdSize=n.cdSize,t.cdOffset=n.cdOffset;const e=new Zip64EndOfCentralDirectoryLocator;e.eocdOffset=n.cdOffset+n.cdSize,r.push(...t.toBlobParts(),...e.toBlobParts())}return r.push(...n.toBlobParts()),r},Builder=class t{static textDecoder=new TextDecoder;static textEncoder=new TextEncoder;centralDirectory=[];contents=[];static async from(e){const s=new t;for(let t=0;t<e.cd.length;t++){const{header:r,body:i}=await e.loadContent(t);s.centralDirectory.push(Object.assign(new CentralDirectoryEntry,e.cd[t])),s.contents.push({header:Object.assign(new LocalFileHeader,r),body:i})}return s}async append(t,e){const s=resolveAppendOptions(t,e),r=createItemRecords(s),{header:i,cd:n}=r;let o=openSourceWithProgress(t,n,s).pipeThrough(createMeasurementStream((t,e)=>{n.crc32=i.crc32=t,n.uncompressedSize=i.uncompressedSize=e}));o=o.pipeThrough(createCompressionStream(s));let a=new U7(await new Response(o).arrayBuffer());if(s.password){const t=i.crc32>>>24,e=setItemEncryption(r,s.encryption);a=e?await encryptWinZipAes(a,s.password,e):encryptZipCrypto(a,s.password,t)}return n.compressedSize=i.compressedSize=a.length,i.requiresZip64&&(n.versionNeeded=i.versionNeeded=Math.max(i.versionNeeded,45)),this.centralDirectory.push(n),this.contents.push({header:i,body:a})}remove(e,s=1){const r=this.centralDirectory.splice(e,s);return this.contents.splice(e,s),r.map(e=>t.textDecoder.decode(e.fileNameBytes))}#Ze(t){const e="string"==typeof t?this.find(t):t<0?t+this.contents.length:t;if(!this.centralDirectory[e])throw new Error("string"==typeof t?"No item with the path: "+t:"No item at the index: "+t);return e}find(e){return this.centralDirectory.findIndex(s=>t.textDecoder.decode(s.fileNameBytes)===e)}rename(e,s){if(!s)throw new Error("File path is required.");const r=this.#Ze(e),i=this.centralDirectory[r],{header:n}=this.contents[r],o=t.textDecoder.decode(i.fileNameBytes);return i.fileNameBytes=n.fileNameBytes=t.textEncoder.encode(s),i.isUtf8=n.isUtf8=!0,i.extraFieldBytes=setExtraField(i.extraFieldBytes,28789,null),n.extraFieldBytes=setExtraField(n.extraFieldBytes,28789,null),o}async replace(e,s,r){const i=this.centralDirectory[this.#Ze(e)],n="string"==typeof r?{filepath:r}:{filepath:t.textDecoder.decode(i.fileNameBytes),...r},o=this.centralDirectory[await this.append(s,n)-1],a=this.contents[this.centralDirectory.indexOf(o)];this.remove(this.centralDirectory.indexOf(o));const h=this.centralDirectory.indexOf(i);if(h<0)throw new Error("The item to replace has been removed.");return this.centralDirectory[h]=o,this.contents[h]=a,h}move(t,e){const s=this.#Ze(t),r=this.contents.length,i=e<0?e+r:e;if(!Number.isInteger(i)||i<0||i>=r)throw new RangeError("Invalid index: "+e);this.centralDirectory.splice(i,0,...this.centralDirectory.splice(s,1)),this.contents.splice(i,0,...this.contents.splice(s,1))}setComment(e,s){this.centralDirectory[this.#Ze(e)].commentBytes=t.textEncoder.encode(s)}setLastModified(t,e){const s=this.#Ze(t),r=this.centralDirectory[s],{header:i}=this.contents[s];if("traditional"===i.encryption&&i.hasDataDescriptor)throw new Error("The last modified time of the encrypted item cannot be changed.");r.lastModified=i.lastModified=ZipDateTime.fromDate(new Date(e));for(const t of[21589,10])r.extraFieldBytes=setExtraField(r.extraFieldBytes,t,null),i.extraFieldBytes=setExtraField(i.extraFieldBytes,t,null)}build(e){const s=[],r=[];let i=0;const n=this.contents.length;for(let o=0;o<n;o++){let n=this.centralDirectory[o],{header:a,body:h}=this.contents[o];if(e?.password&&!a.encryption){if(h instanceof Blob)throw new Error("Item copied from a blob cannot be encrypted when built: "+t.textDecoder.decode(n.fileNameBytes));n=Object.assign(new CentralDirectoryEntry,n),a=Object.assign(new LocalFileHeader,a);const s=a.hasDataDescriptor?a.lastModified.toInt()>>>8&255:a.crc32>>>24;h=encryptZipCrypto(h,e.password,s),n.encryption=a.encryption="traditional",n.compressedSize=a.compressedSize=h.length}n.headerOffset=i,n.requiresZip64&&(n.versionNeeded=a.versionNeeded=Math.max(a.versionNeeded,45));const c=[...a.toBlobParts(),h];if(a.hasDataDescriptor){const t=new DataDescriptor;t.zip64=a.requiresZip64,t.crc32=a.crc32,t.compressedSize=a.compressedSize,t.uncompressedSize=a.uncompressedSize,c.push(...t.toBlobParts())}s.push(...c),i+=c.reduce((t,e)=>t+(e instanceof Blob?e.size:e.byteLength),0),r.push(n)}for(const t of createCentralDirectoryParts(r,i,e))s.push(t);return new Blob(s,{type:"application/zip"})}},StreamBuilder=class{centralDirectory=[];readable;#C;#Zt=0;#Ne=Promise.resolve();constructor(t){const{readable:e,writable:s}=new TransformStream;this.readable=e,this.#C=s.getWriter();const r=t?.signal;r?.aborted?this.abort(r.reason):r?.addEventListener("abort",()=>this.abort(r.reason),{once:!0})}async#Xt(t){for(const e of t){const t=ArrayBuffer.isView(e)?new U7(e.buffer,e.byteOffset,e.byteLength):new U7(e);await this.#C.write(t),this.#Zt+=t.length}}#Ve(t){const e=this.#Ne.then(t).catch(async t=>{throw await this.#C.abort(t).catch(()=>{}),t});return this.#Ne=e.catch(()=>{}),e}append(t,e){let s,r;const i=[];try{s=resolveAppendOptions(t,e),r=createItemRecords(s);const{header:n,cd:o}=r;if(o.flags=n.flags|=8,(getSourceSize(t)??0)>=4294967295&&(o.zip64=n.zip64=!0),n.zip64&&(o.versionNeeded=n.versionNeeded=Math.max(n.versionNeeded,45)),i.push(()=>createMeasurementStream((t,e)=>{o.crc32=t,o.uncompressedSize=e})),i.push(()=>createCompressionStream(s)),s.password){const t=n.lastModified.toInt()>>>8&255,e=setItemEncryption(r,s.encryption),{password:o}=s;i.push(()=>e?createWinZipAesEncryptionStream(o,e):createZipCryptoEncryptionStream(o,t))}i.push(()=>createMeasurementStream((t,e)=>o.compressedSize=e,!1))}catch(t){return Promise.reject(t)}return this.#Ve(async()=>{const{header:e,cd:n}=r;if(n.headerOffset=this.#Zt,await this.#Xt(e.toBlobParts()),await i.reduce((t,e)=>t.pipeThrough(e()),openSourceWithProgress(t,n,s)).pipeTo(new WritableStream({write:t=>this.#Xt([t])})),"wzAES"===n.encryption&&(n.crc32=0),!e.zip64&&(n.compressedSize>=4294967295||n.uncompressedSize>=4294967295))throw new Error("Item of 4 GiB or larger requires the zip64 option: "+s.filepath);const o=new DataDescriptor;return o.zip64=e.zip64,o.crc32=n.crc32,o.compressedSize=n.compressedSize,o.uncompressedSize=n.uncompressedSize,await this.#Xt(o.toBlobParts()),n.requiresZip64&&(n.versionNeeded=Math.max(n.versionNeeded,45)),this.centralDirectory.push(n)})}close(t){return this.#Ve(async()=>{await this.#Xt(createCentralDirectoryParts(this.centralDirectory,this.#Zt,t)),await this.#C.close()})}abort(t){return this.#C.abort(t).catch(()=>{})}},restoreError=({name:t,message:e})=>"PasswordError"===t?new PasswordError(e):"IntegrityError"===t?new IntegrityError(e):Object.assign(new Error(e),{name:t}),restoreRecord=(t,e)=>{const s=Object.assign(new t,e);return e.lastModified&&(s.lastModified=Object.assign(new ZipDateTime,e.lastModified)),s},WorkerPool=class{#He=[];#We=new Map;#je;#Ge;#Ke=0;constructor(t){this.#je=t?.workerURL??new URL("./zip.worker.js",import.meta.url),this.#Ge=Math.max(t?.concurrency??globalThis.navigator?.hardwareConcurrency??4,1)}acquire(){const t=this.#He.reduce((t,e)=>e.tasks<t.tasks?e:t,this.#He[0]);if(t&&(!t.tasks||this.#He.length>=this.#Ge))return t;const e=new Worker(this.#je,{type:"module"});e.addEventListener("message",t=>{const{id:e,result:s,error:r,progress:i}=t.data,n=this.#We.get(e);if(n){if(i)return n.onProgress?.(i);this.#We.delete(e),r?n.reject(restoreError(r)):n.resolve(s)}});const s={worker:e,tasks:0},r=t=>{e.terminate(),this.#He=this.#He.filter(t=>t!==s);const r=new Error("Worker failed: "+("message"in t&&t.message||t.type));for(const[t,e]of this.#We)e.slot===s&&(this.#We.delete(t),e.reject(r))};return e.addEventListener("error",r),e.addEventListener("messageerror",r),this.#He.push(s),s}request(t,e,s){const r=s?.signal;if(r?.aborted)return Promise.reject(r.reason);const i=++this.#Ke;let n;return t.tasks++,new Promise((o,a)=>{n=()=>{this.#We.delete(i),t.worker.postMessage({id:i,type:"abort"}),a(r?.reason)},r?.addEventListener("abort",n,{once:!0}),this.#We.set(i,{slot:t,resolve:o,reject:a,onProgress:s?.onProgress}),t.worker.postMessage({...e,id:i},s?.transfer??[])}).finally(()=>{t.tasks--,r?.removeEventListener("abort",n)})}terminate(){for(const{worker:t}of this.#He)t.terminate();this.#He=[];const t=new Error("Workers are terminated.");for(const{reject:e}of this.#We.values())e(t);this.#We.clear()}},WorkerExtractor=class t extends Extractor{#Xe;#$e;static async fromBlob(e,s){const r=new t,i=r.#Xe=new WorkerPool(s),n=r.#$e=e instanceof Blob?e:new Blob([e]),{eocd:o,eocd64:a,cd:h}=await i.request(i.acquire(),{type:"open",blob:n});return r.eocd=restoreRecord(EndOfCentralDirectoryRecord,o),r.eocd64=a&&restoreRecord(Zip64EndOfCentralDirectoryRecord,a),r.cd=h.map(t=>restoreRecord(CentralDirectoryEntry,t)),r}pick(t,e){const s=t<0?t+this.cd.length:t,r=this.cd[s];if(!r){throw new Error("No content at the index: "+t)}const{onProgress:i,signal:n,...o}=e??{},a=getDecodingTransforms(r,o);if(a instanceof Response)return a;const h=this.#Xe;let c,l,d=new ReadableStream({pull:async t=>{l||(c=h.acquire(),l=h.request(c,{type:"pick",blob:this.#$e,index:s,options:o}));const{done:e,value:r}=await h.request(c,{type:"read",stream:await l});e?t.close():t.enqueue(r)},cancel:async()=>{l&&c.worker.postMessage({type:"cancel",stream:await l})}},{highWaterMark:0});if(i||n){const t=r.uncompressedSize;d=d.pipeThrough(createProgressStream({onProgress:i,signal:n},e=>({entry:r,bytesProcessed:e,totalBytes:t})))}return new Response(d)}async loadContent(t){if(!this.cd[t])throw new Error("No content at the index: "+t);return this.contents[t]??=await readContent(this.#$e,this.cd[t])}terminate(){this.#Xe.terminate()}},WorkerBuilder=class extends Builder{#Xe;#Ye=new Set;constructor(t){super(),this.#Xe=new WorkerPool(t)}async append(t,e){const{onProgress:s,signal:r,...i}=resolveAppendOptions(t,e);r?.throwIfAborted();const n=new CentralDirectoryEntry;this.centralDirectory.push(n),this.contents.push({header:new LocalFileHeader,body:new U7(0)}),this.#Ye.add(n);try{const e=t instanceof ReadableStream?await new Response(t).blob():t,o=this.#Xe,a={type:"append",source:e,options:i,progress:!!s},{cd:h,header:c,body:l}=await o.request(o.acquire(),a,{onProgress:t=>s?.({...t,entry:null}),signal:r}),d=this.centralDirectory.indexOf(n);if(d<0)throw new Error("The appended item has been removed.");return this.centralDirectory[d]=restoreRecord(CentralDirectoryEntry,h),this.contents[d]={header:restoreRecord(LocalFileHeader,c),body:l},d+1}catch(t){const e=this.centralDirectory.indexOf(n);throw e>=0&&this.remove(e),t}finally{this.#Ye.delete(n)}}build(t){if(this.#Ye.size)throw new Error("Items are still being appended.");return super.build(t)}terminate(){this.#Xe.terminate()}},ZipDateTime=class t{year;month;day;hour;minute;second;toInt(){return(this.year-1980<<25)+(this.month<<21)+(this.day<<16)+(this.hour<<11)+(this.minute<<5)+Math.floor(this.second/2)}toDate(){return new Date(Date.UTC(this.year,this.month-1,this.day,this.hour,this.minute,this.second))}static fromInt(e){const s=new t;return s.year=1980+(e>>>25),s.month=e>>>21&15,s.day=e>>>16&31,s.hour=e>>>11&31,s.minute=e>>>5&63,s.second=2*(31&e),s}static fromDate(e=new Date){const s=new t;return s.year=e.getFullYear(),s.month=e.getMonth()+1,s.day=e.getDate(),s.hour=e.getHours(),s.minute=e.getMinutes(),s.second=e.getSeconds(),s}},LocalFileHeader=class t{signature=67324752;versionNeeded=20;flags=0;method=8;lastModified=ZipDateTime.fromDate();crc32=0;compressedSize=0;uncompressedSize=0;fileNameBytes;extraFieldBytes;zip64=!1;length;static from(e){const s=new t;s.signature=e.getUint32(0,!0),s.versionNeeded=e.getUint16(4,!0),s.flags=e.getUint16(6,!0),s.method=e.getUint16(8,!0),s.lastModified=ZipDateTime.fromInt(e.getUint32(10,!0)),s.crc32=e.getUint32(14,!0),s.compressedSize=e.getUint32(18,!0),s.uncompressedSize=e.getUint32(22,!0);const r=e.getUint16(26,!0),i=e.getUint16(28,!0),n=e.byteOffset+30;s.fileNameBytes=new U7(e.buffer,n,r),s.extraFieldBytes=new U7(e.buffer,n+r,i),s.length=30+r+i;const o=s.extraFields.get(1);return o&&(s.zip64=!!s.applyZip64(o)),s}applyZip64(t){const e=new V(t.buffer,t.byteOffset,t.length);let s=0;return 4294967295===this.uncompressedSize&&s+8<=t.length&&(this.uncompressedSize=getUint64(e,s),s+=8),4294967295===this.compressedSize&&s+8<=t.length&&(this.compressedSize=getUint64(e,s),s+=8),s}toBlobParts(){const t=this.requiresZip64,e=t?setExtraField(this.extraFieldBytes,1,packUint64([this.uncompressedSize,this.compressedSize])):this.extraFieldBytes,s=new V(new ArrayBuffer(30));return s.setUint32(0,this.signature,!0),s.setUint16(4,this.versionNeeded,!0),s.setUint16(6,this.flags,!0),s.setUint16(8,this.method,!0),s.setUint32(10,this.lastModified.toInt(),!0),s.setUint32(14,this.crc32,!0),s.setUint32(18,t?4294967295:this.compressedSize,!0),s.setUint32(22,t?4294967295:this.uncompressedSize,!0),s.setUint16(26,this.fileNameBytes.length,!0),s.setUint16(28,e.length,!0),[s,this.fileNameBytes,e]}get requiresZip64(){return this.zip64||this.uncompressedSize>=4294967295||this.compressedSize>=4294967295}get encryption(){return 99===this.method?"wzAES":!!(1&this.flags)&&(64&this.flags?"strong":"traditional")}set encryption(t){if(t)switch(t){case"wzAES":this.method=99,this.flags&=65471,this.flags|=1;break;case"strong":this.flags|=65;break;case"traditional":this.flags&=65471,this.flags|=1}else this.flags&=65470}get extraFields(){return parseExtraField(this.extraFieldBytes)}get compressionOption(){return["normal","maximum","fast","superfast"][this.flags>>>1&3]}set compressionOption(t){const e=["normal","maximum","fast","superfast"].indexOf(t);this.flags=65529&this.flags|Math.max(e,0)<<1}get hasDataDescriptor(){return!!(8&this.flags)}get isEnhancedDeflating(){return!!(16&this.flags)}get isCompressedPatchedData(){return!!(32&this.flags)}get isUtf8(){return!!(2048&this.flags)}set isUtf8(t){t?this.flags|=2048:this.flags&=65407}get isCentralDirectoryEncrypted(){return!!(8192&this.flags)}set isCentralDirectoryEncrypted(t){t?this.flags|=8192:this.flags&=57343}},CentralDirectoryEntry=class t extends LocalFileHeader{signature=33639248;versionMadeBy=20;diskIdStart=0;internalAttributes=0;externalAttributes=0;headerOffset;commentBytes;static from(e){const s=new t;s.signature=e.getUint32(0,!0),s.versionMadeBy=e.getUint16(4,!0),s.versionNeeded=e.getUint16(6,!0),s.flags=e.getUint16(8,!0),s.method=e.getUint16(10,!0),s.lastModified=ZipDateTime.fromInt(e.getUint32(12,!0)),s.crc32=e.getUint32(16,!0),s.compressedSize=e.getUint32(20,!0),s.uncompressedSize=e.getUint32(24,!0);const r=e.getUint16(28,!0),i=e.getUint16(30,!0),n=e.getUint16(32,!0);s.diskIdStart=e.getUint16(34,!0),s.internalAttributes=e.getUint16(36,!0),s.externalAttributes=e.getUint32(38,!0),s.headerOffset=e.getUint32(42,!0);const o=e.byteOffset+46;s.fileNameBytes=new U7(e.buffer,o,r),s.extraFieldBytes=new U7(e.buffer,o+r,i),s.commentBytes=new U7(e.buffer,o+r+i,n),s.length=46+r+i+n;const a=s.extraFields.get(1);return a&&(s.zip64=!!s.applyZip64(a)),s}applyZip64(t){const e=new V(t.buffer,t.byteOffset,t.length);let s=super.applyZip64(t);return 4294967295===this.headerOffset&&s+8<=t.length&&(this.headerOffset=getUint64(e,s),s+=8),65535===this.diskIdStart&&s+4<=t.length&&(this.diskIdStart=e.getUint32(s,!0),s+=4),s}toBlobParts(){const[t,e,s]=[this.uncompressedSize,this.compressedSize,this.headerOffset].map(t=>this.zip64||t>=4294967295?t:-1),r=[t,e,s].filter(t=>t>=0),i=r.length?setExtraField(this.extraFieldBytes,1,packUint64(r)):this.extraFieldBytes,n=new V(new ArrayBuffer(46));return n.setUint32(0,this.signature,!0),n.setUint16(4,this.versionMadeBy,!0),n.setUint16(6,this.versionNeeded,!0),n.setUint16(8,this.flags,!0),n.setUint16(10,this.method,!0),n.setUint32(12,this.lastModified.toInt(),!0),n.setUint32(16,this.crc32,!0),n.setUint32(20,e<0?this.compressedSize:4294967295,!0),n.setUint32(24,t<0?this.uncompressedSize:4294967295,!0),n.setUint16(28,this.fileNameBytes.length,!0),n.setUint16(30,i.length,!0),n.setUint16(32,this.commentBytes.length,!0),n.setUint16(34,this.diskIdStart,!0),n.setUint16(36,this.internalAttributes,!0),n.setUint32(38,this.externalAttributes,!0),n.setUint32(42,s<0?this.headerOffset:4294967295,!0),[n,this.fileNameBytes,i,this.commentBytes]}get requiresZip64(){return super.requiresZip64||this.headerOffset>=4294967295}},DataDescriptor=class t{signature=134695760;crc32=0;compressedSize=0;uncompressedSize=0;zip64=!1;length;static from(e,s,r){const i=new t,n=e.byteLength>=4&&e.getUint32(0,!0)===i.signature&&i.signature!==r?4:0;return i.length=n+(s?20:12),e.byteLength<i.length?null:(i.zip64=s,i.crc32=e.getUint32(n,!0),s?(i.compressedSize=getUint64(e,n+4),i.uncompressedSize=getUint64(e,n+12)):(i.compressedSize=e.getUint32(n+4,!0),i.uncompressedSize=e.getUint32(n+8,!0)),i)}toBlobParts(){const t=new V(new ArrayBuffer(this.zip64?24:16));return t.setUint32(0,this.signature,!0),t.setUint32(4,this.crc32,!0),this.zip64?(t.setBigUint64(8,BigInt(this.compressedSize),!0),t.setBigUint64(16,BigInt(this.uncompressedSize),!0)):(t.setUint32(8,this.compressedSize,!0),t.setUint32(12,this.uncompressedSize,!0)),[t]}},EndOfCentralDirectoryRecord=class t{signature=101010256;diskId=0;firstDiskId=0;numOfFiles=1;totalNumOfFiles=0;cdSize;cdOffset;commentBytes;length;static from(e){const s=new t;s.signature=e.getUint32(0,!0),s.diskId=e.getUint16(4,!0),s.firstDiskId=e.getUint16(6,!0),s.numOfFiles=e.getUint16(8,!0),s.totalNumOfFiles=e.getUint16(10,!0),s.cdSize=e.getUint32(12,!0),s.cdOffset=e.getUint32(16,!0);const r=e.getUint16(20,!0),i=e.byteOffset+22;return s.commentBytes=new U7(e.buffer,i,r),s.length=22+r,s}toBlobParts(){const t=new V(new ArrayBuffer(22));return t.setUint32(0,this.signature,!0),t.setUint16(4,this.diskId,!0),t.setUint16(6,this.firstDiskId,!0),t.setUint16(8,Math.min(this.numOfFiles,65535),!0),t.setUint16(10,Math.min(this.totalNumOfFiles,65535),!0),t.setUint32(12,Math.min(this.cdSize,4294967295),!0),t.setUint32(16,Math.min(this.cdOffset,4294967295),!0),t.setUint16(20,this.commentBytes.length,!0),[t,this.commentBytes]}get requiresZip64(){return this.totalNumOfFiles>=65535||this.cdSize>=4294967295||this.cdOffset>=4294967295}},Zip64EndOfCentralDirectoryRecord=class t{signature=101075792;versionMadeBy=45;versionNeeded=45;diskId=0;firstDiskId=0;numOfFiles=0;totalNumOfFiles=0;cdSize;cdOffset;extensibleDataBytes=new U7;length;static from(e){const s=new t;s.signature=e.getUint32(0,!0);const r=getUint64(e,4);s.versionMadeBy=e.getUint16(12,!0),s.versionNeeded=e.getUint16(14,!0),s.diskId=e.getUint32(16,!0),s.firstDiskId=e.getUint32(20,!0),s.numOfFiles=getUint64(e,24),s.totalNumOfFiles=getUint64(e,32),s.cdSize=getUint64(e,40),s.cdOffset=getUint64(e,48);const i=e.byteOffset+56;return s.extensibleDataBytes=new U7(e.buffer,i,Math.max(Math.min(r-44,e.byteLength-56),0)),s.length=12+r,s}toBlobParts(){const t=new V(new ArrayBuffer(56));return t.setUint32(0,this.signature,!0),t.setBigUint64(4,BigInt(44+this.extensibleDataBytes.length),!0),t.setUint16(12,this.versionMadeBy,!0),t.setUint16(14,this.versionNeeded,!0),t.setUint32(16,this.diskId,!0),t.setUint32(20,this.firstDiskId,!0),t.setBigUint64(24,BigInt(this.numOfFiles),!0),t.setBigUint64(32,BigInt(this.totalNumOfFiles),!0),t.setBigUint64(40,BigInt(this.cdSize),!0),t.setBigUint64(48,BigInt(this.cdOffset),!0),[t,this.extensibleDataBytes]}},Zip64EndOfCentralDirectoryLocator=class t{signature=117853008;eocdDiskId=0;eocdOffset;numOfDisks=1;length=20;static from(e){const s=new t;return s.signature=e.getUint32(0,!0),s.eocdDiskId=e.getUint32(4,!0),s.eocdOffset=getUint64(e,8),s.numOfDisks=e.getUint32(16,!0),s}toBlobParts(){const t=new V(new ArrayBuffer(20));return t.setUint32(0,this.signature,!0),t.setUint32(4,this.eocdDiskId,!0),t.setBigUint64(8,BigInt(this.eocdOffset),!0),t.setUint32(16,this.numOfDisks,!0),[t]}};export{Builder,Extractor,IntegrityError,PasswordError,StreamBuilder,StreamExtractor,WorkerBuilder,WorkerExtractor,calcCrc32,fmtCrc32,registerMethod};
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * Worker Module for WorkerBuilder and WorkerExtractor
+ */
+
+import { Builder, Extractor } from './zip.js';
+
+/** @type {Promise<Extractor>?} */
+let extractor = null;
+/** @type {Map<number, AbortController>} */
+const controllers = new Map();
+/** @type {Map<number, ReadableStreamDefaultReader<Uint8Array<ArrayBuffer>>>} */
+const readers = new Map();
+
+/**
+ * Gets bytes which own the whole buffer to transfer it.
+ * @param {Uint8Array<ArrayBuffer>} bytes bytes
+ * @returns {Uint8Array<ArrayBuffer>} bytes
+ */
+const toTransferable = bytes => bytes.byteOffset || bytes.byteLength !== bytes.buffer.byteLength ? bytes.slice() : bytes;
+
+/**
+ * Handles a request from WorkerPool.
+ * @param {any} data message
+ * @returns {Promise<[any, Transferable[]?]>} result and objects to transfer
+ */
+const handle = async data => {
+	const { id, type } = data;
+	switch (type) {
+		case 'append': {
+			const controller = new AbortController();
+			controllers.set(id, controller);
+			try {
+				const builder = new Builder();
+				/** @type {(progress: import('./zip.js').ZipProgress) => void} */
+				const onProgress = ({ bytesProcessed, totalBytes }) => self.postMessage({ id, progress: { bytesProcessed, totalBytes } });
+				await builder.append(data.source, { ...data.options, signal: controller.signal, onProgress: data.progress ? onProgress : undefined });
+				const [cd] = builder.centralDirectory;
+				const { header, body } = builder.contents[0];
+				// A blob is cloned instead of transferred
+				if (body instanceof Blob) return [{ cd, header, body }];
+				const bytes = toTransferable(body);
+				return [{ cd, header, body: bytes }, [bytes.buffer]];
+			} finally {
+				controllers.delete(id);
+			}
+		}
+		case 'open': {
+			extractor = Extractor.fromBlob(data.blob);
+			const { eocd, eocd64, cd } = await extractor;
+			return [{ eocd, eocd64, cd }];
+		}
+		case 'pick': {
+			extractor ??= Extractor.fromBlob(data.blob);
+			const response = (await extractor).pick(data.index, data.options);
+			if (!response.body) throw new Error(response.statusText);
+			readers.set(id, response.body.getReader());
+			return [id];
+		}
+		case 'read': {
+			const reader = readers.get(data.stream);
+			if (!reader) throw new Error('The content is not picked.');
+			try {
+				const { done, value } = await reader.read();
+				if (done) {
+					readers.delete(data.stream);
+					return [{ done }];
+				}
+				const bytes = toTransferable(value);
+				return [{ done, value: bytes }, [bytes.buffer]];
+			} catch (e) {
+				readers.delete(data.stream);
+				throw e;
+			}
+		}
+		default:
+			throw new Error('Unknown request: ' + type);
+	}
+};
+
+self.addEventListener('message', async e => {
+	const { id, type } = e.data;
+	if (type === 'abort') return controllers.get(id)?.abort();
+	if (type === 'cancel') {
+		readers.get(e.data.stream)?.cancel();
+		return readers.delete(e.data.stream);
+	}
+	try {
+		const [result, transfer] = await handle(e.data);
+		// The options form is accepted by the types of both a window and a worker
+		self.postMessage({ id, result }, { transfer: transfer ?? [] });
+	} catch (error) {
+		const { name, message } = error instanceof Error ? error : new Error(String(error));
+		self.postMessage({ id, error: { name, message } });
+	}
+});